@@ -0,0 +1,185 @@
+// Assignments: one submission per student, replaceable until it is graded, with deadlines,
+// late submissions and late penalties.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Assignment = require('../models/Assignment');
+const Enrollment = require('../models/Enrollment');
+const Submission = require('../models/Submission');
+const assignmentRoutes = require('../routes/assignments');
+
+const app = createApp({ '/api/assignments': assignmentRoutes });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let instructorAuth;
+let student;
+let studentAuth;
+let course;
+
+const createAssignment = (attrs = {}) => Assignment.create({
+  course: course._id,
+  title: 'Write a test plan',
+  dueDate: new Date(Date.now() + 7 * DAY),
+  ...attrs
+});
+
+const submit = (assignment, text, auth = studentAuth) => request(app)
+  .post(`/api/assignments/${assignment._id}/submissions`)
+  .set(auth)
+  .send({ text });
+
+const grade = (submission, body, auth = instructorAuth) => request(app)
+  .put(`/api/assignments/submissions/${submission._id}/grade`)
+  .set(auth)
+  .send(body);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  const instructor = await createUser({ role: 'instructor' });
+  instructorAuth = await signIn(instructor);
+  student = await createUser();
+  studentAuth = await signIn(student);
+  course = await createCourse({ owner: instructor._id });
+  await Enrollment.create({ student: student._id, course: course._id });
+});
+
+describe('managing assignments', () => {
+  it('lets the course owner create assignments, but not students', async () => {
+    const body = { courseId: course._id, title: 'Essay', dueDate: new Date(Date.now() + DAY) };
+
+    const byOwner = await request(app).post('/api/assignments').set(instructorAuth).send(body);
+    const byStudent = await request(app).post('/api/assignments').set(studentAuth).send(body);
+    const badCutoff = await request(app)
+      .post('/api/assignments')
+      .set(instructorAuth)
+      .send({ ...body, lateCutoff: new Date(Date.now() - DAY) });
+
+    expect(byOwner.status).toBe(201);
+    expect(byStudent.status).toBe(403);
+    expect(badCutoff.status).toBe(400);
+    expect(await Assignment.countDocuments()).toBe(1);
+  });
+
+  it('deactivates an assignment with submissions instead of deleting it', async () => {
+    const assignment = await createAssignment();
+    await submit(assignment, 'My plan');
+
+    const res = await request(app).delete(`/api/assignments/${assignment._id}`).set(instructorAuth);
+
+    expect(res.status).toBe(200);
+    expect(await Assignment.findById(assignment._id)).toMatchObject({ isActive: false });
+    expect(await Submission.countDocuments()).toBe(1);
+  });
+});
+
+describe('POST /api/assignments/:id/submissions', () => {
+  it('replaces the submission while it is not graded', async () => {
+    const assignment = await createAssignment();
+
+    const first = await submit(assignment, 'First draft');
+    const second = await submit(assignment, 'Final version');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(200);
+    expect(second.body.data.submission._id).toBe(first.body.data.submission._id);
+    const submissions = await Submission.find({ assignment: assignment._id });
+    expect(submissions).toHaveLength(1);
+    expect(submissions[0].text).toBe('Final version');
+  });
+
+  it('refuses to replace a graded submission', async () => {
+    const assignment = await createAssignment();
+    const { body } = await submit(assignment, 'First draft');
+    await grade(body.data.submission, { score: 90 });
+
+    const res = await submit(assignment, 'Sneaky rewrite');
+
+    expect(res.status).toBe(409);
+    expect((await Submission.findById(body.data.submission._id)).text).toBe('First draft');
+  });
+
+  it('closes after the due date unless late submissions are allowed', async () => {
+    const closed = await createAssignment({ dueDate: new Date(Date.now() - DAY) });
+    const late = await createAssignment({ dueDate: new Date(Date.now() - 1.5 * DAY), allowLateSubmissions: true });
+    const cutOff = await createAssignment({
+      dueDate: new Date(Date.now() - 3 * DAY),
+      allowLateSubmissions: true,
+      lateCutoff: new Date(Date.now() - DAY)
+    });
+
+    const closedRes = await submit(closed, 'Too late');
+    const lateRes = await submit(late, 'Late but accepted');
+    const cutOffRes = await submit(cutOff, 'Past the cutoff');
+
+    expect(closedRes.status).toBe(400);
+    expect(lateRes.status).toBe(201);
+    expect(lateRes.body.message).toBe('Assignment submitted late');
+    expect(lateRes.body.data.submission).toMatchObject({ isLate: true, daysLate: 2 });
+    expect(cutOffRes.status).toBe(400);
+  });
+
+  it('requires an active enrollment and some content', async () => {
+    const assignment = await createAssignment();
+
+    const outsider = await submit(assignment, 'Not enrolled', await signIn(await createUser()));
+    const empty = await submit(assignment, '   ');
+
+    expect(outsider.status).toBe(403);
+    expect(empty.status).toBe(400);
+    expect(await Submission.countDocuments()).toBe(0);
+  });
+
+  it('shows students only their own submission', async () => {
+    const assignment = await createAssignment();
+    await submit(assignment, 'Mine');
+
+    const own = await request(app).get(`/api/assignments/${assignment._id}/submissions/me`).set(studentAuth);
+    const all = await request(app).get(`/api/assignments/${assignment._id}/submissions`).set(studentAuth);
+
+    expect(own.body.data.submission.text).toBe('Mine');
+    expect(all.status).toBe(403);
+  });
+});
+
+describe('PUT /api/assignments/submissions/:submissionId/grade', () => {
+  it('applies the late penalty for each started day', async () => {
+    const assignment = await createAssignment({
+      dueDate: new Date(Date.now() - 1.5 * DAY),
+      allowLateSubmissions: true,
+      latePenaltyPerDay: 10
+    });
+    const { body } = await submit(assignment, 'Late work');
+
+    const res = await grade(body.data.submission, { score: 80, feedback: 'Good, but late' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.submission).toMatchObject({ status: 'graded', score: 80, finalScore: 64, feedback: 'Good, but late' });
+  });
+
+  it('only accepts scores between 0 and the maximum', async () => {
+    const assignment = await createAssignment({ maxScore: 50 });
+    const { body } = await submit(assignment, 'Work');
+
+    const responses = await Promise.all([{ score: 51 }, { score: -1 }, { score: 'ten' }, {}]
+      .map(payload => grade(body.data.submission, payload)));
+
+    responses.forEach(res => expect(res.status).toBe(400));
+    expect((await Submission.findById(body.data.submission._id)).status).toBe('submitted');
+  });
+
+  it('is limited to the course owner', async () => {
+    const assignment = await createAssignment();
+    const { body } = await submit(assignment, 'Work');
+
+    const byOther = await grade(body.data.submission, { score: 100 }, await signIn(await createUser({ role: 'instructor' })));
+    const byStudent = await grade(body.data.submission, { score: 100 }, studentAuth);
+
+    expect(byOther.status).toBe(403);
+    expect(byStudent.status).toBe(403);
+    expect((await Submission.findById(body.data.submission._id)).score).toBeNull();
+  });
+});
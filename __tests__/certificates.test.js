@@ -0,0 +1,129 @@
+// Certificates for completed enrollments and their public verification.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+jest.mock('../utils/storage', () => ({
+  saveFile: jest.fn(async (buffer, filename, subdir = '') => `/uploads/${subdir}/${filename}`),
+  deleteFile: jest.fn(async () => {})
+}));
+
+const Enrollment = require('../models/Enrollment');
+const Certificate = require('../models/Certificate');
+const { saveFile } = require('../utils/storage');
+const enrollmentRoutes = require('../routes/enrollments');
+const certificateRoutes = require('../routes/certificates');
+
+const app = createApp({
+  '/api/enrollments': enrollmentRoutes,
+  '/api/certificates': certificateRoutes
+});
+
+let student;
+let auth;
+let course;
+
+const getCertificate = (enrollment, headers = auth) => request(app)
+  .get(`/api/enrollments/${enrollment._id}/certificate`)
+  .set(headers);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  saveFile.mockClear();
+  student = await createUser({ name: 'Ada Lovelace' });
+  auth = await signIn(student);
+  course = await createCourse({ title: 'Analytical Engines' });
+});
+
+describe('certificate issuance', () => {
+  it('issues a certificate with a PDF when the last lesson is completed', async () => {
+    const enrollment = await Enrollment.create({
+      student: student._id,
+      course: course._id,
+      completedLessons: [{ moduleIndex: 0, lessonIndex: 0 }, { moduleIndex: 0, lessonIndex: 1 }, { moduleIndex: 1, lessonIndex: 0 }]
+    });
+
+    const res = await request(app)
+      .put(`/api/enrollments/${enrollment._id}/progress`)
+      .set(auth)
+      .send({ moduleIndex: 1, lessonIndex: 1 });
+
+    expect(res.status).toBe(200);
+    const certificate = await Certificate.findOne({ enrollment: enrollment._id });
+    expect(certificate).toMatchObject({ studentName: 'Ada Lovelace', courseTitle: 'Analytical Engines' });
+    expect(certificate.verificationCode).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(saveFile).toHaveBeenCalledWith(expect.any(Buffer), `${certificate.verificationCode}.pdf`, 'certificates');
+
+    const saved = await Enrollment.findById(enrollment._id);
+    expect(saved.certificateIssued).toBe(true);
+    expect(saved.certificateUrl).toBe(certificate.pdfUrl);
+  });
+
+  it('returns the same certificate every time it is requested', async () => {
+    const enrollment = await Enrollment.create({ student: student._id, course: course._id, progress: 100 });
+
+    const first = await getCertificate(enrollment);
+    const second = await getCertificate(enrollment);
+
+    expect(first.status).toBe(200);
+    expect(second.body.data.certificate.verificationCode).toBe(first.body.data.certificate.verificationCode);
+    expect(await Certificate.countDocuments({ enrollment: enrollment._id })).toBe(1);
+    expect(saveFile).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a certificate before the course is completed', async () => {
+    const enrollment = await Enrollment.create({ student: student._id, course: course._id, progress: 75 });
+
+    const res = await getCertificate(enrollment);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Course must be completed before a certificate is issued');
+    expect(await Certificate.countDocuments()).toBe(0);
+  });
+
+  it('refuses a certificate for an enrollment that is no longer active', async () => {
+    const enrollment = await Enrollment.create({ student: student._id, course: course._id, progress: 100, isActive: false });
+
+    const res = await getCertificate(enrollment);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Certificates are only issued for active enrollments');
+    expect(await Certificate.countDocuments()).toBe(0);
+  });
+
+  it("does not hand out another student's certificate", async () => {
+    const enrollment = await Enrollment.create({ student: student._id, course: course._id, progress: 100 });
+
+    const res = await getCertificate(enrollment, await signIn(await createUser()));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/certificates/verify/:code', () => {
+  it('confirms a certificate without authentication and shows only public details', async () => {
+    const enrollment = await Enrollment.create({ student: student._id, course: course._id, progress: 100 });
+    const { verificationCode } = (await getCertificate(enrollment)).body.data.certificate;
+
+    const res = await request(app).get(`/api/certificates/verify/${verificationCode.toLowerCase()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.valid).toBe(true);
+    expect(res.body.data.certificate).toEqual({
+      type: 'course',
+      verificationCode,
+      studentName: 'Ada Lovelace',
+      courseTitle: 'Analytical Engines',
+      issuedAt: expect.any(String)
+    });
+  });
+
+  it('reports unknown codes as invalid', async () => {
+    const res = await request(app).get('/api/certificates/verify/AAAA-BBBB-CCCC');
+
+    expect(res.status).toBe(404);
+    expect(res.body.valid).toBe(false);
+  });
+});
@@ -0,0 +1,218 @@
+// Cohorts: scheduled runs of a course that students join, rosters for instructors, and modules
+// that unlock on a weekly drip schedule counted from the cohort's start.
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Cohort = require('../models/Cohort');
+const Enrollment = require('../models/Enrollment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const cohortRoutes = require('../routes/cohorts');
+const courseRoutes = require('../routes/courses');
+const enrollmentRoutes = require('../routes/enrollments');
+
+const app = createApp({
+  '/api/cohorts': cohortRoutes,
+  '/api/courses': courseRoutes,
+  '/api/enrollments': enrollmentRoutes
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let instructorAuth;
+let student;
+let studentAuth;
+let course;
+let cohort;
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+const createCohort = (attrs = {}) => Cohort.create({
+  course: course._id,
+  name: 'Spring',
+  startDate: daysFromNow(-3),
+  endDate: daysFromNow(60),
+  ...attrs
+});
+
+const enroll = (cohortId, auth = studentAuth) =>
+  request(app).post('/api/enrollments').set(auth).send({ courseId: course._id, cohortId });
+
+const completeLesson = (enrollment, moduleIndex, lessonIndex = 0) =>
+  request(app).put(`/api/enrollments/${enrollment._id}/progress`).set(studentAuth).send({ moduleIndex, lessonIndex });
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  const instructor = await createUser({ role: 'instructor' });
+  instructorAuth = await signIn(instructor);
+  student = await createUser();
+  studentAuth = await signIn(student);
+  // The second module unlocks a week after the cohort starts
+  course = await createCourse({ owner: instructor._id, cohortBased: true });
+  course.modules[1].unlockWeek = 1;
+  await course.save();
+  cohort = await createCohort();
+});
+
+describe('managing cohorts', () => {
+  const create = (body, auth = instructorAuth) =>
+    request(app).post('/api/cohorts').set(auth).send({ courseId: course._id, name: 'Autumn', ...body });
+
+  it("lets the course's managers create cohorts", async () => {
+    const res = await create({ startDate: daysFromNow(10), endDate: daysFromNow(70) });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.cohort).toMatchObject({ name: 'Autumn', course: course._id.toString(), isActive: true });
+  });
+
+  it('rejects a cohort that ends before it starts', async () => {
+    const res = await create({ startDate: daysFromNow(10), endDate: daysFromNow(5) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/End date must be after the start date/);
+  });
+
+  it('refuses other users and unknown or malformed courses', async () => {
+    const dates = { startDate: daysFromNow(10), endDate: daysFromNow(70) };
+
+    const outsider = await create(dates, studentAuth);
+    const unknown = await create({ ...dates, courseId: new mongoose.Types.ObjectId() });
+    const malformed = await create({ ...dates, courseId: 'nope' });
+
+    expect(outsider.status).toBe(403);
+    expect(unknown.status).toBe(404);
+    expect(malformed.status).toBe(404);
+  });
+
+  it('lists open cohorts soonest first with their enrollment counts', async () => {
+    await createCohort({ name: 'Summer', startDate: daysFromNow(30), endDate: daysFromNow(90) });
+    await createCohort({ name: 'Finished', startDate: daysFromNow(-90), endDate: daysFromNow(-30) });
+    await createCohort({ name: 'Cancelled', isActive: false });
+    await Enrollment.create({ student: student._id, course: course._id, cohort: cohort._id });
+
+    const res = await request(app).get(`/api/cohorts/course/${course._id}`);
+    const malformed = await request(app).get('/api/cohorts/course/nope');
+
+    expect(res.body.data.cohorts.map(c => [c.name, c.enrolledCount])).toEqual([['Spring', 1], ['Summer', 0]]);
+    expect(malformed.status).toBe(404);
+  });
+
+  it('shows the drip schedule of a cohort', async () => {
+    const res = await request(app).get(`/api/cohorts/${cohort._id}`);
+    const malformed = await request(app).get('/api/cohorts/nope');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.schedule).toEqual([
+      expect.objectContaining({ moduleIndex: 0, unlockWeek: 0, unlocksAt: cohort.startDate.toISOString() }),
+      expect.objectContaining({ moduleIndex: 1, unlockWeek: 1, unlocksAt: new Date(cohort.startDate.getTime() + 7 * DAY_MS).toISOString() })
+    ]);
+    expect(malformed.status).toBe(404);
+  });
+
+  it('deletes an empty cohort, cancelling its waitlist, and deactivates one with students', async () => {
+    const empty = await createCohort({ name: 'Empty' });
+    await WaitlistEntry.create({ course: course._id, student: student._id, cohort: empty._id });
+    await Enrollment.create({ student: (await createUser())._id, course: course._id, cohort: cohort._id });
+
+    const deleted = await request(app).delete(`/api/cohorts/${empty._id}`).set(instructorAuth);
+    const deactivated = await request(app).delete(`/api/cohorts/${cohort._id}`).set(instructorAuth);
+
+    expect(deleted.body.message).toBe('Cohort deleted successfully');
+    expect((await WaitlistEntry.findOne()).cancelReason).toBe('Cohort was removed');
+    expect(deactivated.body.message).toBe('Cohort deactivated (has enrollments)');
+    expect((await Cohort.findById(cohort._id)).isActive).toBe(false);
+  });
+
+  it("shows managers the cohort's roster and progress", async () => {
+    await Enrollment.create({ student: student._id, course: course._id, cohort: cohort._id, progress: 100 });
+    await Enrollment.create({ student: (await createUser())._id, course: course._id, cohort: cohort._id, progress: 50 });
+
+    const res = await request(app).get(`/api/cohorts/${cohort._id}/roster`).set(instructorAuth);
+    const forbidden = await request(app).get(`/api/cohorts/${cohort._id}/roster`).set(studentAuth);
+
+    expect(res.body.data.summary).toEqual({ enrolled: 2, completed: 1, averageProgress: 75, waitlisted: 0 });
+    expect(res.body.data.roster.map(r => r.student.name)).toContain(student.name);
+    expect(forbidden.status).toBe(403);
+  });
+});
+
+describe('joining a cohort', () => {
+  it('is required for cohort-based courses', async () => {
+    const res = await enroll();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('This course runs in cohorts; choose a cohort to join');
+    expect(res.body.cohorts.map(c => c.name)).toEqual(['Spring']);
+  });
+
+  it('enrolls the student in the chosen cohort', async () => {
+    const res = await enroll(cohort._id);
+
+    expect(res.status).toBe(201);
+    expect((await Enrollment.findOne({ student: student._id })).cohort).toEqual(cohort._id);
+  });
+
+  it('refuses unknown, finished and inactive cohorts', async () => {
+    const finished = await createCohort({ name: 'Finished', startDate: daysFromNow(-90), endDate: daysFromNow(-30) });
+    const inactive = await createCohort({ name: 'Cancelled', isActive: false });
+    const otherCourse = await Cohort.create({
+      course: (await createCourse())._id,
+      name: 'Elsewhere',
+      startDate: daysFromNow(1),
+      endDate: daysFromNow(30)
+    });
+
+    expect((await enroll(new mongoose.Types.ObjectId())).status).toBe(404);
+    expect((await enroll(otherCourse._id)).status).toBe(404);
+    expect((await enroll(finished._id)).body.message).toBe('This cohort is no longer open for enrollment');
+    expect((await enroll(inactive._id)).status).toBe(400);
+  });
+});
+
+describe('drip unlock', () => {
+  let enrollment;
+
+  beforeEach(async () => {
+    enrollment = await Enrollment.create({ student: student._id, course: course._id, cohort: cohort._id });
+  });
+
+  it('refuses to complete lessons of modules that are still locked', async () => {
+    const unlocksAt = new Date(cohort.startDate.getTime() + 7 * DAY_MS);
+
+    const open = await completeLesson(enrollment, 0);
+    const locked = await completeLesson(enrollment, 1);
+
+    expect(open.status).toBe(200);
+    expect(locked.status).toBe(403);
+    expect(locked.body.message).toBe(`This module unlocks on ${unlocksAt.toISOString()}`);
+  });
+
+  it('unlocks modules as the weeks pass', async () => {
+    await cohort.updateOne({ startDate: daysFromNow(-8) });
+
+    expect((await completeLesson(enrollment, 1)).status).toBe(200);
+  });
+
+  it('lists locked lessons without their content', async () => {
+    const res = await request(app).get(`/api/courses/${course._id}/modules`).set(studentAuth);
+
+    const [first, second] = res.body.data.modules;
+    expect(first.locked).toBe(false);
+    expect(first.lessons[0].content).toEqual(expect.any(String));
+    expect(second.locked).toBe(true);
+    expect(second.lessons[0]).not.toHaveProperty('content');
+    expect(res.body.data.cohort.name).toBe('Spring');
+  });
+
+  it('does not apply to self-paced enrollments', async () => {
+    await enrollment.updateOne({ cohort: null });
+
+    const res = await request(app).get(`/api/courses/${course._id}/modules`).set(studentAuth);
+
+    expect((await completeLesson(enrollment, 1)).status).toBe(200);
+    expect(res.body.data.modules[1]).not.toHaveProperty('locked');
+  });
+});
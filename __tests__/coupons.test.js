@@ -0,0 +1,241 @@
+// Coupons: admin management, price quotes, and redemption limits enforced as orders reserve,
+// complete and release their coupon uses.
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Enrollment = require('../models/Enrollment');
+const adminRoutes = require('../routes/admin');
+const courseRoutes = require('../routes/courses');
+const orderRoutes = require('../routes/orders');
+
+const app = createApp({
+  '/api/admin': adminRoutes,
+  '/api/courses': courseRoutes,
+  '/api/orders': orderRoutes
+});
+
+let adminAuth;
+let studentAuth;
+let course;
+
+const createCoupon = (attrs = {}) => Coupon.create({ code: 'SAVE20', discountType: 'percentage', value: 20, ...attrs });
+
+const quote = (code, target = course, auth = studentAuth) =>
+  request(app).post(`/api/courses/${target._id}/price-quote`).set(auth).send({ code });
+
+const order = (couponCode, target = course, auth = studentAuth) =>
+  request(app).post('/api/orders').set(auth).send({ courseId: target._id, couponCode });
+
+const pay = (orderId, auth = studentAuth) =>
+  request(app).post(`/api/orders/${orderId}/confirm`).set(auth).send({ paymentDetails: { token: 'tok_visa' } });
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  adminAuth = await signIn(await createUser({ role: 'admin' }));
+  studentAuth = await signIn(await createUser());
+  course = await createCourse({ price: 49 });
+});
+
+describe('managing coupons', () => {
+  const create = (body, auth = adminAuth) => request(app).post('/api/admin/coupons').set(auth).send(body);
+
+  it('creates a coupon with a normalized code', async () => {
+    const res = await create({ code: ' spring-24 ', discountType: 'fixed', value: 10, maxRedemptions: 50 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.coupon).toMatchObject({ code: 'SPRING-24', redemptionCount: 0, perUserLimit: 1 });
+  });
+
+  it('rejects duplicate codes and invalid discounts', async () => {
+    await createCoupon();
+
+    const duplicate = await create({ code: 'save20', discountType: 'fixed', value: 5 });
+    const overHundred = await create({ code: 'HALFOFF', discountType: 'percentage', value: 150 });
+    const backwards = await create({
+      code: 'WINDOW',
+      discountType: 'fixed',
+      value: 5,
+      startsAt: '2026-06-01',
+      expiresAt: '2026-05-01'
+    });
+
+    expect(duplicate.body.message).toBe('Coupon code already exists');
+    [duplicate, overHundred, backwards].forEach(res => expect(res.status).toBe(400));
+  });
+
+  it('is limited to admins', async () => {
+    expect((await create({ code: 'MINE', discountType: 'fixed', value: 5 }, studentAuth)).status).toBe(403);
+  });
+
+  it('deletes unused coupons and deactivates redeemed ones', async () => {
+    const unused = await createCoupon({ code: 'UNUSED' });
+    const used = await createCoupon();
+    await order('SAVE20');
+
+    const deleted = await request(app).delete(`/api/admin/coupons/${unused._id}`).set(adminAuth);
+    const deactivated = await request(app).delete(`/api/admin/coupons/${used._id}`).set(adminAuth);
+
+    expect(deleted.body.message).toBe('Coupon deleted successfully');
+    expect(deactivated.body.message).toBe('Coupon deactivated (has redemptions)');
+    expect(await Coupon.exists({ _id: unused._id })).toBeNull();
+    expect((await Coupon.findById(used._id)).isActive).toBe(false);
+  });
+
+  it('answers 404 for unknown or malformed coupon ids', async () => {
+    const unknown = await request(app).put(`/api/admin/coupons/${course._id}`).set(adminAuth).send({ value: 5 });
+    const malformed = await request(app).delete('/api/admin/coupons/nope').set(adminAuth);
+    const redemptions = await request(app).get('/api/admin/coupons/nope/redemptions').set(adminAuth);
+
+    expect(unknown.status).toBe(404);
+    expect(malformed.status).toBe(404);
+    expect(redemptions.status).toBe(404);
+  });
+
+  it("lists a coupon's redemptions by status", async () => {
+    const coupon = await createCoupon();
+    await order('SAVE20');
+
+    const reserved = await request(app).get(`/api/admin/coupons/${coupon._id}/redemptions?status=reserved`).set(adminAuth);
+    const completed = await request(app).get(`/api/admin/coupons/${coupon._id}/redemptions?status=completed`).set(adminAuth);
+
+    expect(reserved.body.data.redemptions).toEqual([
+      expect.objectContaining({ code: 'SAVE20', finalPrice: 39.2, course: expect.objectContaining({ title: course.title }) })
+    ]);
+    expect(completed.body.data.redemptions).toHaveLength(0);
+  });
+});
+
+describe('POST /api/courses/:id/price-quote', () => {
+  it('applies percentage and fixed discounts, never below zero', async () => {
+    await createCoupon();
+    await createCoupon({ code: 'BIGDEAL', discountType: 'fixed', value: 80 });
+
+    const percentage = await quote('save20');
+    const fixed = await quote('BIGDEAL');
+
+    expect(percentage.status).toBe(200);
+    expect(percentage.body.data.quote).toMatchObject({ listPrice: 49, discount: 9.8, finalPrice: 39.2 });
+    expect(percentage.body.data.quote.coupon.code).toBe('SAVE20');
+    expect(fixed.body.data.quote).toMatchObject({ discount: 49, finalPrice: 0 });
+  });
+
+  it('quotes the list price without a code', async () => {
+    const res = await quote();
+
+    expect(res.body.data.quote).toMatchObject({ listPrice: 49, discount: 0, finalPrice: 49, coupon: null });
+  });
+
+  it.each([
+    ['inactive', { isActive: false }, 'This coupon is no longer active'],
+    ['not yet valid', { startsAt: new Date(Date.now() + 60000) }, 'This coupon is not valid yet'],
+    ['expired', { expiresAt: new Date(Date.now() - 60000) }, 'This coupon has expired'],
+    ['used up', { maxRedemptions: 3, redemptionCount: 3 }, 'This coupon has reached its usage limit']
+  ])('refuses a coupon that is %s', async (description, attrs, message) => {
+    await createCoupon(attrs);
+
+    const res = await quote('SAVE20');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(message);
+  });
+
+  it('refuses coupons for other courses and for free courses', async () => {
+    const other = await createCourse({ price: 20 });
+    const free = await createCourse();
+    await createCoupon({ courses: [other._id] });
+    await createCoupon({ code: 'SITEWIDE' });
+
+    const elsewhere = await quote('SAVE20');
+    const onFree = await quote('SITEWIDE', free);
+
+    expect(elsewhere.body.message).toBe('This coupon does not apply to this course');
+    expect(onFree.body.message).toBe('Coupons only apply to paid courses');
+    expect((await quote('SAVE20', other)).status).toBe(200);
+  });
+
+  it('answers 404 for unknown codes and courses', async () => {
+    expect((await quote('NOSUCHCODE')).status).toBe(404);
+    expect((await request(app).post('/api/courses/nope/price-quote').set(studentAuth).send({})).status).toBe(404);
+  });
+});
+
+describe('redemption limits', () => {
+  it('holds a use while an order is open and gives it back when the order is cancelled', async () => {
+    await createCoupon({ maxRedemptions: 1 });
+    const otherAuth = await signIn(await createUser());
+
+    const first = await order('SAVE20');
+    expect(first.status).toBe(201);
+    expect(first.body.data.order).toMatchObject({ amount: 39.2, discount: 9.8, couponCode: 'SAVE20' });
+
+    const refused = await order('SAVE20', course, otherAuth);
+    expect(refused.status).toBe(400);
+    expect(refused.body.message).toBe('This coupon has reached its usage limit');
+
+    await request(app).post(`/api/orders/${first.body.data.order._id}/cancel`).set(studentAuth);
+    expect((await Coupon.findOne({ code: 'SAVE20' })).redemptionCount).toBe(0);
+    expect((await order('SAVE20', course, otherAuth)).status).toBe(201);
+  });
+
+  it('limits each student to perUserLimit completed uses', async () => {
+    await createCoupon({ perUserLimit: 1 });
+    const second = await createCourse({ title: 'More Testing', price: 30 });
+
+    const paid = await order('SAVE20');
+    await pay(paid.body.data.order._id);
+
+    const res = await quote('SAVE20', second);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('You have already used this coupon');
+    expect((await CouponRedemption.findOne()).status).toBe('completed');
+  });
+
+  it("does not count the student's open order for the same course", async () => {
+    await createCoupon({ perUserLimit: 1 });
+    await order('SAVE20');
+
+    expect((await quote('SAVE20')).status).toBe(200);
+    expect((await order('SAVE20')).status).toBe(200);
+    expect(await CouponRedemption.countDocuments({ status: 'reserved' })).toBe(1);
+  });
+
+  it('fulfills an order the coupon makes free without payment', async () => {
+    await createCoupon({ value: 100 });
+
+    const res = await order('SAVE20');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.order).toMatchObject({ amount: 0, status: 'paid', provider: 'none' });
+    expect(await Enrollment.exists({ course: course._id, isActive: true })).toBeTruthy();
+  });
+});
+
+describe('GET /api/admin/reports/coupons', () => {
+  it('totals completed redemptions per code', async () => {
+    await createCoupon();
+    const otherAuth = await signIn(await createUser());
+
+    const paid = await order('SAVE20');
+    await pay(paid.body.data.order._id);
+    await order('SAVE20', course, otherAuth);
+
+    const res = await request(app).get('/api/admin/reports/coupons').set(adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.coupons).toEqual([
+      expect.objectContaining({ code: 'SAVE20', redemptions: 1, uniqueStudents: 1, totalDiscount: 9.8, revenue: 39.2 })
+    ]);
+    expect(res.body.data.totals).toEqual({ redemptions: 1, totalDiscount: 9.8, revenue: 39.2 });
+  });
+
+  it('rejects invalid dates', async () => {
+    expect((await request(app).get('/api/admin/reports/coupons?from=soon').set(adminAuth)).status).toBe(400);
+  });
+});
@@ -0,0 +1,104 @@
+// The course catalog: sorting and filtering published courses, with facet counts per category
+// and difficulty.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, createCourse } = require('./helpers/api');
+
+const Course = require('../models/Course');
+const courseRoutes = require('../routes/courses');
+
+const app = createApp({ '/api/courses': courseRoutes });
+
+// A single lesson of the given length, which sets the course's totalMinutes
+const lasting = (minutes) => [{ title: 'Everything', lessons: [{ title: 'All of it', estimatedMinutes: minutes }] }];
+
+let owner;
+
+const catalog = async (query = '') => {
+  const res = await request(app).get(`/api/courses?${query}`);
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+const titles = async (query) => (await catalog(query)).courses.map(course => course.title);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  owner = await createUser({ role: 'instructor' });
+
+  const courses = await Promise.all([
+    createCourse({
+      title: 'Algorithms', description: 'Sorting and searching', instructor: 'Ada Lovelace', owner: owner._id,
+      category: 'Programming', difficulty: 'Advanced', price: 50, averageRating: 4.8, enrollmentCount: 10, modules: lasting(60)
+    }),
+    createCourse({
+      title: 'Baking', description: 'Bread and pastry', category: 'Cooking', difficulty: 'Beginner',
+      price: 0, averageRating: 3.5, enrollmentCount: 30, modules: lasting(400)
+    }),
+    createCourse({
+      title: 'Calculus', description: 'Limits and derivatives', category: 'Math', difficulty: 'Intermediate',
+      price: 20, averageRating: 4.2, enrollmentCount: 5, modules: lasting(200)
+    }),
+    createCourse({
+      title: 'Databases', description: 'Indexes and transactions', category: 'Programming', difficulty: 'Beginner',
+      price: 10, averageRating: 4.9, enrollmentCount: 99, status: 'draft'
+    })
+  ]);
+
+  // Created a day apart, Algorithms first
+  await Promise.all(courses.map((course, i) =>
+    Course.collection.updateOne({ _id: course._id }, { $set: { createdAt: new Date(Date.UTC(2026, 0, i + 1)) } })
+  ));
+});
+
+describe('GET /api/courses sorting', () => {
+  it.each([
+    ['', ['Calculus', 'Baking', 'Algorithms']],
+    ['sort=oldest', ['Algorithms', 'Baking', 'Calculus']],
+    ['sort=title', ['Algorithms', 'Baking', 'Calculus']],
+    ['sort=rating', ['Algorithms', 'Calculus', 'Baking']],
+    ['sort=popular', ['Baking', 'Algorithms', 'Calculus']],
+    ['sort=price-low', ['Baking', 'Calculus', 'Algorithms']],
+    ['sort=price-high', ['Algorithms', 'Calculus', 'Baking']],
+    ['sort=bogus', ['Calculus', 'Baking', 'Algorithms']]
+  ])('orders published courses for "%s"', async (query, expected) => {
+    expect(await titles(query)).toEqual(expected);
+  });
+
+  it('ranks search results by relevance unless another sort is asked for', async () => {
+    expect(await titles('search=limits%20sorting%20searching')).toEqual(['Algorithms', 'Calculus']);
+    expect(await titles('search=limits%20sorting%20searching&sort=price-low')).toEqual(['Calculus', 'Algorithms']);
+  });
+});
+
+describe('GET /api/courses filtering', () => {
+  it.each([
+    ['free=true', ['Baking']],
+    ['minPrice=10&maxPrice=30', ['Calculus']],
+    ['minRating=4', ['Calculus', 'Algorithms']],
+    ['instructor=ada%20LOVELACE', ['Algorithms']],
+    ['duration=short,long', ['Baking', 'Algorithms']],
+    ['duration=medium', ['Calculus']],
+    ['category=Programming', ['Algorithms']],
+    ['category=all&difficulty=Beginner', ['Baking']]
+  ])('filters with "%s"', async (query, expected) => {
+    expect(await titles(query)).toEqual(expected);
+  });
+
+  it('filters by instructor id', async () => {
+    expect(await titles(`instructor=${owner._id}`)).toEqual(['Algorithms']);
+  });
+
+  it('counts facets with every filter but their own', async () => {
+    const { facets, categories } = await catalog('category=Programming&minPrice=1');
+
+    expect(facets.category).toEqual([
+      { value: 'Math', count: 1 },
+      { value: 'Programming', count: 1 }
+    ]);
+    expect(facets.difficulty).toEqual([{ value: 'Advanced', count: 1 }]);
+    expect(categories.sort()).toEqual(['Cooking', 'Math', 'Programming']);
+  });
+});
@@ -0,0 +1,152 @@
+// Course ownership: instructors own the courses they create, and only the owner or an admin may
+// edit, archive or delete them.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const courseRoutes = require('../routes/courses');
+const instructorRoutes = require('../routes/instructor');
+
+const app = createApp({
+  '/api/courses': courseRoutes,
+  '/api/instructor': instructorRoutes
+});
+
+const courseBody = {
+  title: 'Distributed Systems',
+  description: 'Consensus, replication and failure',
+  difficulty: 'Advanced',
+  duration: '8 weeks',
+  category: 'Programming'
+};
+
+let instructor;
+let instructorAuth;
+let otherInstructorAuth;
+let adminAuth;
+let studentAuth;
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  instructor = await createUser({ name: 'Leslie Lamport', role: 'instructor' });
+  instructorAuth = await signIn(instructor);
+  otherInstructorAuth = await signIn(await createUser({ role: 'instructor' }));
+  adminAuth = await signIn(await createUser({ role: 'admin' }));
+  studentAuth = await signIn(await createUser());
+});
+
+describe('POST /api/courses', () => {
+  it('makes the creating instructor the owner of a new draft', async () => {
+    const res = await request(app)
+      .post('/api/courses')
+      .set(instructorAuth)
+      .send({ ...courseBody, owner: '000000000000000000000000', status: 'published' });
+
+    expect(res.status).toBe(201);
+    const course = await Course.findById(res.body.data.course._id);
+    expect(course.owner.toString()).toBe(instructor._id.toString());
+    expect(course.instructor).toBe('Leslie Lamport');
+    expect(course.status).toBe('draft');
+  });
+
+  it('is not open to students', async () => {
+    const res = await request(app).post('/api/courses').set(studentAuth).send(courseBody);
+
+    expect(res.status).toBe(403);
+    expect(await Course.countDocuments()).toBe(0);
+  });
+
+  it('lets admins create a course on behalf of an instructor, but not instructors', async () => {
+    const otherInstructor = await createUser({ role: 'instructor' });
+
+    const byAdmin = await request(app).post('/api/courses').set(adminAuth).send({ ...courseBody, ownerId: instructor._id });
+    const byInstructor = await request(app).post('/api/courses').set(instructorAuth).send({ ...courseBody, ownerId: otherInstructor._id });
+    const toStudent = await request(app).post('/api/courses').set(adminAuth).send({ ...courseBody, ownerId: (await createUser())._id });
+
+    expect(byAdmin.status).toBe(201);
+    expect(byAdmin.body.data.course.owner).toBe(instructor._id.toString());
+    expect(byInstructor.body.data.course.owner).toBe(instructor._id.toString());
+    expect(toStudent.status).toBe(400);
+  });
+});
+
+describe('changing a course', () => {
+  let course;
+
+  beforeEach(async () => {
+    course = await createCourse({ owner: instructor._id });
+  });
+
+  it('lets the owner and admins update it', async () => {
+    const byOwner = await request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ title: 'Renamed by owner' });
+    const byAdmin = await request(app).put(`/api/courses/${course._id}`).set(adminAuth).send({ price: 49 });
+
+    expect(byOwner.status).toBe(200);
+    expect(byAdmin.status).toBe(200);
+    expect(await Course.findById(course._id)).toMatchObject({ title: 'Renamed by owner', price: 49 });
+  });
+
+  it('forbids other instructors and students from updating it', async () => {
+    const byOther = await request(app).put(`/api/courses/${course._id}`).set(otherInstructorAuth).send({ title: 'Hijacked' });
+    const byStudent = await request(app).put(`/api/courses/${course._id}`).set(studentAuth).send({ title: 'Hijacked' });
+
+    expect(byOther.status).toBe(403);
+    expect(byStudent.status).toBe(403);
+    expect((await Course.findById(course._id)).title).toBe('Intro to Testing');
+  });
+
+  it('does not let the owner hand the course to someone else', async () => {
+    const otherInstructor = await createUser({ role: 'instructor' });
+
+    await request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ ownerId: otherInstructor._id, owner: otherInstructor._id });
+
+    expect((await Course.findById(course._id)).owner.toString()).toBe(instructor._id.toString());
+  });
+
+  it('lets only the owner or an admin archive it', async () => {
+    const byOther = await request(app).put(`/api/courses/${course._id}/status`).set(otherInstructorAuth).send({ status: 'archived' });
+    const byOwner = await request(app).put(`/api/courses/${course._id}/status`).set(instructorAuth).send({ status: 'archived' });
+
+    expect(byOther.status).toBe(403);
+    expect(byOwner.status).toBe(200);
+    expect((await Course.findById(course._id)).status).toBe('archived');
+  });
+
+  it('lets only the owner or an admin delete it', async () => {
+    const byOther = await request(app).delete(`/api/courses/${course._id}`).set(otherInstructorAuth);
+    expect(byOther.status).toBe(403);
+    expect(await Course.exists({ _id: course._id })).toBeTruthy();
+
+    const byOwner = await request(app).delete(`/api/courses/${course._id}`).set(instructorAuth);
+    expect(byOwner.status).toBe(200);
+    expect(await Course.exists({ _id: course._id })).toBeNull();
+
+    const adminsCourse = await createCourse({ owner: instructor._id });
+    expect((await request(app).delete(`/api/courses/${adminsCourse._id}`).set(adminAuth)).status).toBe(200);
+  });
+});
+
+describe('GET /api/instructor/courses', () => {
+  it("lists only the instructor's own courses with their enrollment counts", async () => {
+    const own = await createCourse({ owner: instructor._id, title: 'Mine' });
+    await createCourse({ owner: (await createUser({ role: 'instructor' }))._id, title: 'Theirs' });
+    const student = await createUser();
+    await Enrollment.create({ student: student._id, course: own._id, progress: 100 });
+
+    const res = await request(app).get('/api/instructor/courses').set(instructorAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.courses).toHaveLength(1);
+    expect(res.body.data.courses[0]).toMatchObject({ title: 'Mine', enrolledStudents: 1, completedStudents: 1 });
+  });
+
+  it('is not available to students', async () => {
+    const res = await request(app).get('/api/instructor/courses').set(studentAuth);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,126 @@
+// Denormalized course stats: ratings and enrollment counts follow reviews, moderation and
+// enrollments, and can be rebuilt when they drift.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Review = require('../models/Review');
+const adminRoutes = require('../routes/admin');
+const courseRoutes = require('../routes/courses');
+const enrollmentRoutes = require('../routes/enrollments');
+const reviewRoutes = require('../routes/reviews');
+
+const app = createApp({
+  '/api/admin': adminRoutes,
+  '/api/courses': courseRoutes,
+  '/api/enrollments': enrollmentRoutes,
+  '/api/reviews': reviewRoutes
+});
+
+let course;
+let adminAuth;
+
+const stats = async () => {
+  const { averageRating, reviewCount, ratingTotal, enrollmentCount } = await Course.findById(course._id);
+  return { averageRating, reviewCount, ratingTotal, enrollmentCount };
+};
+
+// An enrolled student who reviews the course
+const review = async (rating) => {
+  const student = await createUser();
+  await Enrollment.create({ student: student._id, course: course._id });
+  const auth = await signIn(student);
+  const res = await request(app)
+    .post('/api/reviews')
+    .set(auth)
+    .send({ courseId: course._id, rating, comment: 'A thorough and practical course' });
+  expect(res.status).toBe(201);
+  return { auth, review: res.body.data.review };
+};
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  course = await createCourse();
+  adminAuth = await signIn(await createUser({ role: 'admin' }));
+});
+
+describe('rating stats', () => {
+  it('follow reviews being created, edited and deleted', async () => {
+    const first = await review(5);
+    await review(4);
+    expect(await stats()).toMatchObject({ averageRating: 4.5, reviewCount: 2, ratingTotal: 9 });
+
+    await request(app)
+      .put(`/api/reviews/${first.review._id}`)
+      .set(first.auth)
+      .send({ rating: 1, comment: 'Changed my mind about it' });
+    expect(await stats()).toMatchObject({ averageRating: 2.5, reviewCount: 2, ratingTotal: 5 });
+
+    await request(app).delete(`/api/reviews/${first.review._id}`).set(first.auth);
+    expect(await stats()).toMatchObject({ averageRating: 4, reviewCount: 1, ratingTotal: 4 });
+  });
+
+  it('count only approved reviews', async () => {
+    await review(5);
+    const rejected = await review(1);
+
+    await request(app).put(`/api/admin/reviews/${rejected.review._id}/moderate`).set(adminAuth).send({ action: 'reject' });
+    expect(await stats()).toMatchObject({ averageRating: 5, reviewCount: 1 });
+
+    await request(app).put(`/api/admin/reviews/${rejected.review._id}/moderate`).set(adminAuth).send({ action: 'approve' });
+    expect(await stats()).toMatchObject({ averageRating: 3, reviewCount: 2 });
+  });
+
+  it('are returned under their established names', async () => {
+    await review(3);
+
+    const res = await request(app).get(`/api/courses/${course._id}`);
+
+    expect(res.body.data.course).toMatchObject({ rating: 3, reviewCount: 1 });
+  });
+});
+
+describe('enrollment count', () => {
+  it('follows enrolling, unenrolling and re-enrolling', async () => {
+    const auth = await signIn(await createUser());
+
+    const enrolled = await request(app).post('/api/enrollments').set(auth).send({ courseId: course._id });
+    expect(await stats()).toMatchObject({ enrollmentCount: 1 });
+
+    await request(app).delete(`/api/enrollments/${enrolled.body.data.enrollment._id}`).set(auth);
+    expect(await stats()).toMatchObject({ enrollmentCount: 0 });
+
+    await request(app).post('/api/enrollments').set(auth).send({ courseId: course._id });
+    expect(await stats()).toMatchObject({ enrollmentCount: 1 });
+    expect((await request(app).get(`/api/courses/${course._id}`)).body.data.course.enrolledStudents).toBe(1);
+  });
+});
+
+describe('POST /api/admin/courses/repair-stats', () => {
+  it('rebuilds drifted counters from reviews and active enrollments', async () => {
+    const student = await createUser();
+    await Enrollment.create({ student: student._id, course: course._id });
+    await Enrollment.create({ student: (await createUser())._id, course: course._id, isActive: false });
+    await Review.create({ student: student._id, course: course._id, rating: 4, comment: 'Written before stats existed' });
+    await Course.updateOne({ _id: course._id }, { $set: { averageRating: 1, reviewCount: 7, ratingTotal: 7, enrollmentCount: 40, totalMinutes: 0 } });
+
+    const res = await request(app).post('/api/admin/courses/repair-stats').set(adminAuth).send({ courseIds: [course._id] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.updated).toBe(1);
+    expect(await stats()).toEqual({ averageRating: 4, reviewCount: 1, ratingTotal: 4, enrollmentCount: 1 });
+    expect((await Course.findById(course._id)).totalMinutes).toBe(60);
+  });
+
+  it('rejects malformed course ids and non-admins', async () => {
+    const malformed = await request(app).post('/api/admin/courses/repair-stats').set(adminAuth).send({ courseIds: ['nope'] });
+    const byStudent = await request(app).post('/api/admin/courses/repair-stats').set(await signIn(await createUser())).send({});
+
+    expect(malformed.status).toBe(400);
+    expect(byStudent.status).toBe(403);
+  });
+});
@@ -0,0 +1,145 @@
+// Course version history: every content edit is recorded, versions can be diffed, and restoring
+// one is itself recorded as a new version.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Course = require('../models/Course');
+const CourseVersion = require('../models/CourseVersion');
+const Enrollment = require('../models/Enrollment');
+const courseRoutes = require('../routes/courses');
+
+const app = createApp({ '/api/courses': courseRoutes });
+
+let instructor;
+let instructorAuth;
+let course;
+
+const versions = () => request(app).get(`/api/courses/${course._id}/versions`).set(instructorAuth);
+
+const restore = (version) => request(app).post(`/api/courses/${course._id}/versions/${version}/restore`).set(instructorAuth);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  instructor = await createUser({ role: 'instructor' });
+  instructorAuth = await signIn(instructor);
+  course = await createCourse({ owner: instructor._id });
+});
+
+describe('recording versions', () => {
+  it('records a newly created course as version 1', async () => {
+    const res = await request(app)
+      .post('/api/courses')
+      .set(instructorAuth)
+      .send({ title: 'Compilers', description: 'Parsing to code generation', difficulty: 'Advanced', duration: '10 weeks', category: 'Programming' });
+
+    const history = await CourseVersion.find({ course: res.body.data.course._id });
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ version: 1, action: 'create' });
+    expect(history[0].snapshot.title).toBe('Compilers');
+  });
+
+  it('keeps the content from before the first edit of a course without history', async () => {
+    await request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ title: 'Testing in Depth' });
+
+    const res = await versions();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.versions).toEqual([
+      expect.objectContaining({ version: 2, action: 'update', summary: 'Updated title', author: expect.objectContaining({ name: instructor.name }) }),
+      expect.objectContaining({ version: 1, action: 'create', author: null })
+    ]);
+    expect(res.body.data.versions[0]).not.toHaveProperty('snapshot');
+    expect((await CourseVersion.findOne({ course: course._id, version: 1 })).snapshot.title).toBe('Intro to Testing');
+  });
+
+  it('records lesson edits', async () => {
+    await request(app)
+      .post(`/api/courses/${course._id}/modules/0/lessons`)
+      .set(instructorAuth)
+      .send({ title: 'Mocks', type: 'reading' });
+
+    const [latest] = (await versions()).body.data.versions;
+    expect(latest).toMatchObject({ version: 2, action: 'lesson_add', summary: 'Added lesson "Mocks" to module "Basics"' });
+  });
+});
+
+describe('comparing versions', () => {
+  it('lists the changes between a version and the current content', async () => {
+    await request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ title: 'Testing in Depth', price: 30 });
+
+    const res = await request(app).get(`/api/courses/${course._id}/versions/diff?from=1`).set(instructorAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.to).toBe('current');
+    expect(res.body.data.changes).toEqual(expect.arrayContaining([
+      { path: 'title', type: 'changed', from: 'Intro to Testing', to: 'Testing in Depth' },
+      { path: 'price', type: 'changed', from: 0, to: 30 }
+    ]));
+  });
+
+  it('rejects bad version numbers', async () => {
+    await request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ title: 'Testing in Depth' });
+
+    const malformed = await request(app).get(`/api/courses/${course._id}/versions/diff?from=one`).set(instructorAuth);
+    const unknown = await request(app).get(`/api/courses/${course._id}/versions/diff?from=1&to=9`).set(instructorAuth);
+    const single = await request(app).get(`/api/courses/${course._id}/versions/9`).set(instructorAuth);
+
+    expect(malformed.status).toBe(400);
+    expect(unknown.status).toBe(404);
+    expect(single.status).toBe(404);
+  });
+});
+
+describe('POST /api/courses/:id/versions/:version/restore', () => {
+  it('brings back old content as a new version, which can be undone as well', async () => {
+    await request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ title: 'Testing in Depth' });
+
+    const res = await restore(1);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.version).toBe(3);
+    expect((await Course.findById(course._id)).title).toBe('Intro to Testing');
+    expect(await CourseVersion.findOne({ course: course._id, version: 3 })).toMatchObject({ action: 'restore', restoredFrom: 1 });
+
+    await restore(2);
+    expect((await Course.findById(course._id)).title).toBe('Testing in Depth');
+  });
+
+  it('leaves the status and owner alone', async () => {
+    await request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ title: 'Testing in Depth' });
+    await Course.updateOne({ _id: course._id }, { $set: { status: 'archived' } });
+
+    await restore(1);
+
+    const saved = await Course.findById(course._id);
+    expect(saved.status).toBe('archived');
+    expect(saved.owner.toString()).toBe(instructor._id.toString());
+  });
+
+  it("moves students' progress along with the restored lessons", async () => {
+    const student = await createUser();
+    await Enrollment.create({ student: student._id, course: course._id, completedLessons: [{ moduleIndex: 0, lessonIndex: 0 }] });
+    await request(app)
+      .post(`/api/courses/${course._id}/modules/0/lessons`)
+      .set(instructorAuth)
+      .send({ title: 'Warm-up', type: 'reading', position: 0 });
+    expect((await Enrollment.findOne({ student: student._id })).completedLessons[0].lessonIndex).toBe(1);
+
+    await restore(1);
+
+    expect((await Enrollment.findOne({ student: student._id })).completedLessons[0]).toMatchObject({ moduleIndex: 0, lessonIndex: 0 });
+  });
+
+  it('is limited to the course owner', async () => {
+    const otherAuth = await signIn(await createUser({ role: 'instructor' }));
+
+    const list = await request(app).get(`/api/courses/${course._id}/versions`).set(otherAuth);
+    const res = await request(app).post(`/api/courses/${course._id}/versions/1/restore`).set(otherAuth);
+
+    expect(list.status).toBe(403);
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,130 @@
+// The publishing workflow: owners submit drafts for review, approvers publish or schedule them, and
+// only published courses are visible to the public.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Course = require('../models/Course');
+const adminRoutes = require('../routes/admin');
+const courseRoutes = require('../routes/courses');
+
+const app = createApp({
+  '/api/admin': adminRoutes,
+  '/api/courses': courseRoutes
+});
+
+const HOUR = 60 * 60 * 1000;
+
+let instructorAuth;
+let admin;
+let adminAuth;
+let course;
+
+const changeStatus = (body, auth) => request(app).put(`/api/courses/${course._id}/status`).set(auth).send(body);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  const instructor = await createUser({ role: 'instructor' });
+  instructorAuth = await signIn(instructor);
+  admin = await createUser({ role: 'admin' });
+  adminAuth = await signIn(admin);
+  course = await createCourse({ owner: instructor._id, status: 'draft' });
+});
+
+describe('PUT /api/courses/:id/status', () => {
+  it('lets the owner submit a draft for review, which puts it in the review queue', async () => {
+    const res = await changeStatus({ status: 'in_review' }, instructorAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.course.status).toBe('in_review');
+    expect(res.body.data.course.review.submittedAt).toBeTruthy();
+
+    const queue = await request(app).get('/api/admin/courses/review-queue').set(adminAuth);
+    expect(queue.body.data.courses.map(c => c._id)).toEqual([course._id.toString()]);
+  });
+
+  it('does not accept a course without lessons for review', async () => {
+    await Course.updateOne({ _id: course._id }, { $set: { modules: [] } });
+
+    const res = await changeStatus({ status: 'in_review' }, instructorAuth);
+
+    expect(res.status).toBe(400);
+    expect((await Course.findById(course._id)).status).toBe('draft');
+  });
+
+  it('does not let the owner publish without approval', async () => {
+    const fromDraft = await changeStatus({ status: 'published' }, instructorAuth);
+    await changeStatus({ status: 'in_review' }, instructorAuth);
+    const fromReview = await changeStatus({ status: 'published' }, instructorAuth);
+
+    expect(fromDraft.status).toBe(403);
+    expect(fromReview.status).toBe(403);
+    expect((await Course.findById(course._id)).status).toBe('in_review');
+  });
+
+  it('records the reviewer when an admin approves a course', async () => {
+    await changeStatus({ status: 'in_review' }, instructorAuth);
+
+    const res = await changeStatus({ status: 'published', notes: 'Looks good' }, adminAuth);
+
+    expect(res.status).toBe(200);
+    const saved = await Course.findById(course._id);
+    expect(saved.status).toBe('published');
+    expect(saved.publishedAt).toBeInstanceOf(Date);
+    expect(saved.review).toMatchObject({ notes: 'Looks good' });
+    expect(saved.review.reviewedBy.toString()).toBe(admin._id.toString());
+  });
+
+  it('schedules a course only for a future date', async () => {
+    const publishAt = new Date(Date.now() + HOUR);
+
+    const past = await changeStatus({ status: 'scheduled', publishAt: new Date(Date.now() - HOUR) }, adminAuth);
+    const missing = await changeStatus({ status: 'scheduled' }, adminAuth);
+    const future = await changeStatus({ status: 'scheduled', publishAt }, adminAuth);
+
+    expect(past.status).toBe(400);
+    expect(missing.status).toBe(400);
+    expect(future.status).toBe(200);
+    expect((await Course.findById(course._id)).publishAt).toEqual(publishAt);
+  });
+
+  it('rejects unknown statuses and transitions the workflow does not allow', async () => {
+    const unknown = await changeStatus({ status: 'live' }, adminAuth);
+    await changeStatus({ status: 'published' }, adminAuth);
+    const backToDraft = await changeStatus({ status: 'draft' }, adminAuth);
+
+    expect(unknown.status).toBe(400);
+    expect(backToDraft.status).toBe(400);
+    expect(backToDraft.body.message).toBe("Cannot change course status from 'published' to 'draft'");
+  });
+});
+
+describe('visibility', () => {
+  it('hides unpublished courses from the public but lets the owner preview them', async () => {
+    const publicView = await request(app).get(`/api/courses/${course._id}`);
+    const preview = await request(app).get(`/api/courses/${course._id}`).set(instructorAuth);
+    const catalog = await request(app).get('/api/courses');
+
+    expect(publicView.status).toBe(404);
+    expect(preview.status).toBe(200);
+    expect(preview.body.data.isPreview).toBe(true);
+    expect(catalog.body.data.courses).toHaveLength(0);
+  });
+});
+
+describe('Course.releaseScheduled', () => {
+  it('publishes scheduled courses whose date has come, and only those', async () => {
+    const due = new Date(Date.now() - 1000);
+    await Course.updateOne({ _id: course._id }, { $set: { status: 'scheduled', publishAt: due } });
+    const later = await createCourse({ status: 'scheduled', publishAt: new Date(Date.now() + HOUR) });
+
+    const released = await Course.releaseScheduled();
+
+    expect(released).toBe(1);
+    expect(await Course.findById(course._id)).toMatchObject({ status: 'published', publishedAt: due });
+    expect((await Course.findById(later._id)).status).toBe('scheduled');
+    expect((await request(app).get(`/api/courses/${course._id}`)).status).toBe(200);
+  });
+});
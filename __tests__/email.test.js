@@ -0,0 +1,58 @@
+// Mail transport selection: verification and reset links must never end up in production logs.
+const loadEmail = (env) => {
+  let email;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    email = require('../utils/email');
+  });
+  return email;
+};
+
+const message = { to: 'ada@example.com', subject: 'Reset your password', text: 'https://app/reset/secret-token' };
+
+let savedEnv;
+let log;
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  delete process.env.MAIL_TRANSPORT;
+  log = jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+  log.mockRestore();
+});
+
+describe('mail transport', () => {
+  it('refuses to default to the console transport in production', async () => {
+    const { sendEmail } = loadEmail({ NODE_ENV: 'production' });
+
+    await expect(sendEmail(message)).rejects.toThrow('MAIL_TRANSPORT must be set in production');
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('refuses an explicit console transport in production', async () => {
+    const { sendEmail } = loadEmail({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' });
+
+    await expect(sendEmail(message)).rejects.toThrow(/cannot be used in production/);
+  });
+
+  it('prints the message body in development', async () => {
+    const { sendEmail } = loadEmail({ NODE_ENV: 'development' });
+
+    await sendEmail(message);
+
+    expect(log.mock.calls[0][0]).toContain('secret-token');
+  });
+
+  it('leaves the message body out of the log outside development', async () => {
+    const { sendEmail } = loadEmail({ NODE_ENV: 'staging' });
+
+    await sendEmail(message);
+
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log.mock.calls[0][0]).toContain('Reset your password');
+    expect(log.mock.calls[0][0]).not.toContain('secret-token');
+  });
+});
@@ -0,0 +1,163 @@
+// Email verification: tokens sent on registration, the verify link, resending with a cooldown and
+// the optional enrollment gate.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse, captureEmails } = require('./helpers/api');
+
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const { hashToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+const enrollmentRoutes = require('../routes/enrollments');
+
+const app = createApp({
+  '/api/auth': authRoutes,
+  '/api/enrollments': enrollmentRoutes
+});
+
+let sent;
+
+const tokenFrom = (message) => message.text.match(/\/api\/auth\/verify-email\/([a-f0-9]+)/)[1];
+
+const verify = (token) => request(app).get(`/api/auth/verify-email/${token}`);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  sent = captureEmails();
+});
+
+describe('POST /api/auth/register', () => {
+  it('sends a verification link and stores only the hash of its token', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.emailVerified).toBe(false);
+    expect(res.body.user).not.toHaveProperty('emailVerificationToken');
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('ada@example.com');
+
+    const user = await User.findOne({ email: 'ada@example.com' });
+    const token = tokenFrom(sent[0]);
+    expect(user.emailVerificationToken).toBe(hashToken(token));
+    expect(user.emailVerificationToken).not.toBe(token);
+  });
+});
+
+describe('GET /api/auth/verify-email/:token', () => {
+  it('verifies the email once per token', async () => {
+    const user = await createUser();
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    const first = await verify(token);
+    const second = await verify(token);
+
+    expect(first.status).toBe(200);
+    expect((await User.findById(user._id)).emailVerified).toBe(true);
+    expect(second.status).toBe(400);
+    expect(second.body.message).toBe('Verification link is invalid or has expired');
+  });
+
+  it('rejects expired links', async () => {
+    const user = await createUser();
+    const token = user.createEmailVerificationToken();
+    user.emailVerificationSentAt = new Date(Date.now() - 25 * 60 * 60 * 1000);
+    await user.save();
+
+    const res = await verify(token);
+
+    expect(res.status).toBe(400);
+    expect((await User.findById(user._id)).emailVerified).toBe(false);
+  });
+
+  it('rejects unknown tokens', async () => {
+    const res = await verify('f'.repeat(64));
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/resend-verification', () => {
+  const resend = async (user) => request(app)
+    .post('/api/auth/resend-verification')
+    .set(await signIn(user));
+
+  it('enforces a cooldown between emails', async () => {
+    const user = await createUser();
+    user.createEmailVerificationToken();
+    await user.save();
+
+    const res = await resend(user);
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(sent).toHaveLength(0);
+  });
+
+  it('sends a new link after the cooldown and retires the previous one', async () => {
+    const user = await createUser();
+    const oldToken = user.createEmailVerificationToken();
+    user.emailVerificationSentAt = new Date(Date.now() - 2 * 60 * 1000);
+    await user.save();
+
+    const res = await resend(user);
+
+    expect(res.status).toBe(200);
+    expect(sent).toHaveLength(1);
+    expect((await verify(oldToken)).status).toBe(400);
+    expect((await verify(tokenFrom(sent[0]))).status).toBe(200);
+  });
+
+  it('refuses once the email is verified', async () => {
+    const user = await createUser({ emailVerified: true });
+
+    const res = await resend(user);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Email is already verified');
+  });
+});
+
+describe('REQUIRE_EMAIL_VERIFICATION', () => {
+  let course;
+
+  const enroll = async (user) => request(app)
+    .post('/api/enrollments')
+    .set(await signIn(user))
+    .send({ courseId: course._id.toString() });
+
+  beforeEach(async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+    course = await createCourse();
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  });
+
+  it('keeps unverified students from enrolling', async () => {
+    const res = await enroll(await createUser());
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Please verify your email address before continuing.');
+    expect(await Enrollment.countDocuments()).toBe(0);
+  });
+
+  it('lets verified students enroll', async () => {
+    const res = await enroll(await createUser({ emailVerified: true }));
+
+    expect(res.status).toBe(201);
+  });
+
+  it('is not enforced unless enabled', async () => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+
+    const res = await enroll(await createUser());
+
+    expect(res.status).toBe(201);
+  });
+});
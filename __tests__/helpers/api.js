@@ -0,0 +1,96 @@
+// Shared fixtures for the route tests: an app that mounts routers the way server.js does, users
+// with signed-in sessions, and courses with a little content.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const Course = require('../../models/Course');
+const errorHandler = require('../../middleware/errorHandler');
+const { createAuthTokens } = require('../../utils/refreshTokens');
+const { setTransport } = require('../../utils/email');
+
+// Register every model, as the server does by loading all routes, so populate() can reach them
+const MODELS_DIR = path.join(__dirname, '..', '..', 'models');
+fs.readdirSync(MODELS_DIR).forEach(file => require(path.join(MODELS_DIR, file)));
+
+const PASSWORD = 'password123';
+// Fixture users get a cheap hash: the schema's bcrypt cost would dominate the test run
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+// `routes` maps mount paths to routers, e.g. { '/api/courses': courseRoutes }
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+  return app;
+};
+
+let userCount = 0;
+
+// Inserts a user directly (skipping the hashing hook); their password is PASSWORD
+const createUser = async (attrs = {}) => {
+  userCount += 1;
+  const user = new User({
+    name: `User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: PASSWORD,
+    ...attrs
+  });
+  await user.validate();
+
+  const now = new Date();
+  await User.collection.insertOne({ ...user.toBSON(), password: PASSWORD_HASH, createdAt: now, updatedAt: now });
+  return User.findById(user._id);
+};
+
+// Authorization header for a fresh session of `user`
+const signIn = async (user) => {
+  const { token } = await createAuthTokens(user);
+  return { Authorization: `Bearer ${token}` };
+};
+
+// A published course with two modules of two lessons each, owned by `attrs.owner` if given
+const createCourse = (attrs = {}) => Course.create({
+  title: 'Intro to Testing',
+  description: 'Writing tests that catch real bugs',
+  instructor: 'Grace Hopper',
+  difficulty: 'Beginner',
+  duration: '4 weeks',
+  category: 'Programming',
+  status: 'published',
+  modules: [
+    { title: 'Basics', lessons: [{ title: 'Why test', estimatedMinutes: 10 }, { title: 'First test', estimatedMinutes: 20 }] },
+    { title: 'Practice', lessons: [{ title: 'Fixtures', estimatedMinutes: 15 }, { title: 'Mocks', estimatedMinutes: 15 }] }
+  ],
+  ...attrs
+});
+
+// Keeps sent emails in the returned array instead of delivering them
+const captureEmails = () => {
+  const sent = [];
+  setTransport({
+    name: 'memory',
+    send: async (message) => {
+      sent.push(message);
+      return {};
+    }
+  });
+  return sent;
+};
+
+module.exports = {
+  PASSWORD,
+  createApp,
+  createUser,
+  signIn,
+  createCourse,
+  captureEmails
+};
@@ -0,0 +1,417 @@
+// In-memory stand-in for the MongoDB database behind Mongoose, so tests exercise the real models,
+// middleware and queries without a server. Filters, updates and aggregations are evaluated by mingo;
+// unique indexes declared by the schemas are enforced and $text runs against text indexes.
+const mongoose = require('mongoose');
+const { BSON, MongoServerError } = require('mongodb');
+const mingo = require('mingo');
+
+// Stored documents are kept in BSON form so that nothing handed to or from Mongoose is shared
+const clone = (value) => BSON.deserialize(BSON.serialize({ value })).value;
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const cursorOf = (docs) => ({
+  toArray: async () => docs,
+  close: async () => {}
+});
+
+const TEXT_SCORE = '__textScore';
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  get namespace() {
+    return `test.${this.collectionName}`;
+  }
+
+  clear() {
+    this.docs = [];
+  }
+
+  // Indexes
+
+  async createIndex(spec, options = {}) {
+    const name = options.name || Object.entries(spec).map(([key, value]) => `${key}_${value}`).join('_');
+    if (!this.indexes.some(index => index.name === name)) {
+      this.indexes.push({ name, key: spec, ...options });
+    }
+    return name;
+  }
+
+  listIndexes() {
+    return cursorOf([{ name: '_id_', key: { _id: 1 } }, ...this.indexes]);
+  }
+
+  textFields() {
+    return this.indexes.flatMap(index => Object.keys(index.key).filter(key => index.key[key] === 'text'));
+  }
+
+  // Throws a duplicate key error if `doc` collides with another document on a unique index
+  assertUnique(doc, ignore = null) {
+    const indexes = [{ name: '_id_', key: { _id: 1 } }, ...this.indexes.filter(index => index.unique)];
+
+    for (const index of indexes) {
+      const fields = Object.keys(index.key);
+      const covers = (candidate) => {
+        if (index.partialFilterExpression && !new mingo.Query(index.partialFilterExpression).test(candidate)) return false;
+        return !index.sparse || fields.some(field => valueAt(candidate, field) !== undefined);
+      };
+      if (!covers(doc)) continue;
+
+      const keyOf = (candidate) => BSON.EJSON.stringify(fields.map(field => valueAt(candidate, field) ?? null), { relaxed: false });
+      const key = keyOf(doc);
+      const duplicate = this.docs.some(other => other !== ignore && covers(other) && keyOf(other) === key);
+      if (duplicate) {
+        const keyValue = Object.fromEntries(fields.map(field => [field, valueAt(doc, field) ?? null]));
+        throw new MongoServerError({
+          message: `E11000 duplicate key error collection: ${this.namespace} index: ${index.name} dup key: ${BSON.EJSON.stringify(keyValue)}`,
+          code: 11000,
+          codeName: 'DuplicateKey',
+          keyPattern: index.key,
+          keyValue
+        });
+      }
+    }
+  }
+
+  // Reads
+
+  // Matching stored documents, in `sort` order. A $text clause is scored against the text index.
+  select(filter = {}, { sort, projection, skip, limit } = {}) {
+    let candidates = this.docs;
+    let query = filter;
+    let scores = null;
+
+    if (filter.$text) {
+      const fields = this.textFields();
+      if (fields.length === 0) {
+        throw new MongoServerError({ message: 'text index required for $text query', code: 27, codeName: 'IndexNotFound' });
+      }
+      const words = filter.$text.$search.toLowerCase().split(/\W+/).filter(Boolean);
+      scores = new Map();
+      candidates = candidates.filter(doc => {
+        const tokens = new Set(fields.flatMap(field => [].concat(valueAt(doc, field) ?? []))
+          .flatMap(value => String(value).toLowerCase().split(/\W+/)));
+        const score = words.filter(word => tokens.has(word)).length;
+        if (score > 0) scores.set(doc, score);
+        return score > 0;
+      });
+      const { $text, ...rest } = filter;
+      query = rest;
+    }
+
+    let matched = mingo.find(candidates, query).all();
+    let metaFields = [];
+
+    if (scores) {
+      matched = matched.map(doc => ({ ...doc, [TEXT_SCORE]: scores.get(doc) }));
+    }
+    if (projection) {
+      metaFields = Object.keys(projection).filter(key => projection[key] && projection[key].$meta === 'textScore');
+      projection = Object.fromEntries(Object.entries(projection).filter(([key]) => !metaFields.includes(key)));
+    }
+    if (sort) {
+      sort = Object.fromEntries(Object.entries(sort).map(([key, direction]) =>
+        (direction && direction.$meta === 'textScore' ? [TEXT_SCORE, -1] : [key, direction])));
+    }
+
+    let cursor = mingo.find(matched, {});
+    if (sort && Object.keys(sort).length > 0) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    const selected = cursor.all();
+
+    return selected.map(doc => {
+      const score = doc[TEXT_SCORE];
+      const result = { ...(projection && Object.keys(projection).length > 0 ? mingo.find([doc], {}, projection).all()[0] : doc) };
+      delete result[TEXT_SCORE];
+      metaFields.forEach(field => { result[field] = score; });
+      return result;
+    });
+  }
+
+  // The stored documents matching `filter`, in natural order
+  matching(filter = {}, sort) {
+    const matched = mingo.find(this.docs, filter).all();
+    if (!sort || Object.keys(sort).length === 0) return matched;
+    return mingo.find(matched, {}).sort(sort).all();
+  }
+
+  async find(filter, options = {}) {
+    return cursorOf(this.select(filter, options).map(clone));
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? clone(doc) : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    return this.select(filter, { skip: options.skip, limit: options.limit }).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(key, filter = {}) {
+    const values = this.select(filter).flatMap(doc => [].concat(valueAt(doc, key) ?? []));
+    const seen = new Map();
+    values.forEach(value => seen.set(BSON.EJSON.stringify({ value }, { relaxed: false }), value));
+    return [...seen.values()].map(clone);
+  }
+
+  // As in MongoDB, $text is only allowed in a leading $match stage
+  async aggregate(pipeline, options = {}) {
+    const [first, ...rest] = pipeline;
+    const textSearch = first && first.$match && first.$match.$text;
+    const input = textSearch ? this.select(first.$match) : this.docs;
+    const results = mingo.aggregate(input.map(clone), clone(textSearch ? rest : pipeline), {
+      collectionResolver: name => this.db.collection(name).docs.map(clone)
+    });
+    return cursorOf(results.map(clone));
+  }
+
+  // Writes
+
+  insert(document) {
+    const doc = clone(document);
+    if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+    this.assertUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async insertOne(document) {
+    const doc = this.insert(document);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(documents) {
+    const docs = documents.map(document => this.insert(document));
+    return {
+      acknowledged: true,
+      insertedCount: docs.length,
+      insertedIds: Object.fromEntries(docs.map((doc, i) => [i, doc._id]))
+    };
+  }
+
+  // Applies `update` (operators or a pipeline) to a copy of `doc`; on insert $setOnInsert applies too
+  static applyUpdate(doc, update, { arrayFilters, inserting = false } = {}) {
+    const target = [clone(doc)];
+    const modifier = clone(update);
+
+    if (Array.isArray(modifier)) {
+      mingo.updateOne(target, {}, modifier);
+    } else {
+      const { $setOnInsert, ...operators } = modifier;
+      if (inserting && $setOnInsert) operators.$set = { ...$setOnInsert, ...operators.$set };
+      if (Object.keys(operators).length > 0) {
+        mingo.updateOne(target, {}, operators, arrayFilters ? { arrayFilters } : {});
+      }
+    }
+    return target[0];
+  }
+
+  // A new document for an upsert: the equality conditions of `filter` with `update` applied
+  upsertDocument(filter, update, options) {
+    const seed = {};
+    Object.entries(filter).forEach(([path, condition]) => {
+      if (path.startsWith('$')) return;
+      if (isOperatorObject(condition)) {
+        if ('$eq' in condition) mingo.update(seed, { $set: { [path]: condition.$eq } });
+        return;
+      }
+      mingo.update(seed, { $set: { [path]: condition } });
+    });
+
+    const doc = Array.isArray(update) || !update || Object.keys(update).some(key => key.startsWith('$'))
+      ? MemoryCollection.applyUpdate(seed, update, { ...options, inserting: true })
+      : { ...seed, ...clone(update) };
+    if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+    return doc;
+  }
+
+  // Replaces `doc` with `next`, enforcing unique indexes; returns whether anything changed
+  replace(doc, next) {
+    const changed = !Buffer.from(BSON.serialize(doc)).equals(Buffer.from(BSON.serialize(next)));
+    if (!changed) return false;
+    this.assertUnique(next, doc);
+    this.docs[this.docs.indexOf(doc)] = next;
+    return true;
+  }
+
+  update(filter, update, options = {}, { multi, replacement = false } = {}) {
+    const targets = this.matching(filter, options.sort);
+    const selected = multi ? targets : targets.slice(0, 1);
+
+    if (selected.length === 0) {
+      if (!options.upsert) return { matched: [], modified: 0, upserted: null };
+      const doc = replacement
+        ? { ...clone(update), _id: filter._id ?? new mongoose.Types.ObjectId() }
+        : this.upsertDocument(filter, update, options);
+      this.insert(doc);
+      return { matched: [], modified: 0, upserted: this.docs[this.docs.length - 1] };
+    }
+
+    let modified = 0;
+    const results = selected.map(doc => {
+      const next = replacement
+        ? { ...clone(update), _id: doc._id }
+        : MemoryCollection.applyUpdate(doc, update, options);
+      if (this.replace(doc, next)) modified++;
+      return { before: doc, after: this.docs.includes(next) ? next : doc };
+    });
+    return { matched: results, modified, upserted: null };
+  }
+
+  static updateResult({ matched, modified, upserted }) {
+    return {
+      acknowledged: true,
+      matchedCount: matched.length,
+      modifiedCount: modified,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? upserted._id : null
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return MemoryCollection.updateResult(this.update(filter, update, options, { multi: false }));
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return MemoryCollection.updateResult(this.update(filter, update, options, { multi: true }));
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return MemoryCollection.updateResult(this.update(filter, replacement, options, { multi: false, replacement: true }));
+  }
+
+  project(doc, projection) {
+    if (!doc) return null;
+    if (!projection || Object.keys(projection).length === 0) return clone(doc);
+    return clone(mingo.find([doc], {}, projection).all()[0]);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { matched, upserted } = this.update(filter, update, options, { multi: false });
+    const after = options.returnDocument === 'after';
+    const doc = upserted ? (after ? upserted : null) : matched.length ? matched[0][after ? 'after' : 'before'] : null;
+    const value = this.project(doc, options.projection);
+
+    if (!options.includeResultMetadata) return value;
+    return {
+      ok: 1,
+      value,
+      lastErrorObject: { n: matched.length || (upserted ? 1 : 0), updatedExisting: matched.length > 0, ...(upserted && { upserted: upserted._id }) }
+    };
+  }
+
+  remove(filter, { multi, sort } = {}) {
+    const targets = this.matching(filter, sort);
+    const removed = multi ? targets : targets.slice(0, 1);
+    this.docs = this.docs.filter(doc => !removed.includes(doc));
+    return removed;
+  }
+
+  async deleteOne(filter) {
+    return { acknowledged: true, deletedCount: this.remove(filter, { multi: false }).length };
+  }
+
+  async deleteMany(filter) {
+    return { acknowledged: true, deletedCount: this.remove(filter, { multi: true }).length };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.remove(filter, { multi: false, sort: options.sort });
+    const value = this.project(doc || null, options.projection);
+    return options.includeResultMetadata ? { ok: 1, value, lastErrorObject: { n: doc ? 1 : 0 } } : value;
+  }
+
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} };
+
+    operations.forEach((operation, i) => {
+      const [type, spec] = Object.entries(operation)[0];
+      if (type === 'insertOne') {
+        result.insertedIds[i] = this.insert(spec.document)._id;
+        result.insertedCount++;
+      } else if (type === 'deleteOne' || type === 'deleteMany') {
+        result.deletedCount += this.remove(spec.filter, { multi: type === 'deleteMany' }).length;
+      } else {
+        const outcome = this.update(spec.filter, spec.update || spec.replacement, spec, {
+          multi: type === 'updateMany',
+          replacement: type === 'replaceOne'
+        });
+        result.matchedCount += outcome.matched.length;
+        result.modifiedCount += outcome.modified;
+        if (outcome.upserted) {
+          result.upsertedIds[i] = outcome.upserted._id;
+          result.upsertedCount++;
+        }
+      }
+    });
+
+    return { ok: 1, ...result };
+  }
+
+  async drop() {
+    this.docs = [];
+    this.indexes = [];
+    return true;
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.databaseName = 'test';
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  listCollections() {
+    return cursorOf([...this.collections.keys()].map(name => ({ name, type: 'collection' })));
+  }
+
+  async dropDatabase() {
+    this.collections.forEach(collection => collection.clear());
+    return true;
+  }
+}
+
+const db = new MemoryDb();
+
+// Opens the default Mongoose connection on the in-memory database and waits for the indexes
+const connect = async () => {
+  if (mongoose.connection.db !== db) {
+    mongoose.connection.db = db;
+    mongoose.connection.onOpen();
+  }
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+// Removes every document, keeping the indexes
+const clear = () => db.dropDatabase();
+
+module.exports = {
+  db,
+  connect,
+  clear
+};
@@ -0,0 +1,188 @@
+// Learning paths: validated steps, enrollment in unlocked courses, progress that advances as
+// courses are completed, and the path certificate.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+jest.mock('../utils/storage', () => ({
+  saveFile: jest.fn(async (buffer, filename, subdir = '') => `/uploads/${subdir}/${filename}`),
+  deleteFile: jest.fn(async () => {})
+}));
+
+const Enrollment = require('../models/Enrollment');
+const LearningPath = require('../models/LearningPath');
+const enrollmentRoutes = require('../routes/enrollments');
+const pathRoutes = require('../routes/paths');
+
+const app = createApp({
+  '/api/enrollments': enrollmentRoutes,
+  '/api/paths': pathRoutes
+});
+
+let adminAuth;
+let student;
+let studentAuth;
+let courses;
+
+const createPath = (attrs = {}) => LearningPath.create({
+  title: 'Full-stack developer',
+  steps: courses.map(course => ({ course: course._id })),
+  isPublished: true,
+  ...attrs
+});
+
+const enroll = (path) => request(app).post(`/api/paths/${path._id}/enroll`).set(studentAuth);
+
+const progress = (path) => request(app).get(`/api/paths/${path._id}/progress`).set(studentAuth);
+
+const statuses = (res) => res.body.data.steps.map(step => step.status);
+
+// Complete every lesson of the student's enrollment in `course` through the API
+const finishCourse = async (course) => {
+  const enrollment = await Enrollment.findOne({ student: student._id, course: course._id });
+  for (const [moduleIndex, lessonIndex] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+    await request(app).put(`/api/enrollments/${enrollment._id}/progress`).set(studentAuth).send({ moduleIndex, lessonIndex });
+  }
+};
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  adminAuth = await signIn(await createUser({ role: 'admin' }));
+  student = await createUser();
+  studentAuth = await signIn(student);
+  courses = await Promise.all(['HTML', 'JavaScript', 'Node.js'].map(title => createCourse({ title })));
+});
+
+describe('managing paths', () => {
+  const create = (steps, auth = adminAuth) => request(app).post('/api/paths').set(auth).send({ title: 'Web', steps });
+
+  it('lets admins create a path of published courses', async () => {
+    const res = await create(courses.map(course => ({ course: course._id })));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.path.courseCount).toBe(3);
+  });
+
+  it('rejects invalid steps', async () => {
+    const draft = await createCourse({ status: 'draft' });
+    const [html, js] = courses;
+
+    const unpublished = await create([{ course: html._id }, { course: draft._id }]);
+    const malformed = await create([{ course: 'html' }]);
+    const duplicate = await create([{ course: html._id }, { course: html._id }]);
+    const forward = await create([{ course: html._id, prerequisites: [1] }, { course: js._id }]);
+    const empty = await create([]);
+
+    expect(unpublished.body.message).toBe('Every step must be a published course');
+    [unpublished, malformed, duplicate, forward, empty].forEach(res => expect(res.status).toBe(400));
+    expect(await LearningPath.countDocuments()).toBe(0);
+  });
+
+  it('is limited to admins', async () => {
+    expect((await create(courses.map(course => ({ course: course._id })), studentAuth)).status).toBe(403);
+  });
+
+  it('hides unpublished paths from everyone but path managers', async () => {
+    const path = await createPath({ isPublished: false });
+
+    expect((await request(app).get(`/api/paths/${path._id}`)).status).toBe(404);
+    expect((await request(app).get(`/api/paths/${path._id}`).set(adminAuth)).status).toBe(200);
+    expect((await request(app).get('/api/paths')).body.data.paths).toHaveLength(0);
+    expect((await enroll(path)).status).toBe(404);
+  });
+});
+
+describe('POST /api/paths/:id/enroll', () => {
+  it('enrolls the student in the first course of a sequential path only', async () => {
+    const path = await createPath();
+
+    const res = await enroll(path);
+
+    expect(res.status).toBe(201);
+    expect(statuses(res)).toEqual(['in_progress', 'locked', 'locked']);
+    expect(await Enrollment.countDocuments({ student: student._id })).toBe(1);
+    expect((await enroll(path)).status).toBe(400);
+  });
+
+  it('unlocks every step whose own prerequisites are met in a non-sequential path', async () => {
+    const path = await createPath({
+      sequential: false,
+      steps: courses.map((course, index) => ({ course: course._id, prerequisites: index === 2 ? [0] : [] }))
+    });
+
+    const res = await enroll(path);
+
+    expect(statuses(res)).toEqual(['in_progress', 'in_progress', 'locked']);
+    expect(res.body.data.steps[2].prerequisites).toEqual([0]);
+  });
+
+  it('leaves paid courses available with the reason they were not enrolled', async () => {
+    await courses[0].updateOne({ price: 25 });
+    const path = await createPath();
+
+    const res = await enroll(path);
+
+    expect(statuses(res)).toEqual(['available', 'locked', 'locked']);
+    expect(res.body.data.steps[0].blockedBy.reason).toBe('This course requires payment; create an order first');
+  });
+});
+
+describe('progress', () => {
+  it('moves on to the next course once a course is completed', async () => {
+    const path = await createPath();
+    await enroll(path);
+
+    await finishCourse(courses[0]);
+
+    const res = await progress(path);
+    expect(statuses(res)).toEqual(['completed', 'in_progress', 'locked']);
+    expect(res.body.data.pathEnrollment).toMatchObject({ completedSteps: 1, progress: 33 });
+  });
+
+  it('reports unlocked steps without enrolling until the student syncs', async () => {
+    const path = await createPath();
+    await enroll(path);
+    await Enrollment.updateOne({ student: student._id, course: courses[0]._id }, { progress: 100 });
+
+    const viewed = await progress(path);
+    expect(statuses(viewed)).toEqual(['completed', 'available', 'locked']);
+    expect(await Enrollment.exists({ student: student._id, course: courses[1]._id })).toBeNull();
+
+    const synced = await request(app).post(`/api/paths/${path._id}/sync`).set(studentAuth);
+    expect(statuses(synced)).toEqual(['completed', 'in_progress', 'locked']);
+  });
+
+  it('does not count courses the student has left', async () => {
+    const path = await createPath();
+    await enroll(path);
+    await Enrollment.updateOne({ student: student._id, course: courses[0]._id }, { progress: 100, isActive: false });
+
+    expect(statuses(await progress(path))[0]).toBe('available');
+  });
+
+  it('issues the path certificate once every course is completed', async () => {
+    const path = await createPath();
+    await enroll(path);
+    expect((await request(app).get(`/api/paths/${path._id}/certificate`).set(studentAuth)).status).toBe(400);
+
+    for (const course of courses) await finishCourse(course);
+
+    const res = await request(app).get(`/api/paths/${path._id}/certificate`).set(studentAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.data.certificate.verificationCode).toEqual(expect.any(String));
+  });
+
+  it('stops syncing a path the student has left', async () => {
+    const path = await createPath();
+    await enroll(path);
+
+    const left = await request(app).delete(`/api/paths/${path._id}/enroll`).set(studentAuth);
+    const synced = await request(app).post(`/api/paths/${path._id}/sync`).set(studentAuth);
+
+    expect(left.status).toBe(200);
+    expect(synced.status).toBe(404);
+    expect(await Enrollment.exists({ student: student._id, course: courses[0]._id, isActive: true })).toBeTruthy();
+  });
+});
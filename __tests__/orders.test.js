@@ -0,0 +1,433 @@
+// Checkout, payment webhooks and refunds, exercised through the orders routes with in-memory
+// models and the fake payment provider.
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+// Minimal in-memory stand-in for a Mongoose model: equality, $in and $ne filters, $set updates.
+// `defaults` plays the part of the schema defaults.
+const mockMemoryModel = (defaults = {}) => {
+  const docs = new Map();
+
+  const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+  const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    const value = valueAt(doc, path);
+    if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+      if ('$in' in condition) return condition.$in.map(String).includes(String(value));
+      if ('$ne' in condition) return String(value) !== String(condition.$ne);
+    }
+    return String(value) === String(condition);
+  });
+  const find = (filter) => [...docs.values()].find(doc => matches(doc, filter)) || null;
+
+  // Query results can be chained like Mongoose queries
+  const query = (result) => {
+    const promise = Promise.resolve(result);
+    ['populate', 'select', 'sort', 'lean'].forEach(method => { promise[method] = () => promise; });
+    return promise;
+  };
+
+  class MemoryModel {
+    constructor(data = {}) {
+      Object.assign(this, { _id: new mongoose.Types.ObjectId() }, JSON.parse(JSON.stringify(defaults)), data);
+    }
+
+    async save() {
+      docs.set(String(this._id), this);
+      return this;
+    }
+
+    toJSON() {
+      return { ...this };
+    }
+
+    static async create(data) {
+      return new this(data).save();
+    }
+
+    static findById(id) {
+      return query(docs.get(String(id)) || null);
+    }
+
+    static findOne(filter) {
+      return query(find(filter));
+    }
+
+    static async exists(filter) {
+      const doc = find(filter);
+      return doc ? { _id: doc._id } : null;
+    }
+
+    static findOneAndUpdate(filter, update) {
+      const doc = find(filter);
+      if (doc) {
+        Object.entries(update.$set || {}).forEach(([path, value]) => {
+          const keys = path.split('.');
+          const parent = keys.slice(0, -1).reduce((target, key) => (target[key] = target[key] || {}), doc);
+          parent[keys[keys.length - 1]] = value;
+        });
+      }
+      return query(doc);
+    }
+
+    static async deleteOne(filter) {
+      const doc = find(filter);
+      if (doc) docs.delete(String(doc._id));
+      return { deletedCount: doc ? 1 : 0 };
+    }
+
+    static reset() {
+      docs.clear();
+    }
+  }
+
+  return MemoryModel;
+};
+
+jest.mock('../models/Order', () => mockMemoryModel({
+  status: 'pending',
+  enrollment: null,
+  failureMessage: null,
+  refund: { refundId: null, refundedAt: null, refundedBy: null, reason: '' }
+}));
+jest.mock('../models/Course', () => mockMemoryModel());
+jest.mock('../models/Enrollment', () => mockMemoryModel());
+jest.mock('../models/WaitlistEntry', () => mockMemoryModel());
+jest.mock('../models/WebhookEvent', () => {
+  const Model = mockMemoryModel();
+  // Mirrors the unique { provider, eventId } index
+  const create = Model.create.bind(Model);
+  Model.create = async (data) => {
+    if (await Model.exists({ provider: data.provider, eventId: data.eventId })) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    return create(data);
+  };
+  return Model;
+});
+
+jest.mock('../utils/enrollments', () => {
+  class EnrollmentError extends Error {
+    constructor(message, statusCode = 400, details = null) {
+      super(message);
+      this.statusCode = statusCode;
+      this.details = details;
+    }
+  }
+  return {
+    EnrollmentError,
+    enrollStudent: jest.fn(),
+    isCourseFull: jest.fn(async () => false),
+    resolveCohort: jest.fn(async () => null)
+  };
+});
+jest.mock('../utils/prerequisites', () => ({
+  checkPrerequisites: jest.fn(async () => ({ satisfied: true, missing: [] })),
+  describeMissing: jest.fn(() => [])
+}));
+jest.mock('../utils/coupons', () => {
+  class CouponError extends Error {}
+  return {
+    CouponError,
+    normalizeCode: code => code || null,
+    quotePrice: async (course) => ({ listPrice: course.price, discount: 0, finalPrice: course.price, coupon: null }),
+    reserveCoupon: jest.fn(),
+    updateRedemption: jest.fn()
+  };
+});
+jest.mock('../utils/waitlist', () => ({ promoteFromWaitlistSafely: jest.fn() }));
+jest.mock('../utils/courseStats', () => ({ adjustEnrollmentCount: jest.fn() }));
+
+// The signed-in user is taken from the x-user-id header; admins may act on any order
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: req.headers['x-user-id'], role: req.headers['x-user-role'] || 'student' };
+    next();
+  },
+  requireVerifiedEmail: (req, res, next) => next()
+}));
+jest.mock('../middleware/permissions', () => ({
+  requirePermission: () => (req, res, next) => next(),
+  authorizeResource: (permission, { model, ownerField, as, notFoundMessage }) => async (req, res, next) => {
+    const doc = await model.findById(req.params.id);
+    if (!doc) return res.status(404).json({ success: false, message: notFoundMessage });
+    if (req.user.role !== 'admin' && String(doc[ownerField]) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+    req[as] = doc;
+    next();
+  }
+}));
+
+const Order = require('../models/Order');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { enrollStudent } = require('../utils/enrollments');
+const { getProvider, setProvider } = require('../utils/payments');
+const orderRoutes = require('../routes/orders');
+
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use('/api/orders', orderRoutes);
+
+const studentId = new mongoose.Types.ObjectId().toString();
+const adminId = new mongoose.Types.ObjectId().toString();
+
+let course;
+
+const createOrder = async () => {
+  const res = await request(app)
+    .post('/api/orders')
+    .set('x-user-id', studentId)
+    .send({ courseId: course._id.toString() });
+  expect(res.status).toBe(201);
+  return res.body.data.order;
+};
+
+const sendWebhook = (event) => {
+  const body = JSON.stringify(event);
+  return request(app)
+    .post('/api/orders/webhooks/fake')
+    .set('Content-Type', 'application/json')
+    .set('x-fake-signature', getProvider().signWebhook(body))
+    .send(body);
+};
+
+beforeEach(async () => {
+  [Order, Course, Enrollment, WebhookEvent].forEach(Model => Model.reset());
+  jest.clearAllMocks();
+
+  course = await Course.create({
+    title: 'Node.js Basics',
+    status: 'published',
+    price: 49,
+    enrollmentWindowError: () => null
+  });
+  enrollStudent.mockImplementation(async (student) => ({
+    enrollment: await Enrollment.create({ student, course: course._id, isActive: true }),
+    status: 'created'
+  }));
+});
+
+describe('orders', () => {
+  it('creates a pending order with a client secret', async () => {
+    const res = await request(app)
+      .post('/api/orders')
+      .set('x-user-id', studentId)
+      .send({ courseId: course._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.order).toMatchObject({ status: 'pending', amount: 49, provider: 'fake' });
+    expect(res.body.data.clientSecret).toEqual(expect.any(String));
+  });
+
+  it('returns the open order instead of creating a second one', async () => {
+    const order = await createOrder();
+
+    const res = await request(app)
+      .post('/api/orders')
+      .set('x-user-id', studentId)
+      .send({ courseId: course._id.toString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.order._id).toBe(order._id);
+  });
+
+  it('answers 503 when no usable payment provider is configured', async () => {
+    const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    setProvider(null);
+
+    try {
+      const res = await request(app)
+        .post('/api/orders')
+        .set('x-user-id', studentId)
+        .send({ courseId: course._id.toString() });
+
+      expect(res.status).toBe(503);
+      expect(res.body.message).toMatch(/Payments are unavailable/);
+      expect(await Order.exists({ student: studentId })).toBeNull();
+    } finally {
+      process.env.FAKE_PAYMENT_WEBHOOK_SECRET = secret;
+      setProvider(null);
+    }
+  });
+
+  it('refuses orders for free courses', async () => {
+    course.price = 0;
+
+    const res = await request(app)
+      .post('/api/orders')
+      .set('x-user-id', studentId)
+      .send({ courseId: course._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('marks the order paid and enrolls the student when payment is confirmed', async () => {
+    const order = await createOrder();
+
+    const res = await request(app)
+      .post(`/api/orders/${order._id}/confirm`)
+      .set('x-user-id', studentId)
+      .send({ paymentDetails: { token: 'tok_visa' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.order.status).toBe('paid');
+    expect(res.body.data.order.enrollment).toBeTruthy();
+    expect(enrollStudent).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks the order failed when the card is declined', async () => {
+    const order = await createOrder();
+
+    const res = await request(app)
+      .post(`/api/orders/${order._id}/confirm`)
+      .set('x-user-id', studentId)
+      .send({ paymentDetails: { token: 'tok_fail' } });
+
+    expect(res.status).toBe(402);
+    expect(res.body.message).toBe('Card declined');
+    expect((await Order.findById(order._id)).status).toBe('failed');
+    expect(enrollStudent).not.toHaveBeenCalled();
+  });
+
+  it('does not let another student confirm the order', async () => {
+    const order = await createOrder();
+
+    const res = await request(app)
+      .post(`/api/orders/${order._id}/confirm`)
+      .set('x-user-id', new mongoose.Types.ObjectId().toString())
+      .send({ paymentDetails: { token: 'tok_visa' } });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('payment webhooks', () => {
+  it('rejects events with an invalid signature', async () => {
+    const res = await request(app)
+      .post('/api/orders/webhooks/fake')
+      .set('Content-Type', 'application/json')
+      .set('x-fake-signature', 'not-a-signature')
+      .send(JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: {} }));
+
+    expect(res.status).toBe(401);
+  });
+
+  it('applies a redelivered event only once', async () => {
+    const order = await createOrder();
+    await getProvider().confirmPayment(order.providerPaymentId, {});
+    const event = { id: 'evt_succeeded', type: 'payment.succeeded', data: { paymentId: order.providerPaymentId } };
+
+    const first = await sendWebhook(event);
+    const second = await sendWebhook(event);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ duplicate: false, orderStatus: 'paid' });
+    expect(second.status).toBe(200);
+    expect(second.body.data).toMatchObject({ duplicate: true });
+    expect(enrollStudent).toHaveBeenCalledTimes(1);
+  });
+
+  it('enrolls once when both the confirmation and the webhook report the payment', async () => {
+    const order = await createOrder();
+
+    await request(app)
+      .post(`/api/orders/${order._id}/confirm`)
+      .set('x-user-id', studentId)
+      .send({ paymentDetails: { token: 'tok_visa' } });
+    const res = await sendWebhook({ id: 'evt_late', type: 'payment.succeeded', data: { paymentId: order.providerPaymentId } });
+
+    expect(res.body.data).toMatchObject({ duplicate: false, orderStatus: 'paid' });
+    expect(enrollStudent).toHaveBeenCalledTimes(1);
+  });
+
+  it('refunds a payment that succeeds after the order was cancelled', async () => {
+    const order = await createOrder();
+    await request(app)
+      .post(`/api/orders/${order._id}/cancel`)
+      .set('x-user-id', studentId);
+    await getProvider().confirmPayment(order.providerPaymentId, {});
+
+    const res = await sendWebhook({ id: 'evt_after_cancel', type: 'payment.succeeded', data: { paymentId: order.providerPaymentId } });
+
+    expect(res.body.data.orderStatus).toBe('refunded');
+    const stored = await Order.findById(order._id);
+    expect(stored.refund.refundId).toEqual(expect.any(String));
+    expect(enrollStudent).not.toHaveBeenCalled();
+  });
+
+  it('deactivates the enrollment when the provider reports a refund', async () => {
+    const order = await createOrder();
+    await request(app)
+      .post(`/api/orders/${order._id}/confirm`)
+      .set('x-user-id', studentId)
+      .send({ paymentDetails: { token: 'tok_visa' } });
+
+    const res = await sendWebhook({ id: 'evt_refunded', type: 'payment.refunded', data: { paymentId: order.providerPaymentId } });
+
+    expect(res.body.data.orderStatus).toBe('refunded');
+    expect((await Enrollment.findOne({ student: studentId })).isActive).toBe(false);
+  });
+});
+
+describe('refunds', () => {
+  const payOrder = async () => {
+    const order = await createOrder();
+    await request(app)
+      .post(`/api/orders/${order._id}/confirm`)
+      .set('x-user-id', studentId)
+      .send({ paymentDetails: { token: 'tok_visa' } });
+    return order;
+  };
+
+  it('refunds a paid order at the provider and deactivates the enrollment', async () => {
+    const order = await payOrder();
+
+    const res = await request(app)
+      .post(`/api/orders/${order._id}/refund`)
+      .set('x-user-id', adminId)
+      .set('x-user-role', 'admin')
+      .send({ reason: 'Requested by student' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.order.status).toBe('refunded');
+    expect(res.body.data.order.refund).toMatchObject({ refundId: expect.any(String), reason: 'Requested by student' });
+    expect((await Enrollment.findOne({ student: studentId })).isActive).toBe(false);
+  });
+
+  it('refuses to refund an order twice', async () => {
+    const order = await payOrder();
+    const refund = () => request(app)
+      .post(`/api/orders/${order._id}/refund`)
+      .set('x-user-id', adminId)
+      .set('x-user-role', 'admin')
+      .send({});
+
+    await refund();
+    const res = await refund();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Only paid orders can be refunded');
+  });
+
+  it('refuses to refund an unpaid order', async () => {
+    const order = await createOrder();
+
+    const res = await request(app)
+      .post(`/api/orders/${order._id}/refund`)
+      .set('x-user-id', adminId)
+      .set('x-user-role', 'admin')
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,112 @@
+// Pagination: keyset cursors that stay stable while documents are added, page mode with totals,
+// and rejection of tampered cursors.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createCourse } = require('./helpers/api');
+
+const Course = require('../models/Course');
+const { paginate } = require('../utils/pagination');
+const courseRoutes = require('../routes/courses');
+
+const app = createApp({ '/api/courses': courseRoutes });
+
+const cursorOf = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const list = async (query) => {
+  const res = await request(app).get(`/api/courses?${query}`);
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+// Follow nextCursor until the last page, returning the titles of every page
+const walk = async (query, between = async () => {}) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const { courses, pagination } = await list(`${query}${cursor ? `&cursor=${cursor}` : ''}`);
+    pages.push(courses.map(course => course.title));
+    cursor = pagination.nextCursor;
+    expect(pagination.hasMore).toBe(Boolean(cursor));
+    await between();
+  } while (cursor);
+  return pages;
+};
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  // C1 is the oldest; C2 and C3 share a price
+  for (const [i, price] of [10, 20, 20, 30, 40].entries()) {
+    const course = await createCourse({ title: `C${i + 1}`, description: 'Course number one to five', price });
+    await Course.collection.updateOne({ _id: course._id }, { $set: { createdAt: new Date(Date.UTC(2026, 0, i + 1)) } });
+  }
+});
+
+describe('cursor pagination', () => {
+  it('walks every course exactly once', async () => {
+    expect(await walk('limit=2')).toEqual([['C5', 'C4'], ['C3', 'C2'], ['C1']]);
+  });
+
+  it('breaks ties in the sort key by id', async () => {
+    const pages = await walk('limit=2&sort=price-low');
+
+    expect(pages.flat()).toHaveLength(5);
+    expect(new Set(pages.flat()).size).toBe(5);
+    expect(pages[0][0]).toBe('C1');
+  });
+
+  it('neither repeats nor skips courses when new ones are added while paging', async () => {
+    const pages = await walk('limit=2', () => createCourse({ title: 'Newcomer', price: 0 }));
+
+    expect(pages.flat()).toEqual(['C5', 'C4', 'C3', 'C2', 'C1']);
+  });
+
+  it('pages text search results by offset', async () => {
+    const pages = await walk('limit=2&search=course');
+
+    expect(pages.map(page => page.length)).toEqual([2, 2, 1]);
+    expect(new Set(pages.flat()).size).toBe(5);
+  });
+
+  it('keeps documents with a null sort key in the walk', async () => {
+    const scheduled = await createCourse({ title: 'Later', status: 'scheduled', publishAt: new Date(Date.now() + 60000) });
+    const titles = [];
+    let cursor = null;
+
+    do {
+      const { items, pagination } = await paginate(Course, {}, { sort: { publishAt: -1 }, params: { limit: 2, cursor } });
+      titles.push(...items.map(course => course.title));
+      cursor = pagination.nextCursor;
+    } while (cursor);
+
+    expect(titles).toHaveLength(6);
+    expect(titles[0]).toBe(scheduled.title);
+  });
+
+  it('clamps the page size', async () => {
+    expect((await list('limit=1000')).pagination.limit).toBe(100);
+    expect((await list('limit=-3')).pagination.limit).toBe(12);
+  });
+
+  it.each([
+    ['garbage', 'not-a-cursor'],
+    ['an operator as a key value', cursorOf({ k: [{ v: { $ne: null } }, { o: '000000000000000000000000' }] })],
+    ['the wrong number of keys', cursorOf({ k: [{ d: '2026-01-01T00:00:00.000Z' }] })],
+    ['an invalid date', cursorOf({ k: [{ d: 'yesterday' }, { o: '000000000000000000000000' }] })]
+  ])('rejects a cursor with %s', async (description, cursor) => {
+    const res = await request(app).get(`/api/courses?cursor=${encodeURIComponent(cursor)}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid cursor');
+  });
+});
+
+describe('page mode', () => {
+  it('reports totals and uses skip/limit', async () => {
+    const { courses, pagination } = await list('page=2&limit=2');
+
+    expect(courses.map(course => course.title)).toEqual(['C3', 'C2']);
+    expect(pagination).toEqual({ mode: 'page', page: 2, limit: 2, total: 5, pages: 3, hasMore: true });
+  });
+});
@@ -0,0 +1,130 @@
+// Forgot and reset password: single-use expiring tokens, no account probing, sessions revoked.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { PASSWORD, createApp, createUser, captureEmails } = require('./helpers/api');
+
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { createAuthTokens } = require('../utils/refreshTokens');
+const authRoutes = require('../routes/auth');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+let sent;
+let user;
+
+const NEW_PASSWORD = 'n3w-password';
+
+// forgot-password answers before it looks up the account and sends the email
+const waitFor = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+const tokenFrom = (message) => message.text.match(/\/reset-password\/([a-f0-9]+)/)[1];
+
+const forgotPassword = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+
+const resetPassword = (token, password = NEW_PASSWORD) => request(app)
+  .post(`/api/auth/reset-password/${token}`)
+  .send({ password });
+
+const login = (password) => request(app)
+  .post('/api/auth/login')
+  .send({ email: user.email, password });
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  sent = captureEmails();
+  user = await createUser({ email: 'ada@example.com' });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  it('answers the same for registered and unknown emails but only mails the account holder', async () => {
+    const known = await forgotPassword('ada@example.com');
+    await waitFor(() => sent.length > 0);
+    const unknown = await forgotPassword('nobody@example.com');
+    await settle();
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('ada@example.com');
+  });
+
+  it('stores a hashed token with an expiry', async () => {
+    await forgotPassword('ada@example.com');
+    await waitFor(() => sent.length > 0);
+
+    const saved = await User.findById(user._id);
+    expect(saved.passwordResetToken).toBe(hashToken(tokenFrom(sent[0])));
+    expect(saved.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('does not mail deactivated accounts', async () => {
+    await User.updateOne({ _id: user._id }, { isActive: false });
+
+    const res = await forgotPassword('ada@example.com');
+    await settle();
+
+    expect(res.status).toBe(200);
+    expect(sent).toHaveLength(0);
+  });
+});
+
+describe('POST /api/auth/reset-password/:token', () => {
+  const requestReset = async () => {
+    await forgotPassword('ada@example.com');
+    await waitFor(() => sent.length > 0);
+    return tokenFrom(sent[0]);
+  };
+
+  it('sets the new password and can only be used once', async () => {
+    const token = await requestReset();
+
+    const reset = await resetPassword(token);
+    const again = await resetPassword(token, 'another-password');
+
+    expect(reset.status).toBe(200);
+    expect(again.status).toBe(400);
+    expect((await login(NEW_PASSWORD)).status).toBe(200);
+    expect((await login(PASSWORD)).status).toBe(401);
+  });
+
+  it('revokes existing sessions and their refresh tokens', async () => {
+    const { token: accessToken, refreshToken } = await createAuthTokens(user);
+    const token = await requestReset();
+
+    await resetPassword(token);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+    const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(me.status).toBe(401);
+    expect(refresh.status).toBe(401);
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = await requestReset();
+    await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+    const res = await resetPassword(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Password reset link is invalid or has expired');
+    expect((await login(PASSWORD)).status).toBe(200);
+  });
+
+  it('validates the new password', async () => {
+    const token = await requestReset();
+
+    const res = await resetPassword(token, '123');
+
+    expect(res.status).toBe(400);
+    expect((await User.findById(user._id)).passwordResetToken).not.toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+// The permission policy: built-in role matrix, ownership-aware checks and admin-defined roles.
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Note = require('../models/Note');
+const Role = require('../models/Role');
+const { BUILT_IN_ROLES, grantedScope, can, invalidateRoleCache } = require('../utils/permissions');
+const adminRoutes = require('../routes/admin');
+const noteRoutes = require('../routes/notes');
+const userRoutes = require('../routes/users');
+
+const app = createApp({
+  '/api/admin': adminRoutes,
+  '/api/notes': noteRoutes,
+  '/api/users': userRoutes
+});
+
+beforeAll(connect);
+
+describe('built-in roles', () => {
+  it.each([
+    ['student', 'course:read', 'any'],
+    ['student', 'course:create', null],
+    ['student', 'course:update', null],
+    ['student', 'note:update', 'own'],
+    ['student', 'enrollment:read', 'own'],
+    ['student', 'review:moderate', null],
+    ['student', 'user:manage', null],
+    ['instructor', 'course:create', 'any'],
+    ['instructor', 'course:update', 'own'],
+    ['instructor', 'course:publish', 'own'],
+    ['instructor', 'course:approve', null],
+    ['instructor', 'submission:grade', 'own'],
+    ['instructor', 'role:manage', null],
+    ['admin', 'course:approve', 'any'],
+    ['admin', 'note:delete', 'any'],
+    ['admin', 'role:manage', 'any']
+  ])('%s has %s with scope %s', (role, permission, scope) => {
+    expect(grantedScope(BUILT_IN_ROLES[role], permission)).toBe(scope);
+  });
+
+  it('expands resource wildcards', () => {
+    expect(grantedScope(['note:*'], 'note:delete')).toBe('any');
+    expect(grantedScope(['note:*'], 'review:delete')).toBeNull();
+  });
+});
+
+describe('can', () => {
+  const owner = { _id: new mongoose.Types.ObjectId() };
+  const stranger = { _id: new mongoose.Types.ObjectId() };
+  const note = { student: owner._id };
+
+  it('limits ":own" permissions to the owner', () => {
+    expect(can(['note:update:own'], 'note:update', owner, note, 'student')).toBe(true);
+    expect(can(['note:update:own'], 'note:update', stranger, note, 'student')).toBe(false);
+    expect(can(['note:update:any'], 'note:update', stranger, note, 'student')).toBe(true);
+    expect(can([], 'note:update', owner, note, 'student')).toBe(false);
+  });
+
+  it('follows populated references to the owner', () => {
+    const quiz = { course: { _id: new mongoose.Types.ObjectId(), owner: { _id: owner._id, name: 'Owner' } } };
+
+    expect(can(['course:update:own'], 'course:update', owner, quiz, 'course.owner')).toBe(true);
+    expect(can(['course:update:own'], 'course:update', stranger, quiz, 'course.owner')).toBe(false);
+  });
+});
+
+describe('ownership-aware routes', () => {
+  let student;
+  let note;
+
+  beforeEach(async () => {
+    await clear();
+    student = await createUser();
+    const course = await createCourse();
+    note = await Note.create({ title: 'Mine', content: 'Private notes', student: student._id, course: course._id });
+  });
+
+  it('lets the owner and admins read a note, but not other students', async () => {
+    const byOwner = await request(app).get(`/api/notes/${note._id}`).set(await signIn(student));
+    const byOther = await request(app).get(`/api/notes/${note._id}`).set(await signIn(await createUser()));
+    const byAdmin = await request(app).get(`/api/notes/${note._id}`).set(await signIn(await createUser({ role: 'admin' })));
+
+    expect(byOwner.status).toBe(200);
+    expect(byOther.status).toBe(403);
+    expect(byAdmin.status).toBe(200);
+  });
+
+  it('answers 404 for missing and malformed ids', async () => {
+    const auth = await signIn(student);
+
+    expect((await request(app).get(`/api/notes/${new mongoose.Types.ObjectId()}`).set(auth)).status).toBe(404);
+    expect((await request(app).get('/api/notes/not-an-id').set(auth)).status).toBe(404);
+  });
+});
+
+describe('custom roles', () => {
+  let adminAuth;
+  let moderator;
+
+  const createRole = (body) => request(app).post('/api/admin/roles').set(adminAuth).send(body);
+
+  const reportedReviews = async (user) => request(app).get('/api/admin/reported-reviews').set(await signIn(user));
+
+  beforeEach(async () => {
+    await clear();
+    invalidateRoleCache();
+    adminAuth = await signIn(await createUser({ role: 'admin' }));
+    moderator = await createUser();
+  });
+
+  it('grants the permissions of a role once it is assigned', async () => {
+    const created = await createRole({ name: 'moderator', permissions: ['course:read', 'review:moderate'] });
+    expect(created.status).toBe(201);
+    expect((await reportedReviews(moderator)).status).toBe(403);
+
+    const assigned = await request(app).put(`/api/users/${moderator._id}/role`).set(adminAuth).send({ role: 'moderator' });
+
+    expect(assigned.status).toBe(200);
+    expect((await reportedReviews(moderator)).status).toBe(200);
+  });
+
+  it('applies permission changes to a role right away', async () => {
+    const { body } = await createRole({ name: 'moderator', permissions: ['review:moderate'] });
+    moderator.role = 'moderator';
+    await moderator.save();
+    expect((await reportedReviews(moderator)).status).toBe(200);
+
+    await request(app).put(`/api/admin/roles/${body.data.role._id}`).set(adminAuth).send({ permissions: ['course:read'] });
+
+    expect((await reportedReviews(moderator)).status).toBe(403);
+  });
+
+  it('rejects built-in names, duplicates and malformed permissions', async () => {
+    await createRole({ name: 'moderator', permissions: [] });
+
+    const builtIn = await createRole({ name: 'Admin', permissions: ['*'] });
+    const duplicate = await createRole({ name: 'moderator', permissions: [] });
+    const malformed = await createRole({ name: 'editor', permissions: ['everything'] });
+
+    expect(builtIn.status).toBe(400);
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.message).toBe('Role already exists');
+    expect(malformed.status).toBe(400);
+    expect(await Role.countDocuments()).toBe(1);
+  });
+
+  it('keeps a role that is still assigned from being deleted', async () => {
+    const { body } = await createRole({ name: 'moderator', permissions: ['review:moderate'] });
+    moderator.role = 'moderator';
+    await moderator.save();
+
+    const res = await request(app).delete(`/api/admin/roles/${body.data.role._id}`).set(adminAuth);
+
+    expect(res.status).toBe(400);
+    expect(await Role.exists({ name: 'moderator' })).toBeTruthy();
+  });
+
+  it('is managed by admins only', async () => {
+    const res = await request(app)
+      .post('/api/admin/roles')
+      .set(await signIn(await createUser({ role: 'instructor' })))
+      .send({ name: 'moderator', permissions: ['*'] });
+
+    expect(res.status).toBe(403);
+    expect(await Role.countDocuments()).toBe(0);
+  });
+});
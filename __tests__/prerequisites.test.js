@@ -0,0 +1,183 @@
+// Course prerequisites: required courses and difficulty progression gate enrollment, prerequisite
+// lists are validated, and admins can grant per-student overrides.
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Enrollment = require('../models/Enrollment');
+const PrerequisiteOverride = require('../models/PrerequisiteOverride');
+const adminRoutes = require('../routes/admin');
+const courseRoutes = require('../routes/courses');
+const enrollmentRoutes = require('../routes/enrollments');
+
+const app = createApp({
+  '/api/admin': adminRoutes,
+  '/api/courses': courseRoutes,
+  '/api/enrollments': enrollmentRoutes
+});
+
+let student;
+let studentAuth;
+let adminAuth;
+let basics;
+let advanced;
+
+const enroll = (course) => request(app).post('/api/enrollments').set(studentAuth).send({ courseId: course._id });
+
+const complete = (course) => Enrollment.create({ student: student._id, course: course._id, progress: 100 });
+
+const grantOverride = (body) => request(app).post('/api/admin/prerequisite-overrides').set(adminAuth).send(body);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  student = await createUser();
+  studentAuth = await signIn(student);
+  adminAuth = await signIn(await createUser({ role: 'admin' }));
+  basics = await createCourse({ title: 'Testing Basics' });
+  advanced = await createCourse({ title: 'Property-Based Testing', difficulty: 'Advanced', prerequisites: [basics._id] });
+});
+
+describe('enrolling in a course with prerequisites', () => {
+  it('is refused until the required courses are completed', async () => {
+    const refused = await enroll(advanced);
+
+    expect(refused.status).toBe(400);
+    expect(refused.body.message).toBe('Missing prerequisites: Testing Basics');
+    expect(refused.body.missingPrerequisites).toEqual([
+      expect.objectContaining({ type: 'course', course: expect.objectContaining({ title: 'Testing Basics' }) })
+    ]);
+
+    await complete(basics);
+    expect((await enroll(advanced)).status).toBe(201);
+  });
+
+  it('counts completed courses the student has since left', async () => {
+    await Enrollment.create({ student: student._id, course: basics._id, progress: 100, isActive: false });
+
+    expect((await enroll(advanced)).status).toBe(201);
+  });
+
+  it('requires the previous difficulty level in the same category when progression is on', async () => {
+    const intermediate = await createCourse({ title: 'Testing at Scale', difficulty: 'Intermediate', requiresDifficultyProgression: true });
+    await complete(await createCourse({ title: 'Cooking Basics', category: 'Cooking' }));
+
+    const refused = await enroll(intermediate);
+    expect(refused.body.message).toBe('Missing prerequisites: a completed Beginner course in Programming');
+
+    await complete(basics);
+    expect((await enroll(intermediate)).status).toBe(201);
+  });
+
+  it('shows the student what is still missing', async () => {
+    const res = await request(app).get(`/api/courses/${advanced._id}/prerequisites`).set(studentAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ satisfied: false, overridden: false });
+    expect(res.body.data.prerequisites.map(p => p.title)).toEqual(['Testing Basics']);
+    expect(res.body.data.missing).toHaveLength(1);
+  });
+});
+
+describe('setting prerequisites', () => {
+  let instructorAuth;
+  let own;
+
+  const setPrerequisites = (course, prerequisites) =>
+    request(app).put(`/api/courses/${course._id}`).set(instructorAuth).send({ prerequisites });
+
+  beforeEach(async () => {
+    const instructor = await createUser({ role: 'instructor' });
+    instructorAuth = await signIn(instructor);
+    own = await createCourse({ title: 'Mutation Testing', owner: instructor._id });
+    await advanced.updateOne({ owner: instructor._id });
+  });
+
+  it('accepts published courses', async () => {
+    const res = await setPrerequisites(own, [basics._id]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.course.prerequisites).toEqual([basics._id.toString()]);
+  });
+
+  it('rejects missing, unpublished, duplicate and self references', async () => {
+    const draft = await createCourse({ title: 'Unfinished', status: 'draft' });
+
+    const missing = await setPrerequisites(own, [new mongoose.Types.ObjectId()]);
+    const unpublished = await setPrerequisites(own, [draft._id]);
+    const duplicate = await setPrerequisites(own, [basics._id, basics._id]);
+    const self = await setPrerequisites(own, [own._id]);
+
+    expect(missing.body.message).toBe('One or more prerequisite courses do not exist');
+    expect(unpublished.body.message).toBe('Prerequisite courses must be published: Unfinished');
+    [missing, unpublished, duplicate, self].forEach(res => expect(res.status).toBe(400));
+  });
+
+  it('rejects cycles through other courses', async () => {
+    await setPrerequisites(own, [advanced._id]);
+
+    // basics <- advanced <- own; making own a prerequisite of basics would close the loop
+    await basics.updateOne({ owner: (await createUser({ role: 'instructor' }))._id });
+    const res = await request(app).put(`/api/courses/${basics._id}`).set(adminAuth).send({ prerequisites: [own._id] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Prerequisites cannot form a cycle');
+  });
+});
+
+describe('prerequisite overrides', () => {
+  it('let a student enroll without the prerequisites until revoked', async () => {
+    const granted = await grantOverride({ studentId: student._id, courseId: advanced._id, reason: 'Industry experience' });
+    expect(granted.status).toBe(201);
+
+    const status = await request(app).get(`/api/courses/${advanced._id}/prerequisites`).set(studentAuth);
+    expect(status.body.data).toMatchObject({ satisfied: true, overridden: true });
+
+    const revoked = await request(app).delete(`/api/admin/prerequisite-overrides/${granted.body.data.override._id}`).set(adminAuth);
+    expect(revoked.status).toBe(200);
+    expect((await enroll(advanced)).status).toBe(400);
+  });
+
+  it('are granted once per student and course', async () => {
+    await grantOverride({ studentId: student._id, courseId: advanced._id, reason: 'First' });
+    await grantOverride({ studentId: student._id, courseId: advanced._id, reason: 'Second' });
+
+    const overrides = await PrerequisiteOverride.find();
+    expect(overrides).toHaveLength(1);
+    expect(overrides[0].reason).toBe('Second');
+  });
+
+  it('can be listed by course or student', async () => {
+    await grantOverride({ studentId: student._id, courseId: advanced._id });
+    await grantOverride({ studentId: (await createUser())._id, courseId: basics._id });
+
+    const byCourse = await request(app).get(`/api/admin/prerequisite-overrides?courseId=${advanced._id}`).set(adminAuth);
+    const malformed = await request(app).get('/api/admin/prerequisite-overrides?studentId=me').set(adminAuth);
+
+    expect(byCourse.body.data.overrides).toHaveLength(1);
+    expect(byCourse.body.data.overrides[0].student.name).toBe(student.name);
+    expect(malformed.status).toBe(400);
+  });
+
+  it('answer 404 for unknown or malformed students, courses and overrides', async () => {
+    const unknown = await grantOverride({ studentId: new mongoose.Types.ObjectId(), courseId: advanced._id });
+    const malformed = await grantOverride({ studentId: 'me', courseId: advanced._id });
+    const revoke = await request(app).delete('/api/admin/prerequisite-overrides/nope').set(adminAuth);
+
+    expect(unknown.status).toBe(404);
+    expect(malformed.status).toBe(404);
+    expect(revoke.status).toBe(404);
+  });
+
+  it('are managed by admins only', async () => {
+    const res = await request(app)
+      .post('/api/admin/prerequisite-overrides')
+      .set(studentAuth)
+      .send({ studentId: student._id, courseId: advanced._id });
+
+    expect(res.status).toBe(403);
+    expect(await PrerequisiteOverride.countDocuments()).toBe(0);
+  });
+});
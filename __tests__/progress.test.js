@@ -0,0 +1,113 @@
+// Enrollment progress is derived on the server from completed lessons, never taken from the client.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+// Certificates are rendered once a course is completed; keep their PDFs off the disk
+jest.mock('../utils/storage', () => ({
+  saveFile: jest.fn(async (buffer, filename, subdir = '') => `/uploads/${subdir}/${filename}`),
+  deleteFile: jest.fn(async () => {})
+}));
+
+const Enrollment = require('../models/Enrollment');
+const enrollmentRoutes = require('../routes/enrollments');
+
+const app = createApp({ '/api/enrollments': enrollmentRoutes });
+
+let student;
+let auth;
+let enrollment;
+
+const completeLesson = (moduleIndex, lessonIndex, body = {}) => request(app)
+  .put(`/api/enrollments/${enrollment._id}/progress`)
+  .set(auth)
+  .send({ moduleIndex, lessonIndex, ...body });
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  student = await createUser();
+  auth = await signIn(student);
+  const course = await createCourse();
+  enrollment = await Enrollment.create({ student: student._id, course: course._id });
+});
+
+describe('PUT /api/enrollments/:id/progress', () => {
+  it('computes progress from completed lessons and ignores a client-supplied value', async () => {
+    const res = await completeLesson(0, 1, { progress: 100 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.enrollment.progress).toBe(25);
+    expect(res.body.data.enrollment.completedLessons).toEqual([
+      expect.objectContaining({ moduleIndex: 0, lessonIndex: 1 })
+    ]);
+  });
+
+  it('counts a lesson once however often it is completed', async () => {
+    await completeLesson(0, 0);
+    const res = await completeLesson(0, 0);
+
+    expect(res.body.data.enrollment.progress).toBe(25);
+    expect(res.body.data.enrollment.completedLessons).toHaveLength(1);
+  });
+
+  it('completes modules and the course once every lesson is done', async () => {
+    await completeLesson(0, 0);
+    await completeLesson(0, 1);
+    let res = await completeLesson(1, 0);
+
+    expect(res.body.data.enrollment.progress).toBe(75);
+    expect(res.body.data.enrollment.completedModules).toEqual([expect.objectContaining({ moduleIndex: 0 })]);
+
+    res = await completeLesson(1, 1);
+
+    expect(res.body.data.enrollment.progress).toBe(100);
+    expect(res.body.data.enrollment.completionDate).not.toBeNull();
+    expect(res.body.data.enrollment.completedModules).toHaveLength(2);
+  });
+
+  it('lowers progress again when a lesson is marked uncompleted', async () => {
+    await completeLesson(0, 0);
+    await completeLesson(0, 1);
+    const res = await completeLesson(0, 1, { completed: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.enrollment.progress).toBe(25);
+    expect(res.body.data.enrollment.completedModules).toEqual([]);
+  });
+
+  it('rejects lessons that do not exist in the course', async () => {
+    const outOfRange = await completeLesson(2, 0);
+    const missingLesson = await completeLesson(0, 5);
+    const negative = await completeLesson(-1, 0);
+
+    [outOfRange, missingLesson, negative].forEach(res => {
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Lesson does not exist in this course');
+    });
+    expect((await Enrollment.findById(enrollment._id)).progress).toBe(0);
+  });
+
+  it('rejects indices and flags of the wrong type', async () => {
+    const notIntegers = await completeLesson('0', 1.5);
+    const notBoolean = await completeLesson(0, 0, { completed: 'yes' });
+
+    expect(notIntegers.status).toBe(400);
+    expect(notIntegers.body.message).toBe('moduleIndex and lessonIndex must be integers');
+    expect(notBoolean.status).toBe(400);
+    expect(notBoolean.body.message).toBe('completed must be a boolean');
+  });
+
+  it("does not let another student update someone else's progress", async () => {
+    const other = await createUser();
+
+    const res = await request(app)
+      .put(`/api/enrollments/${enrollment._id}/progress`)
+      .set(await signIn(other))
+      .send({ moduleIndex: 0, lessonIndex: 0 });
+
+    expect(res.status).toBe(403);
+    expect((await Enrollment.findById(enrollment._id)).completedLessons).toHaveLength(0);
+  });
+});
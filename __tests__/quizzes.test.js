@@ -0,0 +1,236 @@
+// Quizzes: answer keys stay with the course's managers, attempts are graded on the server and
+// capped by maxAttempts.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+jest.mock('../utils/storage', () => ({
+  saveFile: jest.fn(async (buffer, filename, subdir = '') => `/uploads/${subdir}/${filename}`),
+  deleteFile: jest.fn(async () => {})
+}));
+
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Quiz = require('../models/Quiz');
+const { gradeQuiz } = require('../utils/quizGrading');
+const enrollmentRoutes = require('../routes/enrollments');
+const quizRoutes = require('../routes/quizzes');
+
+const app = createApp({
+  '/api/enrollments': enrollmentRoutes,
+  '/api/quizzes': quizRoutes
+});
+
+const QUESTIONS = [
+  { type: 'multiple_choice', prompt: 'Which runner ships with this repo?', options: ['mocha', 'jest', 'ava'], correctOptions: [1] },
+  { type: 'multi_select', prompt: 'Which are HTTP verbs?', options: ['GET', 'FETCH', 'PUT'], correctOptions: [0, 2] },
+  { type: 'true_false', prompt: 'JSON keys are ordered', correctBoolean: false },
+  { type: 'short_answer', prompt: 'Name the test HTTP client', acceptedAnswers: ['supertest'], points: 2 }
+];
+
+let instructor;
+let instructorAuth;
+let student;
+let studentAuth;
+let course;
+let enrollment;
+
+// Answers keyed by question id, given as [questionIndex, answer] pairs
+const answersFor = (quiz, pairs) =>
+  Object.fromEntries(pairs.map(([index, answer]) => [quiz.questions[index]._id.toString(), answer]));
+
+const ALL_CORRECT = [[0, 1], [1, [2, 0]], [2, false], [3, '  SuperTest ']];
+
+const createQuiz = (attrs = {}) => Quiz.create({ course: course._id, moduleIndex: 0, title: 'Checkpoint', questions: QUESTIONS, ...attrs });
+
+const submit = (quiz, answers, auth = studentAuth) => request(app)
+  .post(`/api/enrollments/${enrollment._id}/quizzes/${quiz._id}/attempts`)
+  .set(auth)
+  .send({ answers });
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  instructor = await createUser({ role: 'instructor' });
+  instructorAuth = await signIn(instructor);
+  student = await createUser();
+  studentAuth = await signIn(student);
+  course = await createCourse({ owner: instructor._id });
+  enrollment = await Enrollment.create({ student: student._id, course: course._id });
+});
+
+describe('gradeQuiz', () => {
+  it('weighs questions by their points and compares short answers loosely', () => {
+    const quiz = new Quiz({ course: course._id, title: 'Checkpoint', questions: QUESTIONS, passingScore: 60 });
+
+    const grade = gradeQuiz(quiz, answersFor(quiz, [[0, 1], [1, [0]], [2, 'false'], [3, 'super   test']]));
+
+    expect(grade.results.map(r => r.correct)).toEqual([true, false, false, false]);
+    expect(grade).toMatchObject({ score: 1, maxScore: 5, percentage: 20, passed: false });
+    expect(gradeQuiz(quiz, answersFor(quiz, ALL_CORRECT))).toMatchObject({ score: 5, percentage: 100, passed: true });
+  });
+
+  it('does not count blank answers as the first option', () => {
+    const quiz = new Quiz({ course: course._id, title: 'Checkpoint', questions: QUESTIONS });
+
+    const grade = gradeQuiz(quiz, answersFor(quiz, [[0, ''], [1, []]]));
+
+    expect(grade.score).toBe(0);
+    expect(grade.results[2].answer).toBeNull();
+  });
+});
+
+describe('managing quizzes', () => {
+  it('lets the course owner create a quiz for an existing module', async () => {
+    const res = await request(app)
+      .post('/api/quizzes')
+      .set(instructorAuth)
+      .send({ courseId: course._id, moduleIndex: 1, title: 'Module two', questions: QUESTIONS });
+    const noModule = await request(app)
+      .post('/api/quizzes')
+      .set(instructorAuth)
+      .send({ courseId: course._id, moduleIndex: 5, title: 'Nowhere', questions: QUESTIONS });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.quiz.totalPoints).toBe(5);
+    expect(noModule.status).toBe(400);
+  });
+
+  it('rejects questions without a usable answer key', async () => {
+    const res = await request(app)
+      .post('/api/quizzes')
+      .set(instructorAuth)
+      .send({
+        courseId: course._id,
+        moduleIndex: 0,
+        title: 'Broken',
+        questions: [{ type: 'multiple_choice', prompt: 'Pick one', options: ['a', 'b'], correctOptions: [0, 1] }]
+      });
+
+    expect(res.status).toBe(400);
+    expect(await Quiz.countDocuments()).toBe(0);
+  });
+
+  it('is not open to students', async () => {
+    const res = await request(app)
+      .post('/api/quizzes')
+      .set(studentAuth)
+      .send({ courseId: course._id, moduleIndex: 0, title: 'Mine', questions: QUESTIONS });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('deactivates a quiz with attempts instead of deleting it', async () => {
+    const quiz = await createQuiz();
+    await submit(quiz, answersFor(quiz, ALL_CORRECT));
+
+    const res = await request(app).delete(`/api/quizzes/${quiz._id}`).set(instructorAuth);
+
+    expect(res.status).toBe(200);
+    expect(await Quiz.findById(quiz._id)).toMatchObject({ isActive: false });
+  });
+});
+
+describe('GET /api/quizzes/:id', () => {
+  it('hides the answer keys from enrolled students', async () => {
+    const quiz = await createQuiz();
+
+    const res = await request(app).get(`/api/quizzes/${quiz._id}`).set(studentAuth);
+
+    expect(res.status).toBe(200);
+    res.body.data.quiz.questions.forEach(question => {
+      expect(question).not.toHaveProperty('correctOptions');
+      expect(question).not.toHaveProperty('correctBoolean');
+      expect(question).not.toHaveProperty('acceptedAnswers');
+    });
+  });
+
+  it('shows the answer keys to the owner and nothing to students who are not enrolled', async () => {
+    const quiz = await createQuiz();
+
+    const byOwner = await request(app).get(`/api/quizzes/${quiz._id}`).set(instructorAuth);
+    const byOutsider = await request(app).get(`/api/quizzes/${quiz._id}`).set(await signIn(await createUser()));
+
+    expect(byOwner.body.data.quiz.questions[0].correctOptions).toEqual([1]);
+    expect(byOutsider.status).toBe(403);
+  });
+});
+
+describe('POST /api/enrollments/:id/quizzes/:quizId/attempts', () => {
+  it('grades the attempt on the server and counts a passed quiz towards progress', async () => {
+    const quiz = await createQuiz();
+
+    const res = await submit(quiz, { ...answersFor(quiz, ALL_CORRECT), score: 0 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Quiz passed');
+    expect(res.body.data.attempt).toMatchObject({ attemptNumber: 1, score: 5, maxScore: 5, passed: true });
+    expect(res.body.data.attemptsRemaining).toBe(2);
+    // Four lessons and one quiz
+    expect(res.body.data.progress).toBe(20);
+  });
+
+  it('refuses attempts beyond maxAttempts', async () => {
+    const quiz = await createQuiz({ maxAttempts: 2 });
+    const wrong = answersFor(quiz, [[0, 0]]);
+
+    const first = await submit(quiz, wrong);
+    const second = await submit(quiz, wrong);
+    const third = await submit(quiz, answersFor(quiz, ALL_CORRECT));
+
+    expect(first.body.message).toBe('Quiz not passed');
+    expect(second.body.data.attemptsRemaining).toBe(0);
+    expect(third.status).toBe(400);
+    expect(third.body.message).toBe('Maximum of 2 attempts reached for this quiz');
+    expect((await Enrollment.findById(enrollment._id)).quizAttempts).toHaveLength(2);
+  });
+
+  it('allows unlimited attempts when maxAttempts is 0', async () => {
+    const quiz = await createQuiz({ maxAttempts: 0 });
+
+    for (let i = 0; i < 4; i++) await submit(quiz, {});
+    const res = await submit(quiz, {});
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.attempt.attemptNumber).toBe(5);
+    expect(res.body.data.attemptsRemaining).toBeNull();
+  });
+
+  it('completes the lesson a passed quiz is linked to', async () => {
+    const quiz = await createQuiz();
+    await Course.updateOne({ _id: course._id }, { $set: { 'modules.0.lessons.1.quiz': quiz._id } });
+
+    await submit(quiz, answersFor(quiz, ALL_CORRECT));
+
+    const saved = await Enrollment.findById(enrollment._id);
+    expect(saved.completedLessons).toEqual([expect.objectContaining({ moduleIndex: 0, lessonIndex: 1 })]);
+    expect(saved.progress).toBe(40);
+  });
+
+  it('rejects malformed answers, inactive quizzes and other students', async () => {
+    const quiz = await createQuiz();
+    const inactive = await createQuiz({ isActive: false });
+
+    const malformed = await submit(quiz, [1, 2]);
+    const deactivated = await submit(inactive, {});
+    const byOther = await submit(quiz, {}, await signIn(await createUser()));
+
+    expect(malformed.status).toBe(400);
+    expect(deactivated.status).toBe(404);
+    expect(byOther.status).toBe(403);
+    expect((await Enrollment.findById(enrollment._id)).quizAttempts).toHaveLength(0);
+  });
+
+  it('lists the attempt history with the best score', async () => {
+    const quiz = await createQuiz();
+    await submit(quiz, answersFor(quiz, [[3, 'supertest']]));
+    await submit(quiz, answersFor(quiz, ALL_CORRECT));
+
+    const res = await request(app).get(`/api/enrollments/${enrollment._id}/quizzes/${quiz._id}/attempts`).set(studentAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.attempts).toHaveLength(2);
+    expect(res.body.data).toMatchObject({ bestPercentage: 100, passed: true });
+  });
+});
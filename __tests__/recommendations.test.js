@@ -0,0 +1,95 @@
+// Course recommendations: scored from profile interests, co-enrollment and difficulty progression,
+// each with a reason, and topped up with popular courses.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Enrollment = require('../models/Enrollment');
+const courseRoutes = require('../routes/courses');
+
+const app = createApp({ '/api/courses': courseRoutes });
+
+let courses;
+
+const recommend = async (user, query = '') => {
+  const res = await request(app).get(`/api/courses/recommended${query}`).set(await signIn(user));
+  expect(res.status).toBe(200);
+  return res.body.data.recommendations;
+};
+
+const find = (recommendations, title) => recommendations.find(r => r.course.title === title);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  const [jsBasics, jsPatterns, jsInternals, typography, baking] = await Promise.all([
+    createCourse({ title: 'JavaScript Basics', category: 'Programming', difficulty: 'Beginner', enrollmentCount: 50 }),
+    createCourse({ title: 'JavaScript Patterns', category: 'Programming', difficulty: 'Intermediate', tags: ['javascript'], enrollmentCount: 20 }),
+    createCourse({ title: 'JavaScript Internals', category: 'Programming', difficulty: 'Advanced', enrollmentCount: 5 }),
+    createCourse({ title: 'Typography', category: 'Design', difficulty: 'Beginner', tags: ['fonts'], enrollmentCount: 10 }),
+    createCourse({ title: 'Baking', category: 'Cooking', difficulty: 'Beginner', enrollmentCount: 40 })
+  ]);
+  courses = { jsBasics, jsPatterns, jsInternals, typography, baking };
+  await createCourse({ title: 'Unreleased', category: 'Design', status: 'draft', enrollmentCount: 99 });
+});
+
+describe('GET /api/courses/recommended', () => {
+  it('requires a signed-in user', async () => {
+    expect((await request(app).get('/api/courses/recommended')).status).toBe(401);
+  });
+
+  it('recommends popular published courses to a user without any signals', async () => {
+    const recommendations = await recommend(await createUser(), '?limit=3');
+
+    expect(recommendations.map(r => r.course.title)).toEqual(['JavaScript Basics', 'Baking', 'JavaScript Patterns']);
+    recommendations.forEach(r => expect(r.reasons).toEqual(['Popular with students']));
+    expect(recommendations[0].course.enrolledStudents).toBe(50);
+  });
+
+  it('ranks courses matching profile interests and skills first', async () => {
+    const user = await createUser({ profile: { areasOfInterest: ['Design'], skills: ['JavaScript'] } });
+
+    const recommendations = await recommend(user);
+
+    expect(recommendations[0].course.title).toBe('Typography');
+    expect(recommendations[0].reasons).toEqual(['Matches your interest in Design']);
+    expect(find(recommendations, 'JavaScript Patterns').reasons).toEqual(['Builds on your JavaScript skills']);
+    expect(find(recommendations, 'Unreleased')).toBeUndefined();
+  });
+
+  it('suggests what students with shared courses also took', async () => {
+    const user = await createUser();
+    await Enrollment.create({ student: user._id, course: courses.baking._id });
+    const peer = await createUser();
+    await Enrollment.create({ student: peer._id, course: courses.baking._id });
+    await Enrollment.create({ student: peer._id, course: courses.typography._id });
+
+    const recommendations = await recommend(user);
+
+    expect(recommendations[0].course.title).toBe('Typography');
+    expect(recommendations[0].reasons).toEqual(['Students who took Baking also took this course']);
+    expect(find(recommendations, 'Baking')).toBeUndefined();
+  });
+
+  it('suggests the next difficulty level after a completed course', async () => {
+    const user = await createUser();
+    await Enrollment.create({ student: user._id, course: courses.jsBasics._id, progress: 100 });
+
+    const recommendations = await recommend(user);
+
+    expect(recommendations[0].course.title).toBe('JavaScript Patterns');
+    expect(recommendations[0].reasons).toEqual(['Next step after completing JavaScript Basics (Beginner → Intermediate)']);
+    expect(find(recommendations, 'JavaScript Internals').reasons).toEqual(['Popular with students']);
+  });
+
+  it('does not suggest easier courses in a category the user has mastered', async () => {
+    const user = await createUser();
+    await Enrollment.create({ student: user._id, course: courses.jsInternals._id, progress: 100 });
+
+    const recommendations = await recommend(user);
+
+    expect(find(recommendations, 'JavaScript Basics')).toBeUndefined();
+    expect(find(recommendations, 'JavaScript Patterns')).toBeUndefined();
+  });
+});
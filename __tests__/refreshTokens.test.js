@@ -0,0 +1,130 @@
+// Short-lived access tokens with rotating refresh tokens: rotation, reuse detection and logout.
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { connect, clear } = require('./helpers/memoryDb');
+const { PASSWORD, createApp, createUser } = require('./helpers/api');
+
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { hashToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+let user;
+
+const login = async () => {
+  const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  user = await createUser();
+});
+
+describe('login', () => {
+  it('issues a short-lived access token tied to a session and stores only the refresh token hash', async () => {
+    const { token, refreshToken } = await login();
+
+    const { sid, exp, iat } = jwt.decode(token);
+    expect(exp - iat).toBe(15 * 60);
+    expect(await Session.exists({ _id: sid, user: user._id })).toBeTruthy();
+    expect(await RefreshToken.exists({ tokenHash: hashToken(refreshToken), family: sid })).toBeTruthy();
+    expect(await RefreshToken.exists({ tokenHash: refreshToken })).toBeNull();
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token and keeps the session', async () => {
+    const first = await login();
+
+    const res = await refresh(first.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(first.refreshToken);
+    expect(jwt.decode(res.body.token).sid).toBe(jwt.decode(first.token).sid);
+    expect((await me(res.body.token)).status).toBe(200);
+
+    const rotated = await RefreshToken.findOne({ tokenHash: hashToken(first.refreshToken) });
+    expect(rotated.revokedReason).toBe('rotated');
+    expect(rotated.replacedBy).not.toBeNull();
+  });
+
+  it('treats a reused refresh token as stolen and revokes the whole session', async () => {
+    const first = await login();
+    const second = (await refresh(first.refreshToken)).body;
+
+    const reuse = await refresh(first.refreshToken);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.message).toBe('Refresh token reuse detected. Please login again.');
+    // The legitimate holder of the newest tokens is logged out as well
+    expect((await refresh(second.refreshToken)).status).toBe(401);
+    expect((await me(second.token)).status).toBe(401);
+    expect((await Session.findById(jwt.decode(first.token).sid)).revokedReason).toBe('reuse_detected');
+  });
+
+  it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const { refreshToken } = await login();
+
+    const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  it('rejects expired and unknown refresh tokens', async () => {
+    const { refreshToken } = await login();
+    await RefreshToken.updateOne({ tokenHash: hashToken(refreshToken) }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const expired = await refresh(refreshToken);
+    const unknown = await refresh('not-a-token');
+    const missing = await request(app).post('/api/auth/refresh').send({});
+
+    expect(expired.status).toBe(401);
+    expect(expired.body.message).toBe('Refresh token expired. Please login again.');
+    expect(unknown.status).toBe(401);
+    expect(missing.status).toBe(400);
+  });
+
+  it('refuses refresh tokens of deactivated accounts', async () => {
+    const { refreshToken } = await login();
+    user.isActive = false;
+    await user.save();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revokes the access token and the refresh token family', async () => {
+    const first = await login();
+    const rotated = (await refresh(first.refreshToken)).body;
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${rotated.token}`);
+
+    expect(res.status).toBe(200);
+    expect((await me(rotated.token)).status).toBe(401);
+    expect((await me(first.token)).status).toBe(401);
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+  });
+
+  it('leaves other logins of the same user alone', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${laptop.token}`);
+
+    expect((await me(phone.token)).status).toBe(200);
+    expect((await refresh(phone.refreshToken)).status).toBe(200);
+  });
+});
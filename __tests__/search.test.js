@@ -0,0 +1,113 @@
+// Search across courses, notes and reviews: prefix and typo tolerant matching, highlighting and
+// visibility of notes and unapproved content.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const Note = require('../models/Note');
+const Review = require('../models/Review');
+const { parseTerms, editDistance, matchQuality, highlight, search } = require('../utils/search');
+const searchRoutes = require('../routes/search');
+
+const app = createApp({ '/api/search': searchRoutes });
+
+const find = (query, auth = {}) => request(app).get(`/api/search?${query}`).set(auth);
+
+const titlesOf = (group) => group.items.map(item => item.title);
+
+beforeAll(connect);
+
+describe('matching', () => {
+  it('parses up to eight distinct terms of two or more characters', () => {
+    expect(parseTerms('React, react and a  Node.js!')).toEqual(['react', 'and', 'node', 'js']);
+    expect(parseTerms('a b c d e f g h i j k l m n o p q r s t')).toEqual([]);
+    expect(parseTerms('aa bb cc dd ee ff gg hh ii jj')).toHaveLength(8);
+  });
+
+  it('counts an adjacent transposition as one edit', () => {
+    expect(editDistance('raect', 'react', 2)).toBe(1);
+    expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+    expect(editDistance('abc', 'abcdefgh', 2)).toBe(3);
+  });
+
+  it('prefers exact over prefix over typo matches', () => {
+    expect(matchQuality('react', 'react')).toBe(1);
+    expect(matchQuality('reac', 'reactive')).toBe(0.8);
+    expect(matchQuality('raect', 'react')).toBeCloseTo(0.5);
+    expect(matchQuality('vue', 'vie')).toBe(0);
+  });
+
+  it('marks matches and escapes the surrounding text', () => {
+    expect(highlight(['react'], 'Learn <b>React</b> & Redux')).toBe('Learn &lt;b&gt;<mark>React</mark>&lt;/b&gt; &amp; Redux');
+  });
+});
+
+describe('GET /api/search', () => {
+  let student;
+  let studentAuth;
+  let react;
+
+  beforeEach(async () => {
+    await clear();
+    student = await createUser();
+    studentAuth = await signIn(student);
+    react = await createCourse({ title: 'React Fundamentals', description: 'Components, hooks and state' });
+    await createCourse({ title: 'Reactive Programming', description: 'Streams everywhere' });
+    await createCourse({ title: 'React Internals', description: 'Unreleased draft', status: 'draft' });
+  });
+
+  it('requires a query of reasonable length', async () => {
+    expect((await find('q=%20%20')).status).toBe(400);
+    expect((await find(`q=${'a'.repeat(201)}`)).status).toBe(400);
+  });
+
+  it('finds published courses by word, prefix and typo, best matches first', async () => {
+    const exact = await find('q=react&types=courses');
+    const typo = await find('q=raect&types=courses');
+
+    expect(exact.status).toBe(200);
+    expect(titlesOf(exact.body.data.results.courses)).toEqual(['React Fundamentals', 'Reactive Programming']);
+    expect(exact.body.data.results.courses.items[0].titleHighlighted).toBe('<mark>React</mark> Fundamentals');
+    expect(titlesOf(typo.body.data.results.courses)).toContain('React Fundamentals');
+  });
+
+  it("searches the user's own notes and other users' public notes, never private ones", async () => {
+    const other = await createUser();
+    await Note.create({ title: 'Hooks cheatsheet', content: 'useState and useEffect', student: student._id, course: react._id });
+    await Note.create({ title: 'Hooks shared', content: 'Public hooks notes', student: other._id, course: react._id, isPublic: true });
+    await Note.create({ title: 'Hooks private', content: 'Private hooks notes', student: other._id, course: react._id });
+
+    const signedIn = await find('q=hooks&types=notes,publicNotes', studentAuth);
+    const anonymous = await find('q=hooks&types=notes,publicNotes');
+
+    expect(titlesOf(signedIn.body.data.results.notes)).toEqual(['Hooks cheatsheet']);
+    expect(titlesOf(signedIn.body.data.results.publicNotes)).toEqual(['Hooks shared']);
+    expect(anonymous.body.data.results).not.toHaveProperty('notes');
+    expect(titlesOf(anonymous.body.data.results.publicNotes)).toEqual(['Hooks shared']);
+  });
+
+  it('leaves out unapproved reviews', async () => {
+    await Review.create({ student: student._id, course: react._id, rating: 5, comment: 'Wonderful explanations of hooks' });
+    await Review.create({ student: (await createUser())._id, course: react._id, rating: 1, comment: 'Hooks spam', isApproved: false });
+
+    const res = await find('q=hooks&types=reviews');
+
+    expect(res.body.data.results.reviews.total).toBe(1);
+    expect(res.body.data.results.reviews.items[0].rating).toBe(5);
+  });
+
+  it('limits each group while still reporting the total', async () => {
+    const one = await find('q=react&types=courses&limit=1');
+    const invalid = await find('q=react&types=courses&limit=-2');
+
+    expect(one.body.data.results.courses.items).toHaveLength(1);
+    expect(one.body.data.results.courses.total).toBe(2);
+    expect(invalid.body.data.results.courses.items).toHaveLength(2);
+  });
+
+  it('returns at least one result per group for a non-positive limit', async () => {
+    const { groups } = await search('react', { types: ['courses'], limit: -3 });
+
+    expect(groups.courses.items).toHaveLength(1);
+  });
+});
@@ -0,0 +1,136 @@
+// Login sessions: listing devices, revoking one or all others, and admin force-logout.
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { PASSWORD, createApp, createUser, signIn } = require('./helpers/api');
+
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+
+const app = createApp({
+  '/api/auth': authRoutes,
+  '/api/admin': adminRoutes
+});
+
+const FIREFOX_ON_LINUX = 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0';
+const SAFARI_ON_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+let user;
+
+const login = async (userAgent) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: user.email, password: PASSWORD });
+  return { Authorization: `Bearer ${res.body.token}`, refreshToken: res.body.refreshToken };
+};
+
+const bearer = ({ Authorization }) => ({ Authorization });
+
+const listSessions = (auth) => request(app).get('/api/auth/sessions').set(bearer(auth));
+
+const me = (auth) => request(app).get('/api/auth/me').set(bearer(auth));
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  user = await createUser();
+});
+
+describe('GET /api/auth/sessions', () => {
+  it('lists each login with its device and marks the current one', async () => {
+    const laptop = await login(FIREFOX_ON_LINUX);
+    await login(SAFARI_ON_IPHONE);
+
+    const res = await listSessions(laptop);
+
+    expect(res.status).toBe(200);
+    const sessions = res.body.data.sessions;
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find(s => s.isCurrent).device).toEqual({ browser: 'Firefox', os: 'Linux', type: 'desktop' });
+    expect(sessions.find(s => !s.isCurrent).device).toEqual({ browser: 'Safari', os: 'iOS', type: 'mobile' });
+    sessions.forEach(session => expect(session).toEqual(expect.objectContaining({
+      userAgent: expect.any(String),
+      createdAt: expect.any(String),
+      lastUsedAt: expect.any(String)
+    })));
+  });
+
+  it("does not show other users' sessions", async () => {
+    const mine = await login(FIREFOX_ON_LINUX);
+    await signIn(await createUser());
+
+    const res = await listSessions(mine);
+
+    expect(res.body.data.sessions).toHaveLength(1);
+  });
+});
+
+describe('revoking sessions', () => {
+  it('revokes one session, which logs that device out immediately', async () => {
+    const laptop = await login(FIREFOX_ON_LINUX);
+    const phone = await login(SAFARI_ON_IPHONE);
+    const phoneSession = (await listSessions(laptop)).body.data.sessions.find(s => !s.isCurrent);
+
+    const res = await request(app).delete(`/api/auth/sessions/${phoneSession._id}`).set(bearer(laptop));
+
+    expect(res.status).toBe(200);
+    expect((await me(phone)).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken: phone.refreshToken })).status).toBe(401);
+    expect((await me(laptop)).status).toBe(200);
+  });
+
+  it("cannot revoke another user's session", async () => {
+    const mine = await login(FIREFOX_ON_LINUX);
+    const other = await createUser();
+    const otherAuth = await signIn(other);
+    const otherSession = (await listSessions(otherAuth)).body.data.sessions[0];
+
+    const res = await request(app).delete(`/api/auth/sessions/${otherSession._id}`).set(bearer(mine));
+
+    expect(res.status).toBe(404);
+    expect((await me(otherAuth)).status).toBe(200);
+  });
+
+  it('revokes every other session but keeps the current one', async () => {
+    const laptop = await login(FIREFOX_ON_LINUX);
+    const phone = await login(SAFARI_ON_IPHONE);
+    const tablet = await login(SAFARI_ON_IPHONE);
+
+    const res = await request(app).delete('/api/auth/sessions').set(bearer(laptop));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked).toBe(2);
+    expect((await me(laptop)).status).toBe(200);
+    expect((await me(phone)).status).toBe(401);
+    expect((await me(tablet)).status).toBe(401);
+  });
+});
+
+describe('POST /api/admin/users/:id/force-logout', () => {
+  it('lets an admin log a user out of every session', async () => {
+    const laptop = await login(FIREFOX_ON_LINUX);
+    const phone = await login(SAFARI_ON_IPHONE);
+    const admin = await createUser({ role: 'admin' });
+
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/force-logout`)
+      .set(await signIn(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked).toBe(2);
+    expect((await me(laptop)).status).toBe(401);
+    expect((await me(phone)).status).toBe(401);
+  });
+
+  it('is not available to other users', async () => {
+    const laptop = await login(FIREFOX_ON_LINUX);
+
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/force-logout`)
+      .set(await signIn(await createUser()));
+
+    expect(res.status).toBe(403);
+    expect((await me(laptop)).status).toBe(200);
+  });
+});
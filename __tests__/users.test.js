@@ -0,0 +1,143 @@
+// User management: self-service scoped to the signed-in user, admin-only management of others and
+// no mass assignment of role, status, email or token fields.
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse } = require('./helpers/api');
+
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const userRoutes = require('../routes/users');
+
+const app = createApp({ '/api/users': userRoutes });
+
+// Fields that must never change through a profile update
+const PROTECTED_FIELDS = {
+  role: 'admin',
+  isActive: false,
+  email: 'taken@example.com',
+  emailVerified: true,
+  passwordResetToken: 'forged',
+  password: 'hijacked-password'
+};
+
+let student;
+let studentAuth;
+let admin;
+let adminAuth;
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  student = await createUser({ name: 'Student One' });
+  studentAuth = await signIn(student);
+  admin = await createUser({ name: 'Admin', role: 'admin' });
+  adminAuth = await signIn(admin);
+});
+
+describe('authentication', () => {
+  it('requires a signed-in user for every endpoint', async () => {
+    const responses = await Promise.all([
+      request(app).get('/api/users/profile'),
+      request(app).put(`/api/users/${student._id}`).send({ name: 'Nobody' }),
+      request(app).delete(`/api/users/${student._id}`)
+    ]);
+
+    responses.forEach(res => expect(res.status).toBe(401));
+    expect(await User.exists({ _id: student._id, name: 'Student One' })).toBeTruthy();
+  });
+});
+
+describe('self-service', () => {
+  it("returns the signed-in user's own profile without secrets", async () => {
+    const res = await request(app).get('/api/users/profile').set(studentAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user._id).toBe(student._id.toString());
+    expect(res.body.user).not.toHaveProperty('password');
+    expect(res.body.user).not.toHaveProperty('passwordResetToken');
+  });
+
+  it('updates whitelisted profile fields and ignores everything else', async () => {
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set(studentAuth)
+      .send({ name: 'Student Renamed', profile: { university: 'MIT', skills: ['js'] }, ...PROTECTED_FIELDS });
+
+    expect(res.status).toBe(200);
+    const saved = await User.findById(student._id).select('+password');
+    expect(saved.name).toBe('Student Renamed');
+    expect(saved.profile.university).toBe('MIT');
+    expect(saved.profile.skills).toEqual(['js']);
+    expect(saved).toMatchObject({
+      role: 'student',
+      isActive: true,
+      email: student.email,
+      emailVerified: false,
+      passwordResetToken: null
+    });
+    expect(await saved.comparePassword('hijacked-password')).toBe(false);
+  });
+});
+
+describe('managing other users', () => {
+  it('is forbidden to students', async () => {
+    const other = await createUser();
+
+    const update = await request(app).put(`/api/users/${other._id}`).set(studentAuth).send({ name: 'Changed' });
+    const role = await request(app).put(`/api/users/${student._id}/role`).set(studentAuth).send({ role: 'admin' });
+    const remove = await request(app).delete(`/api/users/${other._id}`).set(studentAuth);
+    const list = await request(app).get('/api/users').set(studentAuth);
+
+    [update, role, remove, list].forEach(res => expect(res.status).toBe(403));
+    expect((await User.findById(student._id)).role).toBe('student');
+    expect(await User.exists({ _id: other._id })).toBeTruthy();
+  });
+
+  it("lets admins edit another user's profile but not mass-assign protected fields", async () => {
+    const res = await request(app)
+      .put(`/api/users/${student._id}`)
+      .set(adminAuth)
+      .send({ name: 'Edited By Admin', ...PROTECTED_FIELDS });
+
+    expect(res.status).toBe(200);
+    expect(await User.findById(student._id)).toMatchObject({ name: 'Edited By Admin', role: 'student', isActive: true });
+  });
+
+  it('changes roles only through the role endpoint and only to existing roles', async () => {
+    const promote = await request(app).put(`/api/users/${student._id}/role`).set(adminAuth).send({ role: 'instructor' });
+    const unknown = await request(app).put(`/api/users/${student._id}/role`).set(adminAuth).send({ role: 'superuser' });
+    const own = await request(app).put(`/api/users/${admin._id}/role`).set(adminAuth).send({ role: 'student' });
+
+    expect(promote.status).toBe(200);
+    expect(unknown.status).toBe(400);
+    expect(own.status).toBe(400);
+    expect((await User.findById(student._id)).role).toBe('instructor');
+    expect((await User.findById(admin._id)).role).toBe('admin');
+  });
+
+  it('logs out a user when an admin deactivates them', async () => {
+    const res = await request(app).put(`/api/users/${student._id}/status`).set(adminAuth).send({ isActive: false });
+
+    expect(res.status).toBe(200);
+    expect((await request(app).get('/api/users/profile').set(studentAuth)).status).toBe(401);
+  });
+
+  it('deletes a user together with their enrollments but never an admin', async () => {
+    const course = await createCourse();
+    await Enrollment.create({ student: student._id, course: course._id });
+    const otherAdmin = await createUser({ role: 'admin' });
+
+    const removed = await request(app).delete(`/api/users/${student._id}`).set(adminAuth);
+    const refused = await request(app).delete(`/api/users/${otherAdmin._id}`).set(adminAuth);
+    const missing = await request(app).delete(`/api/users/${new mongoose.Types.ObjectId()}`).set(adminAuth);
+
+    expect(removed.status).toBe(200);
+    expect(await User.exists({ _id: student._id })).toBeNull();
+    expect(await Enrollment.countDocuments({ student: student._id })).toBe(0);
+    expect(refused.status).toBe(400);
+    expect(await User.exists({ _id: otherAdmin._id })).toBeTruthy();
+    expect(missing.status).toBe(404);
+  });
+});
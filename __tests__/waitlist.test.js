@@ -0,0 +1,226 @@
+// Course capacity: the waitlist of a full course, promotion as seats free up, seat offers that
+// waitlisted students of priced courses pay for in time, and enrollment windows.
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const request = require('supertest');
+const { connect, clear } = require('./helpers/memoryDb');
+const { createApp, createUser, signIn, createCourse, captureEmails } = require('./helpers/api');
+
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { expireSeatOffers } = require('../utils/waitlist');
+const courseRoutes = require('../routes/courses');
+const enrollmentRoutes = require('../routes/enrollments');
+const orderRoutes = require('../routes/orders');
+
+const app = createApp({
+  '/api/courses': courseRoutes,
+  '/api/enrollments': enrollmentRoutes,
+  '/api/orders': orderRoutes
+});
+
+let sent;
+let instructor;
+let course;
+let seated;
+let students;
+
+const enroll = (auth, target = course) => request(app).post('/api/enrollments').set(auth).send({ courseId: target._id });
+
+const unenroll = async (user) => {
+  const enrollment = await Enrollment.findOne({ student: user._id, course: course._id });
+  return request(app).delete(`/api/enrollments/${enrollment._id}`).set(user.auth);
+};
+
+const entryOf = (user) => WaitlistEntry.findOne({ student: user._id, course: course._id }).sort({ createdAt: -1 });
+
+// A student with their Authorization header at hand
+const createStudent = async () => {
+  const user = await createUser();
+  user.auth = await signIn(user);
+  return user;
+};
+
+beforeAll(connect);
+
+beforeEach(async () => {
+  await clear();
+  sent = captureEmails();
+  instructor = await createUser({ role: 'instructor' });
+  seated = await createStudent();
+  students = [await createStudent(), await createStudent()];
+  // One seat, already taken
+  course = await createCourse({ owner: instructor._id, capacity: 1, enrollmentCount: 1 });
+  await Enrollment.create({ student: seated._id, course: course._id });
+});
+
+describe('the waitlist of a full course', () => {
+  it('queues students in the order they ask for a seat', async () => {
+    const first = await enroll(students[0].auth);
+    const second = await enroll(students[1].auth);
+
+    expect(first.status).toBe(202);
+    expect(first.body.message).toBe('Course is full; you are number 1 on the waitlist');
+    expect(second.body.data.position).toBe(2);
+
+    const again = await enroll(students[1].auth);
+    expect(again.body.data.position).toBe(2);
+    expect(await WaitlistEntry.countDocuments()).toBe(2);
+  });
+
+  it("shows students their places and instructors their course's queue", async () => {
+    await enroll(students[0].auth);
+    await enroll(students[1].auth);
+
+    const mine = await request(app).get('/api/enrollments/waitlist').set(students[1].auth);
+    const queue = await request(app).get(`/api/courses/${course._id}/waitlist`).set(await signIn(instructor));
+    const forbidden = await request(app).get(`/api/courses/${course._id}/waitlist`).set(students[0].auth);
+
+    expect(mine.body.data.waitlist).toEqual([expect.objectContaining({ position: 2 })]);
+    expect(queue.body.data).toMatchObject({ capacity: 1, enrollmentCount: 1 });
+    expect(queue.body.data.waitlist.map(entry => entry.student.name)).toEqual(students.map(s => s.name));
+    expect(forbidden.status).toBe(403);
+  });
+
+  it('enrolls the first waiting student when a seat frees up and emails them', async () => {
+    await enroll(students[0].auth);
+    await enroll(students[1].auth);
+
+    expect((await unenroll(seated)).status).toBe(200);
+
+    expect(await Enrollment.exists({ student: students[0]._id, course: course._id, isActive: true })).toBeTruthy();
+    expect((await entryOf(students[0])).status).toBe('promoted');
+    expect(await (await entryOf(students[1])).position()).toBe(1);
+    expect(sent.map(message => message.subject)).toEqual([`You're enrolled in ${course.title}`]);
+  });
+
+  it('promotes waiting students when the capacity is raised', async () => {
+    await enroll(students[0].auth);
+    await enroll(students[1].auth);
+
+    const res = await request(app).put(`/api/courses/${course._id}`).set(await signIn(instructor)).send({ capacity: 3 });
+
+    expect(res.status).toBe(200);
+    expect(await Enrollment.countDocuments({ course: course._id, isActive: true })).toBe(3);
+    expect((await Course.findById(course._id)).enrollmentCount).toBe(3);
+  });
+
+  it('does not let a newcomer take a seat ahead of the queue', async () => {
+    await enroll(students[0].auth);
+    await Course.updateOne({ _id: course._id }, { capacity: 2 });
+
+    const res = await enroll(students[1].auth);
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.position).toBe(2);
+  });
+
+  it('lets a student leave the waitlist', async () => {
+    await enroll(students[0].auth);
+
+    const left = await request(app).delete(`/api/enrollments/waitlist/${course._id}`).set(students[0].auth);
+    const again = await request(app).delete(`/api/enrollments/waitlist/${course._id}`).set(students[0].auth);
+    const malformed = await request(app).delete('/api/enrollments/waitlist/nope').set(students[0].auth);
+
+    expect(left.status).toBe(200);
+    expect((await entryOf(students[0])).cancelReason).toBe('Left the waitlist');
+    expect(again.status).toBe(404);
+    expect(malformed.status).toBe(404);
+  });
+});
+
+describe('seat offers for priced courses', () => {
+  const order = (user) => request(app).post('/api/orders').set(user.auth).send({ courseId: course._id });
+
+  beforeEach(async () => {
+    await Course.updateOne({ _id: course._id }, { price: 49 });
+    course = await Course.findById(course._id);
+  });
+
+  it('waitlists students without payment and holds a freed seat for them to pay for', async () => {
+    const waiting = await enroll(students[0].auth);
+    expect(waiting.status).toBe(202);
+    expect((await order(students[0])).status).toBe(409);
+
+    await unenroll(seated);
+
+    const entry = await entryOf(students[0]);
+    expect(entry.status).toBe('waiting');
+    expect(entry.offerExpiresAt.getTime()).toBeGreaterThan(Date.now() + 47 * 60 * 60 * 1000);
+    expect(sent.map(message => message.subject)).toEqual([`A seat in ${course.title} is waiting for you`]);
+
+    const unpaid = await enroll(students[0].auth);
+    expect(unpaid.status).toBe(402);
+    expect(unpaid.body).toMatchObject({ paymentRequired: true, price: 49 });
+
+    const created = await order(students[0]);
+    expect(created.status).toBe(201);
+    const paid = await request(app)
+      .post(`/api/orders/${created.body.data.order._id}/confirm`)
+      .set(students[0].auth)
+      .send({ paymentDetails: { token: 'tok_visa' } });
+
+    expect(paid.body.data.order.status).toBe('paid');
+    expect((await entryOf(students[0])).status).toBe('promoted');
+    expect((await Course.findById(course._id)).enrollmentCount).toBe(1);
+  });
+
+  it('keeps the held seat from other students', async () => {
+    await enroll(students[0].auth);
+    await unenroll(seated);
+
+    const res = await order(students[1]);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toMatch(/This course is full/);
+  });
+
+  it('passes the seat on when the offer expires unpaid', async () => {
+    await enroll(students[0].auth);
+    await enroll(students[1].auth);
+    await unenroll(seated);
+    await WaitlistEntry.updateOne({ student: students[0]._id }, { offerExpiresAt: new Date(Date.now() - 1000) });
+
+    expect(await expireSeatOffers()).toBe(1);
+
+    expect((await entryOf(students[0])).cancelReason).toBe('The seat offer expired without payment');
+    expect((await entryOf(students[1])).offerExpiresAt).toBeInstanceOf(Date);
+    expect((await Course.findById(course._id)).enrollmentCount).toBe(1);
+  });
+
+  it('passes the seat on when the student leaves the waitlist', async () => {
+    await enroll(students[0].auth);
+    await enroll(students[1].auth);
+    await unenroll(seated);
+
+    await request(app).delete(`/api/enrollments/waitlist/${course._id}`).set(students[0].auth);
+
+    expect((await entryOf(students[1])).offerExpiresAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('enrollment windows', () => {
+  it('refuses enrollment before the window opens and after it closes', async () => {
+    const opensAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const upcoming = await createCourse({ enrollmentOpensAt: opensAt });
+    const closed = await createCourse({ enrollmentClosesAt: new Date(Date.now() - 1000) });
+
+    const early = await enroll(students[0].auth, upcoming);
+    const late = await enroll(students[0].auth, closed);
+
+    expect(early.status).toBe(400);
+    expect(early.body.message).toBe(`Enrollment opens on ${opensAt.toISOString()}`);
+    expect(late.status).toBe(400);
+    expect(late.body.message).toBe('Enrollment for this course has closed');
+  });
+
+  it('still promotes students who joined the waitlist before it closed', async () => {
+    await enroll(students[0].auth);
+    await Course.updateOne({ _id: course._id }, { enrollmentClosesAt: new Date(Date.now() - 1000) });
+
+    await unenroll(seated);
+
+    expect((await entryOf(students[0])).status).toBe('promoted');
+  });
+});
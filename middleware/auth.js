@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { touchSession } = require('../utils/sessions');
 
 // Middleware to protect routes - requires valid JWT token and active user
 const protect = async (req, res, next) => {
@@ -41,8 +42,24 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please login again.'
+      });
+    }
+
+    // Reject tokens whose session was revoked (logout, revoked by user or admin, reuse detection)
+    if (!decoded.sid || !(await touchSession(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+
     // Attach user to request object for downstream middleware/controllers
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
 
   } catch (error) {
@@ -84,6 +101,23 @@ const authorize = (...roles) => {
   };
 };
 
+// Middleware to require a verified email address.
+// Only enforced when REQUIRE_EMAIL_VERIFICATION=true so existing deployments keep working.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before continuing.'
+    });
+  }
+
+  next();
+};
+
 // Middleware for optional authentication - will set req.user if valid token, else continue
 const optionalAuth = async (req, res, next) => {
   try {
@@ -100,8 +134,15 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id).select('-password');
 
-      if (user && user.isActive) {
+      if (
+        user &&
+        user.isActive &&
+        !user.changedPasswordAfter(decoded.iat) &&
+        decoded.sid &&
+        (await touchSession(decoded.sid))
+      ) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
 
@@ -115,5 +156,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   authorize,
+  requireVerifiedEmail,
   optionalAuth,
 };
@@ -0,0 +1,92 @@
+const { getRolePermissions, hasPermission, can } = require('../utils/permissions');
+
+// Resolve (once per request) the permissions of req.user's role into req.permissions
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = req.user ? await getRolePermissions(req.user.role) : [];
+  }
+  return req.permissions;
+};
+
+// Middleware to require a permission regardless of ownership, e.g. requirePermission('review:moderate')
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Please login first.'
+        });
+      }
+
+      const permissions = await loadPermissions(req);
+      if (!hasPermission(permissions, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission '${permission}'.`
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Middleware to load a document by route param and check an ownership-aware permission.
+// Users with "<permission>:any" pass; users with "<permission>:own" pass only when
+// doc[ownerField] is their id. The document is stored on req[as]. `populate` loads the
+// references a dotted ownerField goes through.
+//
+//   authorizeResource('note:update', { model: Note, ownerField: 'student', as: 'note' })
+//   authorizeResource('course:update', { model: Quiz, ownerField: 'course.owner', populate: 'course', as: 'quiz' })
+const authorizeResource = (permission, { model, ownerField, as, param = 'id', populate, notFoundMessage }) => {
+  const missing = notFoundMessage || `${model.modelName} not found`;
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Please login first.'
+        });
+      }
+
+      const query = model.findById(req.params[param]);
+      if (populate) query.populate(populate);
+      const doc = await query;
+      if (!doc) {
+        return res.status(404).json({ success: false, message: missing });
+      }
+
+      const permissions = await loadPermissions(req);
+      if (!can(permissions, permission, req.user, doc, ownerField)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      req[as] = doc;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ success: false, message: missing });
+      }
+      next(error);
+    }
+  };
+};
+
+// Whether req.user may manage `course` and the quizzes, assignments and cohorts that belong to
+// it. Owners need the ':own' scope of `permission`, everyone else ':any'.
+const canManageCourse = async (req, course, permission = 'course:update') =>
+  Boolean(req.user) && can(await loadPermissions(req), permission, req.user, course, 'owner');
+
+module.exports = {
+  canManageCourse,
+  loadPermissions,
+  requirePermission,
+  authorizeResource,
+};
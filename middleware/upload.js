@@ -0,0 +1,86 @@
+const fs = require('fs');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const { UPLOAD_DIR } = require('../utils/storage');
+
+const MAX_FILE_SIZE_MB = 10;
+const MAX_FILES = 5;
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueName = uuidv4() + path.extname(file.originalname);
+    cb(null, uniqueName);
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  // Allow images and PDFs
+  if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only images and PDF files are allowed'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024
+  }
+});
+
+// Public description of a stored file
+const describeFile = (file) => ({
+  filename: file.filename,
+  originalName: file.originalname,
+  mimetype: file.mimetype,
+  size: file.size,
+  url: `/uploads/${file.filename}`
+});
+
+// Delete files stored for a request that was rejected after the upload
+const discardUploads = async (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+// Error handling middleware for multer
+const handleUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `File too large. Maximum size is ${MAX_FILE_SIZE_MB}MB.`
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: `Too many files. Maximum is ${MAX_FILES} files.`
+      });
+    }
+  }
+
+  if (error.message === 'Only images and PDF files are allowed') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  next(error);
+};
+
+module.exports = {
+  upload,
+  describeFile,
+  discardUploads,
+  handleUploadError,
+  MAX_FILES
+};
@@ -41,6 +41,23 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+// Reset password validation
+const validateResetPassword = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
 // Course creation validation
 const validateCourseCreation = [
   body('title')
@@ -66,9 +83,66 @@ const validateCourseCreation = [
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Category must be between 2 and 100 characters'),
-  body('syllabus')
-    .isArray({ min: 1 })
-    .withMessage('Syllabus must be an array with at least one item'),
+  body('modules')
+    .optional()
+    .isArray()
+    .withMessage('Modules must be an array'),
+  body('modules.*.title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Module title must be between 2 and 200 characters'),
+  handleValidationErrors
+];
+
+// Course module validation
+const validateModule = [
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Module title must be between 2 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Module description cannot exceed 2000 characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer'),
+  body('unlockWeek')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Unlock week must be a non-negative integer'),
+  body('lessons')
+    .optional()
+    .isArray()
+    .withMessage('Lessons must be an array'),
+  handleValidationErrors
+];
+
+// Course lesson validation
+const validateLesson = [
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Lesson title must be between 2 and 200 characters'),
+  body('type')
+    .optional()
+    .isIn(['video', 'reading', 'quiz'])
+    .withMessage('Lesson type must be video, reading, or quiz'),
+  body('estimatedMinutes')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Estimated minutes must be a non-negative integer'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer'),
+  body('quiz')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Quiz must be a valid quiz id'),
   handleValidationErrors
 ];
 
@@ -122,7 +196,11 @@ const validateProfileUpdate = [
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validateResetPassword,
   validateCourseCreation,
+  validateModule,
+  validateLesson,
   validateReviewCreation,
   validateProfileUpdate,
   handleValidationErrors
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Zero-based position of the module in Course.modules; null for course-wide assignments
+  moduleIndex: {
+    type: Number,
+    min: [0, 'Module index cannot be negative'],
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, 'Assignment title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [10000, 'Instructions cannot exceed 10000 characters'],
+    default: ''
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  maxScore: {
+    type: Number,
+    default: 100,
+    min: [1, 'Max score must be at least 1']
+  },
+  // Late submission rules
+  allowLateSubmissions: {
+    type: Boolean,
+    default: false
+  },
+  // No submissions are accepted after this date, even late ones
+  lateCutoff: {
+    type: Date,
+    default: null
+  },
+  // Percentage of the score deducted for each started day past the due date
+  latePenaltyPerDay: {
+    type: Number,
+    default: 0,
+    min: [0, 'Late penalty cannot be negative'],
+    max: [100, 'Late penalty cannot exceed 100']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+assignmentSchema.index({ course: 1, dueDate: 1 });
+
+assignmentSchema.pre('validate', function(next) {
+  if (this.lateCutoff && this.dueDate && this.lateCutoff < this.dueDate) {
+    this.invalidate('lateCutoff', 'Late cutoff cannot be before the due date');
+  }
+  next();
+});
+
+// Whether a submission made at `date` is accepted, and how late it is in started days
+assignmentSchema.methods.getSubmissionWindow = function(date = new Date()) {
+  if (date <= this.dueDate) {
+    return { accepted: true, isLate: false, daysLate: 0 };
+  }
+
+  if (!this.allowLateSubmissions || (this.lateCutoff && date > this.lateCutoff)) {
+    return { accepted: false, isLate: true, daysLate: 0 };
+  }
+
+  const daysLate = Math.ceil((date - this.dueDate) / (24 * 60 * 60 * 1000));
+  return { accepted: true, isLate: true, daysLate };
+};
+
+// Score after the late penalty is applied
+assignmentSchema.methods.applyLatePenalty = function(score, daysLate) {
+  const penalty = Math.min(100, this.latePenaltyPerDay * daysLate);
+  return Math.round(score * (100 - penalty)) / 100;
+};
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const certificateSchema = new mongoose.Schema({
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: [true, 'Enrollment is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  verificationCode: {
+    type: String,
+    required: [true, 'Verification code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Names are copied at issue time so the certificate stays stable if they change later
+  studentName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  courseTitle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pdfUrl: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One certificate per enrollment
+certificateSchema.index({ enrollment: 1 }, { unique: true });
+certificateSchema.index({ student: 1 });
+
+// Public view used by the verification endpoint
+certificateSchema.methods.toPublicObject = function() {
+  return {
+    type: 'course',
+    verificationCode: this.verificationCode,
+    studentName: this.studentName,
+    courseTitle: this.courseTitle,
+    issuedAt: this.issuedAt
+  };
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
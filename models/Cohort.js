@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A scheduled run of a course. Students enrolled in a cohort get the course's modules on the
+// drip schedule set by each module's unlockWeek, counted from the cohort's start date.
+const cohortSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Cohort name is required'],
+    trim: true,
+    maxlength: [100, 'Cohort name cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Inactive cohorts accept no new enrollments but keep their roster
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cohortSchema.index({ course: 1, startDate: 1 });
+
+cohortSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Whether new students may join at `now`: active and not yet finished
+cohortSchema.methods.isOpen = function(now = new Date()) {
+  return this.isActive && this.endDate > now;
+};
+
+// When module `moduleIndex` of `course` unlocks for this cohort
+cohortSchema.methods.moduleUnlocksAt = function(course, moduleIndex) {
+  const module = course.modules[moduleIndex];
+  const weeks = module ? module.unlockWeek || 0 : 0;
+  return new Date(this.startDate.getTime() + weeks * 7 * DAY_MS);
+};
+
+cohortSchema.methods.isModuleUnlocked = function(course, moduleIndex, now = new Date()) {
+  return this.moduleUnlocksAt(course, moduleIndex) <= now;
+};
+
+module.exports = mongoose.model('Cohort', cohortSchema);
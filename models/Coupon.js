@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  // 'percentage': `value` percent off; 'fixed': `value` off in the course's currency
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Courses the code is valid for; empty means sitewide
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  // null means unlimited
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Maximum redemptions must be at least 1'],
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1'],
+    default: 1
+  },
+  // Redemptions that are reserved by an open order or completed by payment
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+// Why the coupon cannot be used right now (ignoring per-user limits), or null
+couponSchema.methods.unavailableReason = function(now = new Date()) {
+  if (!this.isActive) return 'This coupon is no longer active';
+  if (this.startsAt && this.startsAt > now) return 'This coupon is not valid yet';
+  if (this.expiresAt && this.expiresAt <= now) return 'This coupon has expired';
+  if (this.maxRedemptions !== null && this.redemptionCount >= this.maxRedemptions) {
+    return 'This coupon has reached its usage limit';
+  }
+  return null;
+};
+
+couponSchema.methods.appliesTo = function(courseId) {
+  return this.courses.length === 0 || this.courses.some(id => id.toString() === courseId.toString());
+};
+
+// Discount on `price`, rounded to cents and never more than the price itself
+couponSchema.methods.discountFor = function(price) {
+  const raw = this.discountType === 'percentage' ? price * this.value / 100 : this.value;
+  return Math.round(Math.min(raw, price) * 100) / 100;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
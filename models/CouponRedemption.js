@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  // Copied so reports survive coupon deletion
+  code: {
+    type: String,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  listPrice: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  finalPrice: {
+    type: Number,
+    required: true
+  },
+  // reserved (open order) -> completed (paid) -> refunded, or reserved -> released (cancelled)
+  status: {
+    type: String,
+    enum: ['reserved', 'completed', 'released', 'refunded'],
+    default: 'reserved'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Which of the student's uses of the coupon this is (1..perUserLimit) while it is reserved or
+  // completed; cleared when the use is given back. Unique per coupon and student, so concurrent
+  // checkouts by one student cannot exceed the per-user limit.
+  useSlot: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, student: 1, status: 1 });
+couponRedemptionSchema.index({ status: 1, completedAt: -1 });
+couponRedemptionSchema.index(
+  { coupon: 1, student: 1, useSlot: 1 },
+  { unique: true, partialFilterExpression: { useSlot: { $type: 'number' } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
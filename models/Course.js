@@ -1,5 +1,73 @@
 const mongoose = require('mongoose');
 
+const COURSE_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+const COURSE_DIFFICULTIES = ['Beginner', 'Intermediate', 'Advanced'];
+
+const lessonSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Lesson title is required'],
+      trim: true,
+      maxlength: [200, 'Lesson title cannot exceed 200 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['video', 'reading', 'quiz'],
+      default: 'reading',
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [20000, 'Lesson content cannot exceed 20000 characters'],
+      default: '',
+    },
+    videoUrl: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    estimatedMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, 'Estimated minutes cannot be negative'],
+    },
+    // Quiz taken in this lesson (type 'quiz'); the lesson completes when the quiz is passed
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+const moduleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Module title is required'],
+      trim: true,
+      maxlength: [200, 'Module title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Module description cannot exceed 2000 characters'],
+      default: '',
+    },
+    // Drip schedule for cohort enrollments: the module unlocks this many weeks after the
+    // cohort starts (0 = at the start). Self-paced enrollments ignore it.
+    unlockWeek: {
+      type: Number,
+      min: [0, 'Unlock week cannot be negative'],
+      default: 0,
+    },
+    lessons: [lessonSchema],
+  },
+  { _id: true }
+);
+
 const courseSchema = new mongoose.Schema(
   {
     title: {
@@ -14,16 +82,23 @@ const courseSchema = new mongoose.Schema(
       trim: true,
       maxlength: 2000,
     },
+    // Display name shown in listings; defaults to the owner's name
     instructor: {
       type: String,
       required: true,
       trim: true,
       maxlength: 100,
     },
+    // Instructor account that owns the course and may edit, publish or delete it
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     difficulty: {
       type: String,
       required: true,
-      enum: ['Beginner', 'Intermediate', 'Advanced'],
+      enum: COURSE_DIFFICULTIES,
     },
     duration: {
       type: String,
@@ -52,9 +127,94 @@ const courseSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Price cannot be negative'],
     },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [30, 'Tag cannot exceed 30 characters'],
+      },
+    ],
+    // Courses a student must complete before enrolling (see utils/prerequisites.js)
+    prerequisites: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+      },
+    ],
+    // When set, Intermediate and Advanced courses also require a completed course of the
+    // previous difficulty level in the same category
+    requiresDifficultyProgression: {
+      type: Boolean,
+      default: false,
+    },
+    // Seat limit for active enrollments; null means unlimited. Students beyond it join the waitlist.
+    capacity: {
+      type: Number,
+      min: [1, 'Capacity must be at least 1'],
+      default: null,
+    },
+    // Optional enrollment window; either end may be left open
+    enrollmentOpensAt: {
+      type: Date,
+      default: null,
+    },
+    enrollmentClosesAt: {
+      type: Date,
+      default: null,
+    },
+    // Cohort-based courses are only joined through one of their cohorts (see models/Cohort.js)
+    cohortBased: {
+      type: Boolean,
+      default: false,
+    },
+    // Ordered content; a module's position in this array is its moduleIndex
+    modules: [moduleSchema],
+    // Lifecycle: draft -> in_review -> published (or scheduled until publishAt) -> archived
+    status: {
+      type: String,
+      enum: COURSE_STATUSES,
+      default: 'draft',
+    },
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    review: {
+      submittedAt: { type: Date, default: null },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      reviewedAt: { type: Date, default: null },
+      notes: { type: String, trim: true, maxlength: 2000, default: '' },
+    },
+    // Denormalized stats, maintained by utils/courseStats.js (approved reviews, active enrollments)
+    averageRating: {
+      type: Number,
+      default: 0,
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+    },
+    ratingTotal: {
+      type: Number,
+      default: 0,
+    },
+    enrollmentCount: {
+      type: Number,
+      default: 0,
+    },
+    // Sum of lesson estimatedMinutes, stored so the catalog can filter by duration
+    totalMinutes: {
+      type: Number,
+      default: 0,
+    },
+    // Derived from status: true only while the course is published
     isActive: {
       type: Boolean,
-      default: true,
+      default: false,
     },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -77,13 +237,6 @@ courseSchema.virtual('rating', {
   justOne: false,
 });
 
-courseSchema.virtual('reviewCount', {
-  ref: 'Review',
-  localField: '_id',
-  foreignField: 'course',
-  count: true,
-});
-
 courseSchema.virtual('enrolledStudents', {
   ref: 'Enrollment',
   localField: '_id',
@@ -91,36 +244,92 @@ courseSchema.virtual('enrolledStudents', {
   count: true,
 });
 
+courseSchema.virtual('moduleCount').get(function () {
+  return (this.modules || []).length;
+});
+
+courseSchema.virtual('lessonCount').get(function () {
+  return (this.modules || []).reduce((sum, m) => sum + m.lessons.length, 0);
+});
+
+courseSchema.virtual('estimatedMinutes').get(function () {
+  return (this.modules || []).reduce(
+    (sum, m) => sum + m.lessons.reduce((acc, l) => acc + (l.estimatedMinutes || 0), 0),
+    0
+  );
+});
+
 // Indexes
 courseSchema.index({ title: 'text', description: 'text' });
 courseSchema.index({ category: 1 });
+courseSchema.index({ tags: 1 });
 courseSchema.index({ difficulty: 1 });
 courseSchema.index({ isActive: 1 });
+courseSchema.index({ status: 1, publishAt: 1 });
+courseSchema.index({ status: 1, averageRating: -1 });
+courseSchema.index({ status: 1, enrollmentCount: -1 });
+courseSchema.index({ status: 1, price: 1 });
+courseSchema.index({ status: 1, totalMinutes: 1 });
+courseSchema.index({ owner: 1 });
 courseSchema.index({ createdAt: -1 });
 
-// Instance method to calculate average rating
-courseSchema.methods.calculateAverageRating = async function () {
-  const Review = mongoose.model('Review');
-
-  const stats = await Review.aggregate([
-    { $match: { course: this._id, isApproved: true } },
-    {
-      $group: {
-        _id: '$course',
-        averageRating: { $avg: '$rating' },
-        totalReviews: { $sum: 1 },
-      },
-    },
-  ]);
+courseSchema.pre('validate', function (next) {
+  const ids = (this.prerequisites || []).map((id) => id.toString());
+  if (ids.includes(this._id.toString())) {
+    this.invalidate('prerequisites', 'A course cannot be its own prerequisite');
+  } else if (new Set(ids).size !== ids.length) {
+    this.invalidate('prerequisites', 'Prerequisites cannot contain duplicates');
+  }
+  if (this.enrollmentOpensAt && this.enrollmentClosesAt && this.enrollmentClosesAt <= this.enrollmentOpensAt) {
+    this.invalidate('enrollmentClosesAt', 'Enrollment must close after it opens');
+  }
+  next();
+});
+
+// Keep the isActive flag, used by public queries, in step with the lifecycle status
+courseSchema.pre('save', function (next) {
+  if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  this.isActive = this.status === 'published';
+  this.totalMinutes = this.estimatedMinutes;
+  next();
+});
+
+// Publish scheduled courses whose publish date has passed. Runs on a timer (see server.js),
+// so a course goes live within a minute of its publish date.
+courseSchema.statics.releaseScheduled = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    [{ $set: { status: 'published', isActive: true, publishedAt: '$publishAt' } }]
+  );
+  return result.modifiedCount;
+};
 
-  if (stats.length > 0) {
-    return {
-      rating: Math.round(stats[0].averageRating * 10) / 10,
-      reviewCount: stats[0].totalReviews,
-    };
+// Why enrollment is not possible at `now` because of the enrollment window, or null
+courseSchema.methods.enrollmentWindowError = function (now = new Date()) {
+  if (this.enrollmentOpensAt && this.enrollmentOpensAt > now) {
+    return `Enrollment opens on ${this.enrollmentOpensAt.toISOString()}`;
+  }
+  if (this.enrollmentClosesAt && this.enrollmentClosesAt <= now) {
+    return 'Enrollment for this course has closed';
   }
+  return null;
+};
 
-  return { rating: 0, reviewCount: 0 };
+// Instance method to look up a module (and optionally a lesson) by index
+courseSchema.methods.getModule = function (moduleIndex) {
+  if (!Number.isInteger(moduleIndex) || moduleIndex < 0) return null;
+  return this.modules[moduleIndex] || null;
 };
 
+courseSchema.methods.getLesson = function (moduleIndex, lessonIndex) {
+  const module = this.getModule(moduleIndex);
+  if (!module || !Number.isInteger(lessonIndex) || lessonIndex < 0) return null;
+  return module.lessons[lessonIndex] || null;
+};
+
+courseSchema.statics.STATUSES = COURSE_STATUSES;
+courseSchema.statics.DIFFICULTIES = COURSE_DIFFICULTIES;
+
 module.exports = mongoose.model('Course', courseSchema);
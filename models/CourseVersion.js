@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const VERSION_ACTIONS = [
+  'create',
+  'update',
+  'module_add',
+  'module_update',
+  'module_delete',
+  'lesson_add',
+  'lesson_update',
+  'lesson_delete',
+  'restore'
+];
+
+const courseVersionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Sequential per course, starting at 1
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: VERSION_ACTIONS,
+    required: true
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Course content as it was after this edit (see utils/courseVersions.js)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // For restores: the version whose content was brought back
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+courseVersionSchema.index({ course: 1, version: -1 }, { unique: true });
+
+courseVersionSchema.statics.ACTIONS = VERSION_ACTIONS;
+
+module.exports = mongoose.model('CourseVersion', courseVersionSchema);
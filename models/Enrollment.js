@@ -11,12 +11,33 @@ const enrollmentSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  // Scheduled run the student joined; null for self-paced enrollments
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
   progress: {
     type: Number,
     default: 0,
     min: [0, 'Progress cannot be negative'],
     max: [100, 'Progress cannot exceed 100']
   },
+  completedLessons: [{
+    moduleIndex: {
+      type: Number,
+      required: true
+    },
+    lessonIndex: {
+      type: Number,
+      required: true
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Derived from completedLessons by recalculateProgress
   completedModules: [{
     moduleIndex: {
       type: Number,
@@ -27,6 +48,31 @@ const enrollmentSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  quizAttempts: [{
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true
+    },
+    attemptNumber: {
+      type: Number,
+      required: true
+    },
+    results: [{
+      question: mongoose.Schema.Types.ObjectId,
+      answer: mongoose.Schema.Types.Mixed,
+      correct: Boolean,
+      pointsAwarded: Number
+    }],
+    score: Number,
+    maxScore: Number,
+    percentage: Number,
+    passed: Boolean,
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   startDate: {
     type: Date,
     default: Date.now
@@ -64,6 +110,7 @@ enrollmentSchema.index({ student: 1, course: 1 }, { unique: true });
 enrollmentSchema.index({ student: 1 });
 enrollmentSchema.index({ course: 1 });
 enrollmentSchema.index({ progress: 1 });
+enrollmentSchema.index({ cohort: 1, isActive: 1 });
 enrollmentSchema.index({ completionDate: 1 });
 
 // Virtual for completion status
@@ -89,6 +136,59 @@ enrollmentSchema.pre('save', function(next) {
   next();
 });
 
+// Recompute completedModules and progress from completedLessons and passed quizzes against
+// the course content. `quizzes` are the course's active quizzes ({ _id, moduleIndex }); a module
+// is only completed once its lessons are done and its quizzes passed, and each quiz counts
+// towards progress like a lesson. Lessons that no longer exist in the course are dropped.
+enrollmentSchema.methods.recalculateProgress = function(course, quizzes = []) {
+  this.completedLessons = this.completedLessons.filter(
+    l => course.getLesson(l.moduleIndex, l.lessonIndex)
+  );
+
+  const done = new Map(this.completedLessons.map(l => [`${l.moduleIndex}:${l.lessonIndex}`, l.completedAt]));
+  const passed = this.getPassedQuizzes();
+
+  this.completedModules = course.modules.reduce((modules, module, moduleIndex) => {
+    const lessonDates = module.lessons.map((lesson, lessonIndex) => done.get(`${moduleIndex}:${lessonIndex}`));
+    const quizDates = quizzes
+      .filter(q => q.moduleIndex === moduleIndex)
+      .map(q => passed.get(q._id.toString()));
+    const dates = [...lessonDates, ...quizDates];
+
+    // A module is completed when its last lesson or quiz was completed
+    if (dates.length > 0 && dates.every(Boolean)) {
+      modules.push({ moduleIndex, completedAt: new Date(Math.max(...dates)) });
+    }
+    return modules;
+  }, []);
+
+  const totalUnits = course.lessonCount + quizzes.length;
+  const doneUnits = done.size + quizzes.filter(q => passed.has(q._id.toString())).length;
+
+  if (totalUnits === 0) {
+    this.progress = 0;
+  } else if (doneUnits >= totalUnits) {
+    this.progress = 100;
+  } else {
+    // Floor so that a single remaining lesson never rounds up to 100
+    this.progress = Math.floor((doneUnits / totalUnits) * 100);
+  }
+
+  return this.progress;
+};
+
+// Map of quiz id -> date of the first passing attempt
+enrollmentSchema.methods.getPassedQuizzes = function() {
+  const passed = new Map();
+  this.quizAttempts.forEach(attempt => {
+    const quizId = attempt.quiz.toString();
+    if (attempt.passed && !passed.has(quizId)) {
+      passed.set(quizId, attempt.submittedAt);
+    }
+  });
+  return passed;
+};
+
 // Static method to get enrollment statistics
 enrollmentSchema.statics.getEnrollmentStats = async function() {
   const stats = await this.aggregate([
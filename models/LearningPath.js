@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const stepSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Positions of earlier steps that must be completed before this one unlocks
+  prerequisites: [{
+    type: Number,
+    min: 0
+  }]
+}, { _id: false });
+
+const learningPathSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Path title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters'],
+    default: ''
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  // Ordered courses; a step's position in this array is its step index
+  steps: {
+    type: [stepSchema],
+    validate: {
+      validator: steps => steps.length > 0,
+      message: 'A learning path needs at least one course'
+    }
+  },
+  // When true each step also requires the step before it
+  sequential: {
+    type: Boolean,
+    default: true
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+learningPathSchema.index({ isPublished: 1, createdAt: -1 });
+learningPathSchema.index({ 'steps.course': 1 });
+
+learningPathSchema.pre('validate', function(next) {
+  const courseIds = this.steps.map(step => step.course && step.course._id ? step.course._id.toString() : String(step.course));
+  if (new Set(courseIds).size !== courseIds.length) {
+    this.invalidate('steps', 'A course can only appear once in a learning path');
+  }
+
+  this.steps.forEach((step, index) => {
+    if (step.prerequisites.some(p => !Number.isInteger(p) || p >= index)) {
+      this.invalidate(`steps.${index}.prerequisites`, 'Prerequisites must refer to earlier steps');
+    }
+  });
+  next();
+});
+
+learningPathSchema.virtual('courseCount').get(function() {
+  return (this.steps || []).length;
+});
+
+// Step indices that must be completed before step `index` unlocks
+learningPathSchema.methods.requiredSteps = function(index) {
+  const required = new Set(this.steps[index].prerequisites);
+  if (this.sequential && index > 0) required.add(index - 1);
+  return [...required];
+};
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
@@ -23,9 +23,16 @@ const noteSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  // Zero-based position of the module in Course.modules
   moduleIndex: {
     type: Number,
-    min: [1, 'Module index must be at least 1']
+    min: [0, 'Module index cannot be negative']
+  },
+  // Set to 0 on every new note. Notes saved before positions became zero-based lack it and
+  // hold a 1-based moduleIndex until migrated with Note.migrateModuleIndexBase().
+  moduleIndexBase: {
+    type: Number,
+    enum: [0]
   },
   summary: {
     type: String,
@@ -51,6 +58,26 @@ noteSchema.index({ student: 1, course: 1 });
 noteSchema.index({ title: 'text', content: 'text' });
 noteSchema.index({ createdAt: -1 });
 
+noteSchema.pre('save', function(next) {
+  if (this.isNew) this.moduleIndexBase = 0;
+  next();
+});
+
+// Shift legacy 1-based module indices to zero-based and mark the notes migrated. `filter`
+// narrows the notes, e.g. to one course. Safe to run repeatedly.
+noteSchema.statics.migrateModuleIndexBase = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, moduleIndexBase: { $exists: false } },
+    [{
+      $set: {
+        moduleIndex: { $cond: [{ $gte: ['$moduleIndex', 1] }, { $subtract: ['$moduleIndex', 1] }, '$moduleIndex'] },
+        moduleIndexBase: 0
+      }
+    }],
+    { timestamps: false }
+  );
+};
+
 // Virtual for course name
 noteSchema.virtual('courseName', {
   ref: 'Course',
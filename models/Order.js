@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = ['pending', 'paid', 'failed', 'cancelled', 'refunded'];
+
+const orderSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  // Cohort the student will be enrolled in, for courses that run in cohorts
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Course price when the order was created, before any coupon
+  listPrice: {
+    type: Number,
+    default: null
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  // Price charged: listPrice minus discount
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true,
+    trim: true
+  },
+  // pending -> paid -> refunded, or pending -> failed / cancelled; failed orders may be retried
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  // 'none' for orders fully covered by a coupon, which never reach a provider
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  failureMessage: {
+    type: String,
+    default: null
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  refund: {
+    refundId: { type: String, default: null },
+    refundedAt: { type: Date, default: null },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, trim: true, maxlength: 500, default: '' }
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ student: 1, course: 1, status: 1 });
+orderSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+orderSchema.index({ createdAt: -1 });
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const pathCertificateSchema = new mongoose.Schema({
+  pathEnrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PathEnrollment',
+    required: [true, 'Path enrollment is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  path: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LearningPath',
+    required: [true, 'Learning path is required']
+  },
+  verificationCode: {
+    type: String,
+    required: [true, 'Verification code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Names are copied at issue time so the certificate stays stable if they change later
+  studentName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  pathTitle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  courseTitles: [{
+    type: String,
+    trim: true
+  }],
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pdfUrl: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One certificate per path enrollment
+pathCertificateSchema.index({ pathEnrollment: 1 }, { unique: true });
+pathCertificateSchema.index({ student: 1 });
+
+// Public view used by the verification endpoint
+pathCertificateSchema.methods.toPublicObject = function() {
+  return {
+    type: 'path',
+    verificationCode: this.verificationCode,
+    studentName: this.studentName,
+    pathTitle: this.pathTitle,
+    courseTitles: this.courseTitles,
+    issuedAt: this.issuedAt
+  };
+};
+
+module.exports = mongoose.model('PathCertificate', pathCertificateSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const pathEnrollmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  path: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LearningPath',
+    required: [true, 'Learning path is required']
+  },
+  // Average progress of the path's course enrollments (see utils/learningPaths.js)
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  completedSteps: {
+    type: Number,
+    default: 0
+  },
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  },
+  completionDate: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  certificateIssued: {
+    type: Boolean,
+    default: false
+  },
+  certificateUrl: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pathEnrollmentSchema.index({ student: 1, path: 1 }, { unique: true });
+pathEnrollmentSchema.index({ path: 1, isActive: 1 });
+
+module.exports = mongoose.model('PathEnrollment', pathEnrollmentSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Lets a student enroll in a course without meeting its prerequisites
+const prerequisiteOverrideSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+prerequisiteOverrideSchema.index({ student: 1, course: 1 }, { unique: true });
+prerequisiteOverrideSchema.index({ course: 1 });
+
+module.exports = mongoose.model('PrerequisiteOverride', prerequisiteOverrideSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'short_answer'];
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Question type is required']
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [2000, 'Question prompt cannot exceed 2000 characters']
+  },
+  // Choices for multiple_choice and multi_select questions
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [500, 'Option cannot exceed 500 characters']
+  }],
+  // Indices into `options` that are correct (exactly one for multiple_choice)
+  correctOptions: [{
+    type: Number,
+    min: 0
+  }],
+  // Answer for true_false questions
+  correctBoolean: {
+    type: Boolean,
+    default: null
+  },
+  // Accepted answers for short_answer questions, compared by exact match
+  acceptedAnswers: [{
+    type: String,
+    trim: true,
+    maxlength: [500, 'Answer cannot exceed 500 characters']
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: [0, 'Points cannot be negative']
+  }
+});
+
+// Check that each question carries the answer key its type needs
+questionSchema.pre('validate', function(next) {
+  const inRange = i => Number.isInteger(i) && i >= 0 && i < this.options.length;
+
+  switch (this.type) {
+    case 'multiple_choice':
+      if (this.options.length < 2 || this.correctOptions.length !== 1 || !this.correctOptions.every(inRange)) {
+        this.invalidate('correctOptions', 'Multiple choice questions need at least two options and exactly one correct option');
+      }
+      break;
+    case 'multi_select':
+      if (this.options.length < 2 || this.correctOptions.length < 1 || !this.correctOptions.every(inRange)) {
+        this.invalidate('correctOptions', 'Multi-select questions need at least two options and one or more correct options');
+      }
+      break;
+    case 'true_false':
+      if (typeof this.correctBoolean !== 'boolean') {
+        this.invalidate('correctBoolean', 'True/false questions need a correct answer');
+      }
+      break;
+    case 'short_answer':
+      if (this.acceptedAnswers.length === 0) {
+        this.invalidate('acceptedAnswers', 'Short answer questions need at least one accepted answer');
+      }
+      break;
+  }
+  next();
+});
+
+const quizSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Zero-based position of the module in Course.modules; null once the module was removed
+  // (the quiz is then deactivated)
+  moduleIndex: {
+    type: Number,
+    min: [0, 'Module index cannot be negative'],
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, 'Quiz title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length > 0,
+      message: 'A quiz needs at least one question'
+    }
+  },
+  // Minimum percentage needed to pass
+  passingScore: {
+    type: Number,
+    default: 70,
+    min: [0, 'Passing score cannot be negative'],
+    max: [100, 'Passing score cannot exceed 100']
+  },
+  // 0 means unlimited attempts
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [0, 'Max attempts cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+quizSchema.index({ course: 1, moduleIndex: 1 });
+
+quizSchema.virtual('totalPoints').get(function() {
+  return (this.questions || []).reduce((sum, q) => sum + q.points, 0);
+});
+
+// Quiz as shown to students: answer keys removed
+quizSchema.methods.toStudentObject = function() {
+  const quiz = this.toObject();
+  quiz.questions = quiz.questions.map(({ correctOptions, correctBoolean, acceptedAnswers, caseSensitive, ...question }) => question);
+  return quiz;
+};
+
+quizSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('Quiz', quizSchema);
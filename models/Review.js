@@ -56,6 +56,7 @@ reviewSchema.index({ student: 1, course: 1 }, { unique: true });
 
 // Indexes for better query performance
 reviewSchema.index({ course: 1, isApproved: 1 });
+reviewSchema.index({ comment: 'text' });
 reviewSchema.index({ rating: 1 });
 reviewSchema.index({ createdAt: -1 });
 
@@ -70,7 +71,7 @@ reviewSchema.virtual('studentName', {
 // Static method to get review statistics for a course
 reviewSchema.statics.getCourseReviewStats = async function(courseId) {
   const stats = await this.aggregate([
-    { $match: { course: mongoose.Types.ObjectId(courseId), isApproved: true } },
+    { $match: { course: new mongoose.Types.ObjectId(courseId), isApproved: true } },
     {
       $group: {
         _id: '$course',
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Custom roles created by admins. Built-in roles (student, instructor, admin) are
+// defined in utils/permissions.js and cannot be overridden here.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,49}$/, 'Role name may only contain lowercase letters, digits, "-" and "_"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  // Permissions such as "course:update:own", "review:moderate" or "note:*"
+  permissions: [{
+    type: String,
+    trim: true,
+    match: [/^(\*|[a-z-]+:(\*|[a-z-]+)(:(own|any))?)$/, 'Invalid permission format']
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
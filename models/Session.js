@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A login on one device. Refresh tokens rotate within a session (their `family` is the
+// session id) and access tokens carry the session id as `sid`.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  device: {
+    browser: { type: String, default: 'Unknown' },
+    os: { type: String, default: 'Unknown' },
+    type: { type: String, enum: ['desktop', 'mobile', 'tablet', 'unknown'], default: 'unknown' }
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked_by_user', 'revoked_by_admin', 'reuse_detected', 'password_changed', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Keep revoked/expired sessions around for a while for auditing, then let MongoDB purge them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
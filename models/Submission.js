@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const fileSchema = new mongoose.Schema({
+  filename: String,
+  originalName: String,
+  mimetype: String,
+  size: Number,
+  url: String
+}, { _id: false });
+
+const submissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: [true, 'Assignment is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: [true, 'Enrollment is required']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [20000, 'Submission text cannot exceed 20000 characters'],
+    default: ''
+  },
+  files: [fileSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  daysLate: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'graded'],
+    default: 'submitted'
+  },
+  // Score given by the grader, before the late penalty
+  score: {
+    type: Number,
+    min: [0, 'Score cannot be negative'],
+    default: null
+  },
+  // Score after the late penalty; this is what counts in the gradebook
+  finalScore: {
+    type: Number,
+    default: null
+  },
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Feedback cannot exceed 5000 characters'],
+    default: ''
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  gradedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One submission per student per assignment; resubmitting replaces it
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+submissionSchema.index({ course: 1, student: 1 });
+
+submissionSchema.pre('validate', function(next) {
+  if (!this.text && this.files.length === 0) {
+    this.invalidate('text', 'A submission needs text or at least one file');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Submission', submissionSchema);
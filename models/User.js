@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { createToken } = require('../utils/tokens');
+const { roleExists } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
       name: {
@@ -22,10 +24,14 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Built-in role (student, instructor, admin) or the name of a custom Role
   role: {
     type: String,
-    enum: ['student', 'admin'],
-    default: 'student'
+    default: 'student',
+    validate: {
+      validator: roleExists,
+      message: props => `Role '${props.value}' does not exist`
+    }
   },
   profile: {
     fatherName: {
@@ -103,6 +109,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
   passwordResetToken: {
     type: String,
     default: null
@@ -110,6 +120,11 @@ const userSchema = new mongoose.Schema({
   passwordResetExpires: {
     type: Date,
     default: null
+  },
+  // Tokens issued before this moment are rejected by the auth middleware
+  passwordChangedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -146,6 +161,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    if (!this.isNew) {
+      // Backdate by a second so a token issued right after the change is still valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -157,13 +177,38 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a new email verification token; only its hash is stored on the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hashedToken } = createToken();
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Create a single-use password reset token that expires after PASSWORD_RESET_TTL_MINUTES
+userSchema.methods.createPasswordResetToken = function() {
+  const { token, hashedToken } = createToken();
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+  this.passwordResetToken = hashedToken;
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return token;
+};
+
+// Check whether a JWT issued at `issuedAt` (seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Get user without sensitive data
 userSchema.methods.toSafeObject = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationSentAt;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  delete userObject.passwordChangedAt;
   return userObject;
 };
 
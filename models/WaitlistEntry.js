@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A student waiting for a seat in a full course. Entries are promoted first come, first served.
+const waitlistEntrySchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  // Cohort the student will be enrolled in, for courses that run in cohorts
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
+  // waiting -> promoted (enrolled), or waiting -> cancelled (left, or could no longer be enrolled)
+  status: {
+    type: String,
+    enum: ['waiting', 'promoted', 'cancelled'],
+    default: 'waiting'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Priced courses: when a seat frees up it is held for the student until this time so they can
+  // pay for it; the entry stays 'waiting' until the payment enrolls them
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  },
+  promotedAt: {
+    type: Date,
+    default: null
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One open entry per student and course
+waitlistEntrySchema.index(
+  { course: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+waitlistEntrySchema.index({ course: 1, status: 1, joinedAt: 1 });
+waitlistEntrySchema.index({ student: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+// 1-based place in the queue
+waitlistEntrySchema.methods.position = async function() {
+  const ahead = await this.constructor.countDocuments({
+    course: this.course,
+    status: 'waiting',
+    $or: [
+      { joinedAt: { $lt: this.joinedAt } },
+      { joinedAt: this.joinedAt, _id: { $lt: this._id } }
+    ]
+  });
+  return ahead + 1;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
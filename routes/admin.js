@@ -1,24 +1,52 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
 const Review = require('../models/Review');
-const { protect, authorize } = require('../middleware/auth');
+const Role = require('../models/Role');
+const PrerequisiteOverride = require('../models/PrerequisiteOverride');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { revokeUserSessions } = require('../utils/sessions');
+const { BUILT_IN_ROLES, isBuiltInRole, invalidateRoleCache } = require('../utils/permissions');
+const { syncReviewStats, recomputeCourseStats } = require('../utils/courseStats');
+const { paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
-// All routes require admin authentication
+// Coupon fields an admin may set; the code itself is fixed once created
+const COUPON_FIELDS = [
+  'description',
+  'discountType',
+  'value',
+  'courses',
+  'maxRedemptions',
+  'perUserLimit',
+  'startsAt',
+  'expiresAt',
+  'isActive'
+];
+
+const pickCouponFields = (source = {}) =>
+  COUPON_FIELDS.reduce((coupon, field) => {
+    if (source[field] !== undefined) coupon[field] = source[field];
+    return coupon;
+  }, {});
+
+// All routes require authentication; each route checks its own permission
 router.use(protect);
-router.use(authorize('admin'));
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/dashboard
 // @access  Private/Admin
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('analytics:read'), async (req, res) => {
   try {
     // Get basic counts
     const totalStudents = await User.countDocuments({ role: 'student', isActive: true });
-    const totalCourses = await Course.countDocuments({ isActive: true });
+    const totalCourses = await Course.countDocuments({ status: 'published' });
     const totalEnrollments = await Enrollment.countDocuments({ isActive: true });
     const totalReviews = await Review.countDocuments({ isApproved: true });
 
@@ -64,7 +92,7 @@ router.get('/dashboard', async (req, res) => {
 
     // Get top performing courses
     const topCourses = await Course.aggregate([
-      { $match: { isActive: true } },
+      { $match: { status: 'published' } },
       {
         $lookup: {
           from: 'enrollments',
@@ -117,7 +145,7 @@ router.get('/dashboard', async (req, res) => {
 
     // Get category distribution
     const categoryStats = await Course.aggregate([
-      { $match: { isActive: true } },
+      { $match: { status: 'published' } },
       {
         $group: {
           _id: '$category',
@@ -159,7 +187,7 @@ router.get('/dashboard', async (req, res) => {
 // @desc    Get user analytics
 // @route   GET /api/admin/analytics/users
 // @access  Private/Admin
-router.get('/analytics/users', async (req, res) => {
+router.get('/analytics/users', requirePermission('analytics:read'), async (req, res) => {
   try {
     const timeframe = req.query.timeframe || '30'; // days
     const startDate = new Date();
@@ -252,11 +280,11 @@ router.get('/analytics/users', async (req, res) => {
 // @desc    Get course analytics
 // @route   GET /api/admin/analytics/courses
 // @access  Private/Admin
-router.get('/analytics/courses', async (req, res) => {
+router.get('/analytics/courses', requirePermission('analytics:read'), async (req, res) => {
   try {
     // Course performance metrics
     const coursePerformance = await Course.aggregate([
-      { $match: { isActive: true } },
+      { $match: { status: 'published' } },
       {
         $lookup: {
           from: 'enrollments',
@@ -316,7 +344,7 @@ router.get('/analytics/courses', async (req, res) => {
 
     // Category performance
     const categoryPerformance = await Course.aggregate([
-      { $match: { isActive: true } },
+      { $match: { status: 'published' } },
       {
         $lookup: {
           from: 'enrollments',
@@ -338,7 +366,7 @@ router.get('/analytics/courses', async (req, res) => {
 
     // Difficulty level distribution
     const difficultyStats = await Course.aggregate([
-      { $match: { isActive: true } },
+      { $match: { status: 'published' } },
       {
         $group: {
           _id: '$difficulty',
@@ -364,38 +392,189 @@ router.get('/analytics/courses', async (req, res) => {
   }
 });
 
-// @desc    Get reported reviews
-// @route   GET /api/admin/reported-reviews
+// @desc    Get courses waiting for publishing approval
+// @route   GET /api/admin/courses/review-queue
+// @access  Private/Admin
+router.get('/courses/review-queue', requirePermission('course:approve'), async (req, res) => {
+  try {
+    const courses = await Course.find({ status: 'in_review' })
+      .populate('owner', 'name email')
+      .sort({ 'review.submittedAt': 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { courses }
+    });
+  } catch (error) {
+    console.error('Get course review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Recompute denormalized course stats (ratings, review and enrollment counts)
+// @route   POST /api/admin/courses/repair-stats
+// @access  Private/Admin
+router.post('/courses/repair-stats', requirePermission('course:maintain'), async (req, res) => {
+  try {
+    const { courseIds } = req.body;
+    if (courseIds !== undefined && (!Array.isArray(courseIds) || !courseIds.every(id => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'courseIds must be an array of course IDs'
+      });
+    }
+
+    const updated = await recomputeCourseStats(courseIds || null);
+
+    res.status(200).json({
+      success: true,
+      message: `Recomputed stats for ${updated} courses`,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Repair course stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List prerequisite overrides (optionally for one course or student)
+// @route   GET /api/admin/prerequisite-overrides
+// @access  Private/Admin
+router.get('/prerequisite-overrides', requirePermission('enrollment:override'), async (req, res) => {
+  try {
+    const { courseId, studentId } = req.query;
+    if ([courseId, studentId].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'courseId and studentId must be valid IDs'
+      });
+    }
+
+    const query = {};
+    if (courseId) query.course = courseId;
+    if (studentId) query.student = studentId;
+
+    const { items: overrides, pagination } = await paginate(PrerequisiteOverride, query, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      mode: 'page',
+      build: q => q
+        .populate('student', 'name email')
+        .populate('course', 'title')
+        .populate('grantedBy', 'name')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        overrides,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get prerequisite overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Let a student enroll in a course without meeting its prerequisites
+// @route   POST /api/admin/prerequisite-overrides
 // @access  Private/Admin
-router.get('/reported-reviews', async (req, res) => {
+router.post('/prerequisite-overrides', requirePermission('enrollment:override'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { studentId, courseId, reason } = req.body;
 
-    const reportedReviews = await Review.find({
-      'reportedBy.0': { $exists: true }
-    })
-    .populate('student', 'name email')
-    .populate('course', 'title')
-    .sort({ 'reportedBy.reportedAt': -1 })
-    .skip(skip)
-    .limit(limit);
+    const [student, course] = [studentId, courseId].every(id => mongoose.isValidObjectId(id))
+      ? await Promise.all([
+        User.findById(studentId).select('_id'),
+        Course.findById(courseId).select('_id')
+      ])
+      : [];
+    if (!student || !course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student or course not found'
+      });
+    }
+
+    const override = await PrerequisiteOverride.findOneAndUpdate(
+      { student: student._id, course: course._id },
+      { grantedBy: req.user._id, reason: reason || '' },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Prerequisite override granted',
+      data: { override }
+    });
+  } catch (error) {
+    console.error('Grant prerequisite override error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke a prerequisite override (existing enrollments are kept)
+// @route   DELETE /api/admin/prerequisite-overrides/:id
+// @access  Private/Admin
+router.delete('/prerequisite-overrides/:id', requirePermission('enrollment:override'), async (req, res) => {
+  try {
+    const override = mongoose.isValidObjectId(req.params.id)
+      ? await PrerequisiteOverride.findByIdAndDelete(req.params.id)
+      : null;
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Override not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prerequisite override revoked'
+    });
+  } catch (error) {
+    console.error('Revoke prerequisite override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    const total = await Review.countDocuments({
-      'reportedBy.0': { $exists: true }
+// @desc    Get reported reviews
+// @route   GET /api/admin/reported-reviews
+// @access  Private/Admin
+router.get('/reported-reviews', requirePermission('review:moderate'), async (req, res) => {
+  try {
+    const { items: reportedReviews, pagination } = await paginate(Review, { 'reportedBy.0': { $exists: true } }, {
+      sort: { 'reportedBy.reportedAt': -1 },
+      params: req.query,
+      mode: 'page',
+      defaultLimit: 10,
+      build: query => query.populate('student', 'name email').populate('course', 'title')
     });
 
     res.status(200).json({
       success: true,
       data: {
         reviews: reportedReviews,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -410,7 +589,7 @@ router.get('/reported-reviews', async (req, res) => {
 // @desc    Moderate review (approve/reject)
 // @route   PUT /api/admin/reviews/:id/moderate
 // @access  Private/Admin
-router.put('/reviews/:id/moderate', async (req, res) => {
+router.put('/reviews/:id/moderate', requirePermission('review:moderate'), async (req, res) => {
   try {
     const { action } = req.body; // 'approve' or 'reject'
 
@@ -430,6 +609,8 @@ router.put('/reviews/:id/moderate', async (req, res) => {
       });
     }
 
+    const before = { rating: review.rating, isApproved: review.isApproved };
+
     if (action === 'approve') {
       review.isApproved = true;
       review.reportedBy = []; // Clear reports
@@ -438,6 +619,7 @@ router.put('/reviews/:id/moderate', async (req, res) => {
     }
 
     await review.save();
+    await syncReviewStats(review.course, before, review);
 
     res.status(200).json({
       success: true,
@@ -453,4 +635,442 @@ router.put('/reviews/:id/moderate', async (req, res) => {
   }
 });
 
+// @desc    Force logout a user from all devices
+// @route   POST /api/admin/users/:id/force-logout
+// @access  Private/Admin
+router.post('/users/:id/force-logout', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revoked = await revokeUserSessions(user._id, 'revoked_by_admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'User logged out from all sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List built-in and custom roles
+// @route   GET /api/admin/roles
+// @access  Private/Admin
+router.get('/roles', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        builtInRoles: Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({ name, permissions })),
+        customRoles
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a custom role
+// @route   POST /api/admin/roles
+// @access  Private/Admin
+router.post('/roles', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (typeof name !== 'string' || isBuiltInRole(name.trim().toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A custom role needs a name that is not a built-in role'
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      createdBy: req.user._id
+    });
+    invalidateRoleCache(role.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'Role already exists' : error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a custom role's description or permissions
+// @route   PUT /api/admin/roles/:id
+// @access  Private/Admin
+router.put('/roles/:id', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { description, permissions } = req.body;
+
+    if (permissions !== undefined && !Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array'
+      });
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    await role.save();
+    invalidateRoleCache(role.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a custom role that is not assigned to any user
+// @route   DELETE /api/admin/roles/:id
+// @access  Private/Admin
+router.delete('/roles/:id', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role.name });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${assignedUsers} user(s). Reassign them first.`
+      });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    invalidateRoleCache(role.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List coupons
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+router.get('/coupons', requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+    if (req.query.courseId) query.courses = req.query.courseId;
+
+    const { items: coupons, pagination } = await paginate(Coupon, query, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      mode: 'page',
+      build: q => q.populate('courses', 'title price')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+router.post('/coupons', requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      code: req.body.code,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'Coupon code already exists' : error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a coupon (applies to future redemptions only)
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+router.put('/coupons/:id', requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const coupon = mongoose.isValidObjectId(req.params.id) ? await Coupon.findById(req.params.id) : null;
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a coupon, or deactivate it if it has been redeemed
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+router.delete('/coupons/:id', requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const coupon = mongoose.isValidObjectId(req.params.id) ? await Coupon.findById(req.params.id) : null;
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Redemptions reference the coupon, so keep it for reporting
+    if (await CouponRedemption.exists({ coupon: coupon._id })) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon deactivated (has redemptions)'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List a coupon's redemptions
+// @route   GET /api/admin/coupons/:id/redemptions
+// @access  Private/Admin
+router.get('/coupons/:id/redemptions', requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const query = { coupon: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const { items: redemptions, pagination } = await paginate(CouponRedemption, query, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      mode: 'page',
+      build: q => q
+        .populate('student', 'name email')
+        .populate('course', 'title')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        redemptions,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Coupon usage report: completed redemptions, discounts and revenue per code
+// @route   GET /api/admin/reports/coupons
+// @access  Private/Admin
+router.get('/reports/coupons', requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const match = { status: 'completed' };
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    if (from || to) {
+      match.completedAt = {};
+      if (from) match.completedAt.$gte = from;
+      if (to) match.completedAt.$lte = to;
+    }
+
+    const coupons = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$coupon',
+          code: { $first: '$code' },
+          redemptions: { $sum: 1 },
+          students: { $addToSet: '$student' },
+          listRevenue: { $sum: '$listPrice' },
+          totalDiscount: { $sum: '$discount' },
+          revenue: { $sum: '$finalPrice' }
+        }
+      },
+      {
+        $project: {
+          code: 1,
+          redemptions: 1,
+          uniqueStudents: { $size: '$students' },
+          listRevenue: 1,
+          totalDiscount: 1,
+          revenue: 1
+        }
+      },
+      { $sort: { redemptions: -1, code: 1 } }
+    ]);
+
+    const toCents = (amount) => Math.round(amount * 100) / 100;
+    const totals = coupons.reduce((sum, c) => ({
+      redemptions: sum.redemptions + c.redemptions,
+      totalDiscount: toCents(sum.totalDiscount + c.totalDiscount),
+      revenue: toCents(sum.revenue + c.revenue)
+    }), { redemptions: 0, totalDiscount: 0, revenue: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        totals,
+        period: { from, to }
+      }
+    });
+  } catch (error) {
+    console.error('Get coupon report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,368 @@
+const express = require('express');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { protect } = require('../middleware/auth');
+const { canManageCourse, requirePermission, authorizeResource } = require('../middleware/permissions');
+const { upload, describeFile, discardUploads, handleUploadError, MAX_FILES } = require('../middleware/upload');
+const { moduleLockedMessage } = require('../utils/enrollments');
+const { deleteFile } = require('../utils/storage');
+
+const router = express.Router();
+
+// Assignments are managed by whoever may update their course; submissions are graded
+// by whoever may grade for that course
+const assignmentAccess = {
+  model: Assignment,
+  ownerField: 'course.owner',
+  populate: { path: 'course', select: 'owner modules' },
+  as: 'assignment',
+  notFoundMessage: 'Assignment not found'
+};
+
+const submissionAccess = {
+  model: Submission,
+  ownerField: 'course.owner',
+  populate: [
+    { path: 'course', select: 'owner' },
+    { path: 'assignment' }
+  ],
+  param: 'submissionId',
+  as: 'submission',
+  notFoundMessage: 'Submission not found'
+};
+
+const ASSIGNMENT_FIELDS = [
+  'moduleIndex', 'title', 'instructions', 'dueDate', 'maxScore',
+  'allowLateSubmissions', 'lateCutoff', 'latePenaltyPerDay', 'isActive'
+];
+
+const pickAssignmentFields = (source = {}) =>
+  ASSIGNMENT_FIELDS.reduce((assignment, field) => {
+    if (source[field] !== undefined) assignment[field] = source[field];
+    return assignment;
+  }, {});
+
+const moduleExists = (course, moduleIndex) =>
+  moduleIndex === undefined || moduleIndex === null || Boolean(course.getModule(Number(moduleIndex)));
+
+// @desc    Create an assignment for a course
+// @route   POST /api/assignments
+// @access  Private/Owner/Admin
+router.post('/', protect, async (req, res) => {
+  try {
+    const course = await Course.findById(req.body.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    if (!(await canManageCourse(req, course))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const data = pickAssignmentFields(req.body);
+    if (!moduleExists(course, data.moduleIndex)) {
+      return res.status(400).json({ success: false, message: 'Module does not exist in this course' });
+    }
+
+    const assignment = await Assignment.create({ ...data, course: course._id, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment created successfully',
+      data: { assignment }
+    });
+  } catch (error) {
+    console.error('Create assignment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get assignments of a course
+// @route   GET /api/assignments/course/:courseId
+// @access  Private (enrolled students and course managers)
+router.get('/course/:courseId', protect, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select('owner');
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const manager = await canManageCourse(req, course);
+    if (!manager) {
+      const enrolled = await Enrollment.exists({ student: req.user._id, course: course._id, isActive: true });
+      if (!enrolled) {
+        return res.status(403).json({ success: false, message: 'You must be enrolled in this course to view its assignments' });
+      }
+    }
+
+    const query = { course: course._id };
+    if (!manager) query.isActive = true;
+
+    const assignments = await Assignment.find(query).sort({ dueDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { assignments }
+    });
+  } catch (error) {
+    console.error('Get course assignments error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update an assignment
+// @route   PUT /api/assignments/:id
+// @access  Private/Owner/Admin
+router.put('/:id', protect, authorizeResource('course:update', assignmentAccess), async (req, res) => {
+  try {
+    const assignment = req.assignment;
+    const data = pickAssignmentFields(req.body);
+
+    if (!moduleExists(assignment.course, data.moduleIndex)) {
+      return res.status(400).json({ success: false, message: 'Module does not exist in this course' });
+    }
+
+    assignment.set(data);
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment updated successfully',
+      data: { assignment }
+    });
+  } catch (error) {
+    console.error('Update assignment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete an assignment (deactivated instead when it has submissions)
+// @route   DELETE /api/assignments/:id
+// @access  Private/Owner/Admin
+router.delete('/:id', protect, authorizeResource('course:update', assignmentAccess), async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    const submitted = await Submission.exists({ assignment: assignment._id });
+    if (submitted) {
+      assignment.isActive = false;
+      await assignment.save();
+      return res.status(200).json({ success: true, message: 'Assignment deactivated successfully (has submissions)' });
+    }
+
+    await Assignment.findByIdAndDelete(assignment._id);
+    res.status(200).json({ success: true, message: 'Assignment deleted successfully' });
+  } catch (error) {
+    console.error('Delete assignment error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Submit (or resubmit) an assignment with text and/or files
+// @route   POST /api/assignments/:id/submissions
+// @access  Private
+router.post('/:id/submissions', protect, requirePermission('submission:create'), upload.array('files', MAX_FILES), async (req, res) => {
+  try {
+    const reject = async (status, message) => {
+      await discardUploads(req);
+      return res.status(status).json({ success: false, message });
+    };
+
+    const assignment = await Assignment.findOne({ _id: req.params.id, isActive: true });
+    if (!assignment) {
+      return reject(404, 'Assignment not found');
+    }
+
+    const enrollment = await Enrollment.findOne({
+      student: req.user._id,
+      course: assignment.course,
+      isActive: true
+    });
+    if (!enrollment) {
+      return reject(403, 'You must be enrolled in this course to submit this assignment');
+    }
+
+    // Cohort students can only submit once the assignment's module has unlocked
+    const course = await Course.findById(assignment.course).select('modules');
+    const lockedMessage = course ? await moduleLockedMessage(enrollment, course, assignment.moduleIndex) : null;
+    if (lockedMessage) {
+      return reject(403, lockedMessage);
+    }
+
+    const now = new Date();
+    const window = assignment.getSubmissionWindow(now);
+    if (!window.accepted) {
+      return reject(400, 'The submission deadline for this assignment has passed');
+    }
+
+    const existing = await Submission.findOne({ assignment: assignment._id, student: req.user._id });
+    if (existing && existing.status === 'graded') {
+      return reject(409, 'This submission has already been graded');
+    }
+
+    const text = typeof req.body.text === 'string' ? req.body.text : '';
+    const files = (req.files || []).map(describeFile);
+    if (!text.trim() && files.length === 0) {
+      return reject(400, 'A submission needs text or at least one file');
+    }
+
+    // Files of the submission being replaced; new uploads always get new names
+    const replacedFiles = existing ? existing.files.map(file => file.url) : [];
+
+    const fields = {
+      text,
+      files,
+      submittedAt: now,
+      isLate: window.isLate,
+      daysLate: window.daysLate
+    };
+
+    let submission;
+    if (existing) {
+      // Only replace the submission if it was not graded in the meantime
+      submission = await Submission.findOneAndUpdate(
+        { _id: existing._id, status: { $ne: 'graded' } },
+        { $set: fields },
+        { new: true, runValidators: true }
+      );
+      if (!submission) {
+        return reject(409, 'This submission has already been graded');
+      }
+    } else {
+      try {
+        submission = await Submission.create({
+          assignment: assignment._id,
+          course: assignment.course,
+          student: req.user._id,
+          enrollment: enrollment._id,
+          ...fields
+        });
+      } catch (error) {
+        // A concurrent first submission won the unique { assignment, student } index
+        if (error.code === 11000) {
+          return reject(409, 'A submission for this assignment was just received; resubmit to replace it');
+        }
+        throw error;
+      }
+    }
+
+    try {
+      await Promise.all(replacedFiles.map(deleteFile));
+    } catch (deleteError) {
+      // The resubmission stands; the old files are only left behind
+      console.error('Delete replaced submission files error:', deleteError);
+    }
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: window.isLate ? 'Assignment submitted late' : 'Assignment submitted successfully',
+      data: { submission }
+    });
+  } catch (error) {
+    console.error('Submit assignment error:', error);
+    await discardUploads(req);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get the current user's submission for an assignment
+// @route   GET /api/assignments/:id/submissions/me
+// @access  Private
+router.get('/:id/submissions/me', protect, async (req, res) => {
+  try {
+    const submission = await Submission.findOne({ assignment: req.params.id, student: req.user._id });
+
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { submission }
+    });
+  } catch (error) {
+    console.error('Get my submission error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get all submissions for an assignment
+// @route   GET /api/assignments/:id/submissions
+// @access  Private/Owner/Admin
+router.get('/:id/submissions', protect, authorizeResource('submission:grade', assignmentAccess), async (req, res) => {
+  try {
+    const query = { assignment: req.assignment._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const submissions = await Submission.find(query)
+      .populate('student', 'name email')
+      .sort({ submittedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { submissions }
+    });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Grade a submission
+// @route   PUT /api/assignments/submissions/:submissionId/grade
+// @access  Private/Owner/Admin
+router.put('/submissions/:submissionId/grade', protect, authorizeResource('submission:grade', submissionAccess), async (req, res) => {
+  try {
+    const submission = req.submission;
+    const assignment = submission.assignment;
+    const score = Number(req.body.score);
+
+    if (!assignment) {
+      return res.status(404).json({ success: false, message: 'Assignment not found' });
+    }
+
+    if (req.body.score === undefined || req.body.score === null || !Number.isFinite(score) || score < 0 || score > assignment.maxScore) {
+      return res.status(400).json({
+        success: false,
+        message: `Score must be a number between 0 and ${assignment.maxScore}`
+      });
+    }
+
+    submission.set({
+      status: 'graded',
+      score,
+      finalScore: assignment.applyLatePenalty(score, submission.daysLate),
+      feedback: req.body.feedback || '',
+      gradedBy: req.user._id,
+      gradedAt: new Date()
+    });
+    await submission.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission graded successfully',
+      data: { submission }
+    });
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.use(handleUploadError);
+
+module.exports = router;
@@ -1,12 +1,36 @@
 const express = require('express');
 
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const Session = require('../models/Session');
+const { createAuthTokens, rotateRefreshToken } = require('../utils/refreshTokens');
+const { revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { hashToken } = require('../utils/tokens');
+const { sendEmail } = require('../utils/email');
+const { verificationEmail, passwordResetEmail } = require('../utils/emailTemplates');
 const { protect } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateForgotPassword,
+  validateResetPassword
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+// Verification links stay valid for this many hours after being sent
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+// Minimum delay between two verification emails for the same user
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60;
+
+// Send the verification email; delivery failures are logged but never fail the request
+const sendVerificationEmail = async (user, token) => {
+  try {
+    await sendEmail(verificationEmail(user, token));
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -35,13 +59,17 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       }
     });
 
-    const token = generateToken(user);
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
 
+    const { token, refreshToken } = await createAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
+      refreshToken,
       user: user.toSafeObject()
     });
   } catch (error) {
@@ -53,6 +81,87 @@ router.post('/register', validateUserRegistration, async (req, res) => {
   }
 });
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token)
+    });
+
+    const expiresAt = user && user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000
+      : 0;
+
+    if (!user || expiresAt < Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationSentAt = null;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.emailVerificationSentAt) {
+      const elapsedSeconds = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+      if (elapsedSeconds < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another verification email`
+        });
+      }
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -90,13 +199,14 @@ router.post('/login', validateUserLogin, async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await createAuthTokens(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.toSafeObject()
     });
   } catch (error) {
@@ -163,13 +273,18 @@ router.put('/password', protect, async (req, res) => {
       });
     }
 
-    // Update password
+    // Update password; this invalidates all previously issued tokens
     user.password = newPassword;
     await user.save();
+    await revokeUserSessions(user._id, 'password_changed');
+
+    const { token, refreshToken } = await createAuthTokens(user, req);
 
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Update password error:', error);
@@ -180,14 +295,202 @@ router.put('/password', protect, async (req, res) => {
   }
 });
 
-// @desc    Logout user (client-side token removal)
-// @route   POST /api/auth/logout
-// @access  Private
-router.post('/logout', protect, (req, res) => {
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  // Respond before looking anything up: registered and unknown emails get the same response
+  // at the same speed, so the endpoint cannot be used to probe for accounts
   res.status(200).json({
     success: true,
-    message: 'Logout successful'
+    message: 'If an account exists for this email, a password reset link has been sent'
   });
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) return;
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    await sendEmail(passwordResetEmail(user, resetToken));
+  } catch (error) {
+    console.error('Forgot password error:', error);
+  }
+});
+
+// @desc    Reset password with a token from the reset email
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', validateResetPassword, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Setting the password bumps passwordChangedAt, which revokes existing tokens
+    user.password = req.body.password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save();
+    await revokeUserSessions(user._id, 'password_changed');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    if (error.name === 'RefreshTokenError') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Logout user and revoke the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ip userAgent createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          isCurrent: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke all sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'revoked_by_user', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
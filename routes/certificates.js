@@ -0,0 +1,40 @@
+const express = require('express');
+const Certificate = require('../models/Certificate');
+const PathCertificate = require('../models/PathCertificate');
+
+const router = express.Router();
+
+// @desc    Verify a certificate by its verification code
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+router.get('/verify/:code', async (req, res) => {
+  try {
+    // Course and learning path certificates share the verification code space
+    const verificationCode = req.params.code.trim().toUpperCase();
+    const certificate =
+      (await Certificate.findOne({ verificationCode })) ||
+      (await PathCertificate.findOne({ verificationCode }));
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'No certificate found for this verification code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      valid: true,
+      data: { certificate: certificate.toPublicObject() }
+    });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Cohort = require('../models/Cohort');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { protect } = require('../middleware/auth');
+const { canManageCourse, authorizeResource } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Cohorts are managed by whoever may update their course
+const cohortAccess = {
+  model: Cohort,
+  ownerField: 'course.owner',
+  populate: { path: 'course', select: 'owner title modules' },
+  as: 'cohort',
+  notFoundMessage: 'Cohort not found'
+};
+
+const COHORT_FIELDS = ['name', 'startDate', 'endDate', 'isActive'];
+
+const pickCohortFields = (source = {}) =>
+  COHORT_FIELDS.reduce((cohort, field) => {
+    if (source[field] !== undefined) cohort[field] = source[field];
+    return cohort;
+  }, {});
+
+// Drip schedule of a course for a cohort
+const buildSchedule = (cohort, course) =>
+  course.modules.map((module, moduleIndex) => ({
+    moduleIndex,
+    title: module.title,
+    unlockWeek: module.unlockWeek || 0,
+    unlocksAt: cohort.moduleUnlocksAt(course, moduleIndex)
+  }));
+
+// @desc    Create a cohort for a course
+// @route   POST /api/cohorts
+// @access  Private/Owner/Admin
+router.post('/', protect, async (req, res) => {
+  try {
+    const course = mongoose.isValidObjectId(req.body.courseId)
+      ? await Course.findById(req.body.courseId).select('owner')
+      : null;
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    if (!(await canManageCourse(req, course))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const cohort = await Cohort.create({
+      ...pickCohortFields(req.body),
+      course: course._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ success: true, message: 'Cohort created successfully', data: { cohort } });
+  } catch (error) {
+    console.error('Create cohort error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a course's open cohorts (not finished), soonest first
+// @route   GET /api/cohorts/course/:courseId
+// @access  Public
+router.get('/course/:courseId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.courseId)) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const cohorts = await Cohort.find({
+      course: req.params.courseId,
+      isActive: true,
+      endDate: { $gt: new Date() }
+    }).sort({ startDate: 1 });
+
+    const counts = await Enrollment.aggregate([
+      { $match: { cohort: { $in: cohorts.map(c => c._id) }, isActive: true } },
+      { $group: { _id: '$cohort', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohorts: cohorts.map(cohort => ({
+          ...cohort.toObject(),
+          enrolledCount: countById.get(cohort._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get course cohorts error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a cohort with its module unlock schedule
+// @route   GET /api/cohorts/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const cohort = mongoose.isValidObjectId(req.params.id)
+      ? await Cohort.findById(req.params.id).populate('course', 'title modules status')
+      : null;
+    if (!cohort || !cohort.course || cohort.course.status !== 'published') {
+      return res.status(404).json({ success: false, message: 'Cohort not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohort: { ...cohort.toObject(), course: { _id: cohort.course._id, title: cohort.course.title } },
+        schedule: buildSchedule(cohort, cohort.course)
+      }
+    });
+  } catch (error) {
+    console.error('Get cohort error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update a cohort
+// @route   PUT /api/cohorts/:id
+// @access  Private/Owner/Admin
+router.put('/:id', protect, authorizeResource('course:update', cohortAccess), async (req, res) => {
+  try {
+    const cohort = req.cohort;
+    cohort.set(pickCohortFields(req.body));
+    await cohort.save();
+
+    res.status(200).json({ success: true, message: 'Cohort updated successfully', data: { cohort } });
+  } catch (error) {
+    console.error('Update cohort error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a cohort, or deactivate it if students have joined
+// @route   DELETE /api/cohorts/:id
+// @access  Private/Owner/Admin
+router.delete('/:id', protect, authorizeResource('course:update', cohortAccess), async (req, res) => {
+  try {
+    const cohort = req.cohort;
+
+    if (await Enrollment.exists({ cohort: cohort._id })) {
+      cohort.isActive = false;
+      await cohort.save();
+      return res.status(200).json({ success: true, message: 'Cohort deactivated (has enrollments)' });
+    }
+
+    await WaitlistEntry.updateMany(
+      { cohort: cohort._id, status: 'waiting' },
+      { $set: { status: 'cancelled', cancelReason: 'Cohort was removed' } }
+    );
+    await cohort.deleteOne();
+
+    res.status(200).json({ success: true, message: 'Cohort deleted successfully' });
+  } catch (error) {
+    console.error('Delete cohort error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a cohort's roster with each student's progress
+// @route   GET /api/cohorts/:id/roster
+// @access  Private/Owner/Admin
+router.get('/:id/roster', protect, authorizeResource('course:update', cohortAccess), async (req, res) => {
+  try {
+    const cohort = req.cohort;
+    const query = { cohort: cohort._id };
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const [enrollments, waitlisted] = await Promise.all([
+      Enrollment.find(query)
+        .populate('student', 'name email')
+        .sort({ createdAt: 1 }),
+      WaitlistEntry.countDocuments({ cohort: cohort._id, status: 'waiting' })
+    ]);
+
+    const roster = enrollments
+      .filter(e => e.student)
+      .map(e => ({
+        enrollment: e._id,
+        student: e.student,
+        progress: e.progress,
+        completedLessons: e.completedLessons.length,
+        completionDate: e.completionDate,
+        lastAccessedAt: e.lastAccessedAt,
+        isActive: e.isActive
+      }));
+
+    const active = roster.filter(r => r.isActive);
+    res.status(200).json({
+      success: true,
+      data: {
+        cohort: { ...cohort.toObject(), course: { _id: cohort.course._id, title: cohort.course.title } },
+        roster,
+        summary: {
+          enrolled: active.length,
+          completed: active.filter(r => r.progress === 100).length,
+          averageProgress: active.length
+            ? Math.round(active.reduce((sum, r) => sum + r.progress, 0) / active.length)
+            : 0,
+          waitlisted
+        },
+        schedule: buildSchedule(cohort, cohort.course)
+      }
+    });
+  } catch (error) {
+    console.error('Get cohort roster error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,100 +1,184 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Course = require('../models/Course');
+const Quiz = require('../models/Quiz');
 const Enrollment = require('../models/Enrollment');
 const Review = require('../models/Review');
+const User = require('../models/User');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { canManageCourse, loadPermissions, requirePermission, authorizeResource } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
+const { CourseWorkflowError, transitionPermission, applyTransition } = require('../utils/courseWorkflow');
+const { buildGradebook } = require('../utils/gradebook');
+const CourseVersion = require('../models/CourseVersion');
+const PrerequisiteOverride = require('../models/PrerequisiteOverride');
+const { paginate, PaginationError } = require('../utils/pagination');
+const { recommendCourses } = require('../utils/recommendations');
+const { buildCatalogFilters, buildCatalogSort, facetPipeline, formatFacets } = require('../utils/courseCatalog');
+const { recordVersion, ensureBaselineVersion, applySnapshot, diffSnapshots, snapshotCourse } = require('../utils/courseVersions');
+const { validateModule, validateLesson } = require('../middleware/validation');
+const { contentLayout, remapContentPositions } = require('../utils/contentPositions');
+const { checkPrerequisites, validatePrerequisites } = require('../utils/prerequisites');
+const { CouponError, quotePrice } = require('../utils/coupons');
+const { paymentCurrency } = require('../utils/payments');
+const { promoteFromWaitlistSafely } = require('../utils/waitlist');
+const WaitlistEntry = require('../models/WaitlistEntry');
 
 const router = express.Router();
 
-// @desc    Get all courses
-// @route   GET /api/courses
-// @access  Public
-router.get('/', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 12;
-    const skip = (page - 1) * limit;
+// Courses belong to the instructor in `owner`
+const courseAccess = { model: Course, ownerField: 'owner', as: 'course', notFoundMessage: 'Course not found' };
 
-    const query = { isActive: true };
+// Fields that may be set from a request body; ownership and status have their own endpoints
+const COURSE_FIELDS = [
+  'title',
+  'description',
+  'instructor',
+  'difficulty',
+  'duration',
+  'category',
+  'youtubeUrl',
+  'price',
+  'tags',
+  'modules',
+  'prerequisites',
+  'requiresDifficultyProgression',
+  'capacity',
+  'enrollmentOpensAt',
+  'enrollmentClosesAt',
+  'cohortBased'
+];
 
-    if (req.query.category && req.query.category !== 'all') {
-      query.category = req.query.category;
-    }
+const LESSON_FIELDS = ['title', 'type', 'content', 'videoUrl', 'estimatedMinutes', 'quiz'];
 
-    if (req.query.difficulty && req.query.difficulty !== 'all') {
-      query.difficulty = req.query.difficulty;
-    }
+const pickCourseFields = (source = {}) =>
+  COURSE_FIELDS.reduce((course, field) => {
+    if (source[field] !== undefined) course[field] = source[field];
+    return course;
+  }, {});
 
-    if (req.query.search) {
-      query.$text = { $search: req.query.search };
-    }
+// Copy only the whitelisted lesson fields from a request payload
+const pickLessonFields = (source = {}) =>
+  LESSON_FIELDS.reduce((lesson, field) => {
+    if (source[field] !== undefined) lesson[field] = source[field];
+    return lesson;
+  }, {});
 
-    let sortOption = { createdAt: -1 };
-    switch (req.query.sort) {
-      case 'title':
-        sortOption = { title: 1 };
-        break;
-      case 'newest':
-        sortOption = { createdAt: -1 };
-        break;
-      case 'oldest':
-        sortOption = { createdAt: 1 };
-        break;
-    }
+// A lesson's quiz must be an active quiz of the same course, or the lesson could never be completed.
+// Returns an error message or null.
+const lessonQuizError = async (course, lessons) => {
+  const quizIds = [...new Set(lessons.filter(l => l.quiz).map(l => l.quiz.toString()))];
+  if (quizIds.length === 0) return null;
 
-    const courses = await Course.find(query)
-      .populate('createdBy', 'name')
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limit);
+  const found = await Quiz.countDocuments({ _id: { $in: quizIds }, course: course._id, isActive: true });
+  return found === quizIds.length ? null : 'Lesson quiz must be an active quiz of this course';
+};
 
-    const coursesWithStats = await Promise.all(
-      courses.map(async (course) => {
-        const stats = await course.calculateAverageRating();
-        const enrollmentCount = await Enrollment.countDocuments({ course: course._id });
-        return {
-          ...course.toObject(),
-          rating: stats.rating,
-          reviewCount: stats.reviewCount,
-          enrolledStudents: enrollmentCount
-        };
-      })
-    );
+// Route params are strings; module/lesson indices must be non-negative integers
+const parseIndex = (value) => {
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+};
+
+// Insert an item into an array at the given position, clamped to the array bounds
+const insertAt = (array, item, position) => {
+  const index = position === undefined ? array.length : Math.min(Number(position), array.length);
+  array.splice(index, 0, item);
+  return index;
+};
 
-    const total = await Course.countDocuments(query);
-    const categories = await Course.distinct('category', { isActive: true });
+// Course as returned by the API, with the stored stats under their established names
+const withStats = (course) => ({
+  ...course.toObject(),
+  rating: course.averageRating,
+  enrolledStudents: course.enrollmentCount
+});
+
+// Content edits are versioned; make sure the course's pre-edit content is on record
+const versioned = async (req, res, next) => {
+  try {
+    await ensureBaselineVersion(req.course);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Published courses are public; owners and admins may also preview unpublished ones
+const canView = async (req, course) =>
+  course.status === 'published' ||
+  await canManageCourse(req, course);
+
+// @desc    Get all courses
+// @route   GET /api/courses
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const filters = buildCatalogFilters(req.query);
+    const projection = req.query.search ? { score: { $meta: 'textScore' } } : {};
+
+    const { items: courses, pagination } = await paginate(Course, filters.query, {
+      sort: buildCatalogSort(req.query),
+      params: req.query,
+      defaultLimit: 12,
+      build: query => query.select(projection).populate('createdBy', 'name')
+    });
+
+    const categories = await Course.distinct('category', { status: 'published' });
+    const facets = formatFacets(await Course.aggregate(facetPipeline(filters)));
 
     res.status(200).json({
       success: true,
       data: {
-        courses: coursesWithStats,
+        courses: courses.map(withStats),
         categories,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        facets,
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Get courses error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// @desc    Get single course
+// @desc    Get course recommendations for the current user, with reasons
+// @route   GET /api/courses/recommended
+// @access  Private
+router.get('/recommended', protect, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const recommendations = await recommendCourses(req.user, { limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recommendations: recommendations.map(({ course, score, reasons }) => ({
+          course: { ...course, rating: course.averageRating, enrolledStudents: course.enrollmentCount },
+          score,
+          reasons
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get single course (owners and admins can preview unpublished courses)
 // @route   GET /api/courses/:id
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id).populate('createdBy', 'name');
-    if (!course || !course.isActive) {
+    if (!course || !(await canView(req, course))) {
       return res.status(404).json({ success: false, message: 'Course not found' });
     }
 
-    const stats = await course.calculateAverageRating();
-    const enrollmentCount = await Enrollment.countDocuments({ course: course._id });
-
     const reviews = await Review.find({ course: course._id, isApproved: true })
       .populate('student', 'name')
       .sort({ createdAt: -1 })
@@ -103,14 +187,10 @@ router.get('/:id', async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        course: {
-          ...course.toObject(),
-          rating: stats.rating,
-          reviewCount: stats.reviewCount,
-          enrolledStudents: enrollmentCount
-        },
+        course: withStats(course),
         isEnrolled: false,
         enrollment: null,
+        isPreview: course.status !== 'published',
         reviews
       }
     });
@@ -122,66 +202,160 @@ router.get('/:id', async (req, res) => {
 
 // @desc    Create course
 // @route   POST /api/courses
-// @access  Public (for demo purpose)
-
-// Create course - POST /api/courses
-router.post('/', async (req, res) => {
+// @access  Private/Instructor/Admin
+router.post('/', protect, requirePermission('course:create'), async (req, res) => {
   try {
-    const courseData = {
-      ...req.body,
-      // Assume req.user.id is set from auth middleware
-      createdBy: req.user?.id || null, // fallback if no auth, else replace with actual logged in user ID
-    };
+    const courseData = pickCourseFields(req.body);
+    let owner = req.user;
 
-    // if (!courseData.createdBy) {
-    //   return res.status(401).json({ success: false, message: 'Unauthorized: createdBy is required' });
-    // }
+    // Users allowed to assign courses (admins) may create one on behalf of an instructor
+    const canAssignOwner = hasPermission(await loadPermissions(req), 'course:assign');
+    if (canAssignOwner && req.body.ownerId) {
+      owner = await User.findById(req.body.ownerId);
+      if (!owner || !['instructor', 'admin'].includes(owner.role)) {
+        return res.status(400).json({ success: false, message: 'Owner must be an instructor or admin' });
+      }
+    }
 
-    const course = await Course.create(courseData);
+    const course = new Course({
+      ...courseData,
+      instructor: courseData.instructor || owner.name,
+      owner: owner._id,
+      createdBy: req.user._id
+    });
 
-    res.status(201).json({ success: true, message: 'Course created successfully', data: { course } });
+    const prerequisiteError = await validatePrerequisites(course, course.prerequisites);
+    if (prerequisiteError) {
+      return res.status(400).json({ success: false, message: prerequisiteError });
+    }
+
+    const quizError = await lessonQuizError(course, course.modules.flatMap(m => m.lessons));
+    if (quizError) {
+      return res.status(400).json({ success: false, message: quizError });
+    }
+
+    await course.save();
+    await recordVersion(course, { author: req.user, action: 'create', summary: 'Created course' });
+
+    res.status(201).json({ success: true, message: 'Course created as a draft', data: { course } });
   } catch (error) {
     console.error('Create course error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // @desc    Update course
 // @route   PUT /api/courses/:id
-// @access  Public (for demo purpose)
-router.put('/:id', async (req, res) => {
+// @access  Private/Owner/Admin
+router.put('/:id', protect, authorizeResource('course:update', courseAccess), versioned, async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
-    if (!course) {
-      return res.status(404).json({ success: false, message: 'Course not found' });
+    const course = req.course;
+    const layout = contentLayout(course);
+    course.set(pickCourseFields(req.body));
+
+    // Only users allowed to assign courses (admins) may reassign one to another instructor
+    if (req.body.ownerId !== undefined && hasPermission(await loadPermissions(req), 'course:assign')) {
+      const owner = await User.findById(req.body.ownerId);
+      if (!owner || !['instructor', 'admin'].includes(owner.role)) {
+        return res.status(400).json({ success: false, message: 'Owner must be an instructor or admin' });
+      }
+      course.owner = owner._id;
+    }
+
+    if (course.isModified('prerequisites')) {
+      const prerequisiteError = await validatePrerequisites(course, course.prerequisites);
+      if (prerequisiteError) {
+        return res.status(400).json({ success: false, message: prerequisiteError });
+      }
+    }
+
+    if (course.isModified('modules')) {
+      const quizError = await lessonQuizError(course, course.modules.flatMap(m => m.lessons));
+      if (quizError) {
+        return res.status(400).json({ success: false, message: quizError });
+      }
+    }
+
+    const changedFields = course.modifiedPaths({ includeChildren: false }).filter(path => COURSE_FIELDS.includes(path));
+    const capacityChanged = course.isModified('capacity');
+    await course.save();
+    await remapContentPositions(course, layout);
+    if (capacityChanged) {
+      // A raised (or removed) limit frees seats for waitlisted students
+      await promoteFromWaitlistSafely(course._id);
+    }
+    if (changedFields.length > 0) {
+      await recordVersion(course, { author: req.user, action: 'update', summary: `Updated ${changedFields.join(', ')}` });
     }
-    const updatedCourse = await Course.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
-    res.status(200).json({ success: true, message: 'Course updated successfully', data: { course: updatedCourse } });
+    res.status(200).json({ success: true, message: 'Course updated successfully', data: { course } });
   } catch (error) {
     console.error('Update course error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// @desc    Delete course
-// @route   DELETE /api/courses/:id
-// @access  Public (for demo purpose)
-router.delete('/:id', async (req, res) => {
+// @desc    Change course status (submit for review, approve, schedule, archive, ...)
+// @route   PUT /api/courses/:id/status
+// @access  Private/Owner/Admin (publishing requires approval permission)
+router.put('/:id/status', protect, async (req, res) => {
   try {
+    const { status, publishAt, notes } = req.body;
+
+    if (!Course.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of: ${Course.STATUSES.join(', ')}` });
+    }
+
     const course = await Course.findById(req.params.id);
     if (!course) {
       return res.status(404).json({ success: false, message: 'Course not found' });
     }
 
+    const permission = transitionPermission(course.status, status);
+    if (permission && !(await canManageCourse(req, course, permission))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    applyTransition(course, status, { user: req.user, publishAt, notes });
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Course status changed to ${course.status}`,
+      data: { course }
+    });
+  } catch (error) {
+    if (error instanceof CourseWorkflowError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Change course status error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete course
+// @route   DELETE /api/courses/:id
+// @access  Private/Owner/Admin
+router.delete('/:id', protect, authorizeResource('course:delete', courseAccess), async (req, res) => {
+  try {
+    const course = req.course;
+
     const enrollmentCount = await Enrollment.countDocuments({ course: course._id });
     if (enrollmentCount > 0) {
-      course.isActive = false;
+      course.status = 'archived';
       await course.save();
-      return res.status(200).json({ success: true, message: 'Course deactivated successfully (has active enrollments)' });
+      return res.status(200).json({ success: true, message: 'Course archived successfully (has enrollments)' });
     }
 
-    await Course.findByIdAndDelete(req.params.id);
-    await Review.deleteMany({ course: req.params.id });
+    await Course.findByIdAndDelete(course._id);
+    await Review.deleteMany({ course: course._id });
+    await Course.updateMany({ prerequisites: course._id }, { $pull: { prerequisites: course._id } });
+    await PrerequisiteOverride.deleteMany({ course: course._id });
     res.status(200).json({ success: true, message: 'Course deleted successfully' });
   } catch (error) {
     console.error('Delete course error:', error);
@@ -189,4 +363,495 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// @desc    Show which prerequisites the current user still needs for a course
+// @route   GET /api/courses/:id/prerequisites
+// @access  Private
+router.get('/:id/prerequisites', protect, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('title difficulty category prerequisites requiresDifficultyProgression status owner')
+      .populate('prerequisites', 'title difficulty category status');
+    if (!course || !(await canView(req, course))) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const { satisfied, overridden, missing } = await checkPrerequisites(req.user._id, course);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        prerequisites: course.prerequisites,
+        requiresDifficultyProgression: course.requiresDifficultyProgression,
+        satisfied,
+        overridden,
+        missing
+      }
+    });
+  } catch (error) {
+    console.error('Get prerequisites error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a course's waitlist in promotion order
+// @route   GET /api/courses/:id/waitlist
+// @access  Private/Owner/Admin
+router.get('/:id/waitlist', protect, authorizeResource('course:update', courseAccess), async (req, res) => {
+  try {
+    const waitlist = await WaitlistEntry.find({ course: req.course._id, status: 'waiting' })
+      .populate('student', 'name email')
+      .sort({ joinedAt: 1, _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        capacity: req.course.capacity,
+        enrollmentCount: req.course.enrollmentCount,
+        waitlist: waitlist.map((entry, index) => ({ ...entry.toObject(), position: index + 1 }))
+      }
+    });
+  } catch (error) {
+    console.error('Get course waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Quote the price of a course with an optional coupon code
+// @route   POST /api/courses/:id/price-quote
+// @access  Private
+router.post('/:id/price-quote', protect, async (req, res) => {
+  try {
+    const course = mongoose.isValidObjectId(req.params.id)
+      ? await Course.findOne({ _id: req.params.id, status: 'published' }).select('title price')
+      : null;
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const { listPrice, discount, finalPrice, coupon } = await quotePrice(course, req.body.code, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        quote: {
+          listPrice,
+          discount,
+          finalPrice,
+          currency: paymentCurrency(),
+          coupon: coupon && {
+            code: coupon.code,
+            description: coupon.description,
+            discountType: coupon.discountType,
+            value: coupon.value,
+            expiresAt: coupon.expiresAt
+          }
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Price quote error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get the course gradebook (assignment and quiz scores per student)
+// @route   GET /api/courses/:id/gradebook
+// @access  Private/Owner/Admin
+router.get('/:id/gradebook', protect, authorizeResource('submission:grade', courseAccess), async (req, res) => {
+  try {
+    const gradebook = await buildGradebook(req.course);
+
+    res.status(200).json({
+      success: true,
+      data: { gradebook }
+    });
+  } catch (error) {
+    console.error('Get gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    List a course's versions (newest first, without content)
+// @route   GET /api/courses/:id/versions
+// @access  Private/Owner/Admin
+router.get('/:id/versions', protect, authorizeResource('course:update', courseAccess), async (req, res) => {
+  try {
+    const { items: versions, pagination } = await paginate(CourseVersion, { course: req.course._id }, {
+      sort: { version: -1 },
+      params: req.query,
+      build: query => query.select('-snapshot').populate('author', 'name email')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { versions, pagination }
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Get course versions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Diff two versions (`to` defaults to the current content)
+// @route   GET /api/courses/:id/versions/diff?from=1&to=3
+// @access  Private/Owner/Admin
+router.get('/:id/versions/diff', protect, authorizeResource('course:update', courseAccess), async (req, res) => {
+  try {
+    const from = parseIndex(req.query.from);
+    const to = req.query.to === undefined ? null : parseIndex(req.query.to);
+    if (from === null || (req.query.to !== undefined && to === null)) {
+      return res.status(400).json({ success: false, message: 'from and to must be version numbers' });
+    }
+
+    const versions = await CourseVersion.find({ course: req.course._id, version: { $in: [from, to].filter(v => v !== null) } });
+    const fromVersion = versions.find(v => v.version === from);
+    const toVersion = to === null ? null : versions.find(v => v.version === to);
+    if (!fromVersion || (to !== null && !toVersion)) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    const changes = diffSnapshots(fromVersion.snapshot, toVersion ? toVersion.snapshot : snapshotCourse(req.course));
+
+    res.status(200).json({
+      success: true,
+      data: { from, to: to === null ? 'current' : to, changes }
+    });
+  } catch (error) {
+    console.error('Diff course versions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a single version with its content
+// @route   GET /api/courses/:id/versions/:version
+// @access  Private/Owner/Admin
+router.get('/:id/versions/:version', protect, authorizeResource('course:update', courseAccess), async (req, res) => {
+  try {
+    const version = await CourseVersion.findOne({ course: req.course._id, version: parseIndex(req.params.version) })
+      .populate('author', 'name email');
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.status(200).json({ success: true, data: { version } });
+  } catch (error) {
+    console.error('Get course version error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Restore an old version; recorded as a new version so it can be undone too
+// @route   POST /api/courses/:id/versions/:version/restore
+// @access  Private/Owner/Admin
+router.post('/:id/versions/:version/restore', protect, authorizeResource('course:update', courseAccess), versioned, async (req, res) => {
+  try {
+    const course = req.course;
+    const version = await CourseVersion.findOne({ course: course._id, version: parseIndex(req.params.version) });
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    const layout = contentLayout(course);
+    applySnapshot(course, version.snapshot);
+    await course.save();
+    await remapContentPositions(course, layout);
+    const restored = await recordVersion(course, {
+      author: req.user,
+      action: 'restore',
+      summary: `Restored version ${version.version}`,
+      restoredFrom: version.version
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${version.version} restored`,
+      data: { course, version: restored.version }
+    });
+  } catch (error) {
+    console.error('Restore course version error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get course modules and lessons
+// @route   GET /api/courses/:id/modules
+// @access  Public
+router.get('/:id/modules', optionalAuth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('title modules status owner');
+    if (!course || !(await canView(req, course))) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    // Students in a cohort also get their drip schedule; lessons of locked modules are listed
+    // without their content
+    let modules = course.modules;
+    const enrollment = req.user
+      ? await Enrollment.findOne({ student: req.user._id, course: course._id, isActive: true }).populate('cohort')
+      : null;
+    if (enrollment && enrollment.cohort) {
+      const now = new Date();
+      modules = course.modules.map((module, moduleIndex) => {
+        const locked = !enrollment.cohort.isModuleUnlocked(course, moduleIndex, now);
+        const data = module.toObject();
+        return {
+          ...data,
+          lessons: locked ? data.lessons.map(({ content, videoUrl, ...lesson }) => lesson) : data.lessons,
+          unlocksAt: enrollment.cohort.moduleUnlocksAt(course, moduleIndex),
+          locked
+        };
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        modules,
+        cohort: enrollment ? enrollment.cohort : null,
+        moduleCount: course.moduleCount,
+        lessonCount: course.lessonCount,
+        estimatedMinutes: course.estimatedMinutes
+      }
+    });
+  } catch (error) {
+    console.error('Get modules error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Add a module to a course
+// @route   POST /api/courses/:id/modules
+// @access  Private/Owner/Admin
+router.post('/:id/modules', protect, authorizeResource('course:update', courseAccess), versioned, validateModule, async (req, res) => {
+  try {
+    const course = req.course;
+    const layout = contentLayout(course);
+    const { title, description, unlockWeek, lessons, position } = req.body;
+    const moduleIndex = insertAt(course.modules, {
+      title,
+      description,
+      unlockWeek,
+      lessons: (lessons || []).map(pickLessonFields)
+    }, position);
+
+    const quizError = await lessonQuizError(course, course.modules[moduleIndex].lessons);
+    if (quizError) {
+      return res.status(400).json({ success: false, message: quizError });
+    }
+
+    await course.save();
+    await remapContentPositions(course, layout);
+    await recordVersion(course, { author: req.user, action: 'module_add', summary: `Added module "${title}"` });
+
+    res.status(201).json({
+      success: true,
+      message: 'Module added successfully',
+      data: { moduleIndex, module: course.modules[moduleIndex] }
+    });
+  } catch (error) {
+    console.error('Add module error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update (and optionally move) a module
+// @route   PUT /api/courses/:id/modules/:moduleIndex
+// @access  Private/Owner/Admin
+router.put('/:id/modules/:moduleIndex', protect, authorizeResource('course:update', courseAccess), versioned, validateModule, async (req, res) => {
+  try {
+    const course = req.course;
+    const moduleIndex = parseIndex(req.params.moduleIndex);
+    const module = course.getModule(moduleIndex);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const layout = contentLayout(course);
+    const { title, description, unlockWeek, position } = req.body;
+    module.title = title;
+    if (description !== undefined) module.description = description;
+    if (unlockWeek !== undefined) module.unlockWeek = unlockWeek;
+
+    let newIndex = moduleIndex;
+    if (position !== undefined && Number(position) !== moduleIndex) {
+      const [moved] = course.modules.splice(moduleIndex, 1);
+      newIndex = insertAt(course.modules, moved, position);
+    }
+
+    await course.save();
+    await remapContentPositions(course, layout);
+    await recordVersion(course, { author: req.user, action: 'module_update', summary: `Updated module "${title}"` });
+
+    res.status(200).json({
+      success: true,
+      message: 'Module updated successfully',
+      data: { moduleIndex: newIndex, module: course.modules[newIndex] }
+    });
+  } catch (error) {
+    console.error('Update module error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a module
+// @route   DELETE /api/courses/:id/modules/:moduleIndex
+// @access  Private/Owner/Admin
+router.delete('/:id/modules/:moduleIndex', protect, authorizeResource('course:update', courseAccess), versioned, async (req, res) => {
+  try {
+    const course = req.course;
+    const moduleIndex = parseIndex(req.params.moduleIndex);
+    if (!course.getModule(moduleIndex)) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const layout = contentLayout(course);
+    const [removed] = course.modules.splice(moduleIndex, 1);
+    await course.save();
+    await remapContentPositions(course, layout);
+    await recordVersion(course, { author: req.user, action: 'module_delete', summary: `Deleted module "${removed.title}"` });
+
+    res.status(200).json({ success: true, message: 'Module deleted successfully' });
+  } catch (error) {
+    console.error('Delete module error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Add a lesson to a module
+// @route   POST /api/courses/:id/modules/:moduleIndex/lessons
+// @access  Private/Owner/Admin
+router.post('/:id/modules/:moduleIndex/lessons', protect, authorizeResource('course:update', courseAccess), versioned, validateLesson, async (req, res) => {
+  try {
+    const course = req.course;
+    const moduleIndex = parseIndex(req.params.moduleIndex);
+    const module = course.getModule(moduleIndex);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const layout = contentLayout(course);
+    const lessonIndex = insertAt(module.lessons, pickLessonFields(req.body), req.body.position);
+    const quizError = await lessonQuizError(course, [module.lessons[lessonIndex]]);
+    if (quizError) {
+      return res.status(400).json({ success: false, message: quizError });
+    }
+
+    await course.save();
+    await remapContentPositions(course, layout);
+    await recordVersion(course, {
+      author: req.user,
+      action: 'lesson_add',
+      summary: `Added lesson "${module.lessons[lessonIndex].title}" to module "${module.title}"`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lesson added successfully',
+      data: { moduleIndex, lessonIndex, lesson: module.lessons[lessonIndex] }
+    });
+  } catch (error) {
+    console.error('Add lesson error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update (and optionally move) a lesson within its module
+// @route   PUT /api/courses/:id/modules/:moduleIndex/lessons/:lessonIndex
+// @access  Private/Owner/Admin
+router.put('/:id/modules/:moduleIndex/lessons/:lessonIndex', protect, authorizeResource('course:update', courseAccess), versioned, validateLesson, async (req, res) => {
+  try {
+    const course = req.course;
+    const moduleIndex = parseIndex(req.params.moduleIndex);
+    const lessonIndex = parseIndex(req.params.lessonIndex);
+    const lesson = course.getLesson(moduleIndex, lessonIndex);
+    if (!lesson) {
+      return res.status(404).json({ success: false, message: 'Lesson not found' });
+    }
+
+    lesson.set(pickLessonFields(req.body));
+    if (lesson.isModified('quiz')) {
+      const quizError = await lessonQuizError(course, [lesson]);
+      if (quizError) {
+        return res.status(400).json({ success: false, message: quizError });
+      }
+    }
+
+    const module = course.modules[moduleIndex];
+    const layout = contentLayout(course);
+    let newIndex = lessonIndex;
+    if (req.body.position !== undefined && Number(req.body.position) !== lessonIndex) {
+      const [moved] = module.lessons.splice(lessonIndex, 1);
+      newIndex = insertAt(module.lessons, moved, req.body.position);
+    }
+
+    await course.save();
+    await remapContentPositions(course, layout);
+    await recordVersion(course, {
+      author: req.user,
+      action: 'lesson_update',
+      summary: `Updated lesson "${lesson.title}" in module "${module.title}"`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson updated successfully',
+      data: { moduleIndex, lessonIndex: newIndex, lesson: module.lessons[newIndex] }
+    });
+  } catch (error) {
+    console.error('Update lesson error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a lesson
+// @route   DELETE /api/courses/:id/modules/:moduleIndex/lessons/:lessonIndex
+// @access  Private/Owner/Admin
+router.delete('/:id/modules/:moduleIndex/lessons/:lessonIndex', protect, authorizeResource('course:update', courseAccess), versioned, async (req, res) => {
+  try {
+    const course = req.course;
+    const moduleIndex = parseIndex(req.params.moduleIndex);
+    const lessonIndex = parseIndex(req.params.lessonIndex);
+    if (!course.getLesson(moduleIndex, lessonIndex)) {
+      return res.status(404).json({ success: false, message: 'Lesson not found' });
+    }
+
+    const module = course.modules[moduleIndex];
+    const layout = contentLayout(course);
+    const [removed] = module.lessons.splice(lessonIndex, 1);
+    await course.save();
+    await remapContentPositions(course, layout);
+    await recordVersion(course, {
+      author: req.user,
+      action: 'lesson_delete',
+      summary: `Deleted lesson "${removed.title}" from module "${module.title}"`
+    });
+
+    res.status(200).json({ success: true, message: 'Lesson deleted successfully' });
+  } catch (error) {
+    console.error('Delete lesson error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
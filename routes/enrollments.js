@@ -1,16 +1,35 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { requirePermission, authorizeResource } = require('../middleware/permissions');
+const Quiz = require('../models/Quiz');
+const { issueCertificate } = require('../utils/certificates');
+const { syncEnrollmentProgress } = require('../utils/progress');
+const { gradeQuiz } = require('../utils/quizGrading');
+const { adjustEnrollmentCount } = require('../utils/courseStats');
+const { paginate, PaginationError } = require('../utils/pagination');
+const { EnrollmentError, enrollStudent, moduleLockedMessage } = require('../utils/enrollments');
+const { promoteFromWaitlistSafely, releaseSeatOffer } = require('../utils/waitlist');
+const WaitlistEntry = require('../models/WaitlistEntry');
 
 const router = express.Router();
 
-// @desc    Enroll in a course
+// Enrollments belong to the enrolled student
+const enrollmentAccess = {
+  model: Enrollment,
+  ownerField: 'student',
+  as: 'enrollment',
+  notFoundMessage: 'Enrollment not found'
+};
+
+// @desc    Enroll in a course, or join its waitlist when it is full
 // @route   POST /api/enrollments
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, requirePermission('enrollment:create'), requireVerifiedEmail, async (req, res) => {
   try {
-    const { courseId } = req.body;
+    const { courseId, cohortId } = req.body;
 
     if (!courseId) {
       return res.status(400).json({
@@ -19,46 +38,32 @@ router.post('/', protect, async (req, res) => {
       });
     }
 
-    // Check if course exists and is active
+    // Only published courses accept enrollments
     const course = await Course.findById(courseId);
-    if (!course || !course.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Course not found or inactive'
+    const { enrollment, status, waitlistEntry, position } = await enrollStudent(req.user._id, course, { cohort: cohortId, waitlist: true });
+
+    if (status === 'waitlisted') {
+      return res.status(202).json({
+        success: true,
+        message: `Course is full; you are number ${position} on the waitlist`,
+        data: { waitlistEntry, position }
       });
     }
 
-    // Check if user is already enrolled
-    const existingEnrollment = await Enrollment.findOne({
-      student: req.user._id,
-      course: courseId
-    });
-
-    if (existingEnrollment) {
-      if (existingEnrollment.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: 'Already enrolled in this course'
-        });
-      } else {
-        // Reactivate enrollment
-        existingEnrollment.isActive = true;
-        existingEnrollment.startDate = new Date();
-        await existingEnrollment.save();
-
-        return res.status(200).json({
-          success: true,
-          message: 'Re-enrolled in course successfully',
-          data: { enrollment: existingEnrollment }
-        });
-      }
+    if (status === 'existing') {
+      return res.status(400).json({
+        success: false,
+        message: 'Already enrolled in this course'
+      });
     }
 
-    // Create new enrollment
-    const enrollment = await Enrollment.create({
-      student: req.user._id,
-      course: courseId
-    });
+    if (status === 'reactivated') {
+      return res.status(200).json({
+        success: true,
+        message: 'Re-enrolled in course successfully',
+        data: { enrollment }
+      });
+    }
 
     const populatedEnrollment = await Enrollment.findById(enrollment._id)
       .populate('course', 'title instructor difficulty duration category image');
@@ -69,6 +74,13 @@ router.post('/', protect, async (req, res) => {
       data: { enrollment: populatedEnrollment }
     });
   } catch (error) {
+    if (error instanceof EnrollmentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Enrollment error:', error);
     res.status(500).json({
       success: false,
@@ -77,15 +89,79 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
+// @desc    Get the current user's waitlist places
+// @route   GET /api/enrollments/waitlist
+// @access  Private
+router.get('/waitlist', protect, requirePermission('enrollment:read'), async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ student: req.user._id, status: 'waiting' })
+      .populate('course', 'title instructor image capacity enrollmentCount')
+      .sort({ joinedAt: 1 });
+
+    const waitlist = await Promise.all(entries.map(async entry => ({
+      ...entry.toObject(),
+      position: await entry.position()
+    })));
+
+    res.status(200).json({
+      success: true,
+      data: { waitlist }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Leave a course's waitlist
+// @route   DELETE /api/enrollments/waitlist/:courseId
+// @access  Private
+router.delete('/waitlist/:courseId', protect, async (req, res) => {
+  try {
+    const entry = mongoose.isValidObjectId(req.params.courseId)
+      ? await WaitlistEntry.findOne({ student: req.user._id, course: req.params.courseId, status: 'waiting' })
+      : null;
+
+    // A seat held for the student goes to the next one in line
+    let left = false;
+    if (entry && entry.offerExpiresAt) {
+      left = await releaseSeatOffer(entry, 'Left the waitlist');
+    } else if (entry) {
+      const result = await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'waiting', offerExpiresAt: null },
+        { $set: { status: 'cancelled', cancelReason: 'Left the waitlist' } }
+      );
+      left = result.modifiedCount === 1;
+    }
+
+    if (!left) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this course'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Left the waitlist'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get user enrollments
 // @route   GET /api/enrollments
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requirePermission('enrollment:read'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     const query = { student: req.user._id };
 
     // Filter by status
@@ -102,27 +178,27 @@ router.get('/', protect, async (req, res) => {
       query.isActive = req.query.isActive === 'true';
     }
 
-    const enrollments = await Enrollment.find(query)
-      .populate('course', 'title instructor difficulty duration category image')
-      .sort({ lastAccessedAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Enrollment.countDocuments(query);
+    const { items: enrollments, pagination } = await paginate(Enrollment, query, {
+      sort: { lastAccessedAt: -1 },
+      params: req.query,
+      defaultLimit: 10,
+      build: q => q.populate('course', 'title instructor difficulty duration category image')
+    });
 
     res.status(200).json({
       success: true,
       data: {
         enrollments,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Get enrollments error:', error);
     res.status(500).json({
       success: false,
@@ -134,33 +210,113 @@ router.get('/', protect, async (req, res) => {
 // @desc    Get single enrollment
 // @route   GET /api/enrollments/:id
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, authorizeResource('enrollment:read', enrollmentAccess), async (req, res) => {
   try {
-    const enrollment = await Enrollment.findById(req.params.id)
-      .populate('course')
-      .populate('student', 'name email');
+    const enrollment = await req.enrollment.populate([
+      { path: 'course' },
+      { path: 'student', select: 'name email' }
+    ]);
 
-    if (!enrollment) {
+    res.status(200).json({
+      success: true,
+      data: { enrollment }
+    });
+  } catch (error) {
+    console.error('Get enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a lesson completed or uncompleted; progress is computed server-side
+// @route   PUT /api/enrollments/:id/progress
+// @access  Private
+router.put('/:id/progress', protect, authorizeResource('enrollment:update', enrollmentAccess), async (req, res) => {
+  try {
+    const { moduleIndex, lessonIndex, completed = true } = req.body;
+
+    if (!Number.isInteger(moduleIndex) || !Number.isInteger(lessonIndex)) {
+      return res.status(400).json({
+        success: false,
+        message: 'moduleIndex and lessonIndex must be integers'
+      });
+    }
+
+    if (typeof completed !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'completed must be a boolean'
+      });
+    }
+
+    const enrollment = req.enrollment;
+
+    if (!enrollment.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enrollment is not active'
+      });
+    }
+
+    const course = await Course.findById(enrollment.course).select('modules');
+    if (!course) {
       return res.status(404).json({
         success: false,
-        message: 'Enrollment not found'
+        message: 'Course not found'
       });
     }
 
-    // Check if user owns this enrollment or is admin
-    if (enrollment.student._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const lesson = course.getLesson(moduleIndex, lessonIndex);
+    if (!lesson) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lesson does not exist in this course'
+      });
+    }
+
+    const lockedMessage = completed ? await moduleLockedMessage(enrollment, course, moduleIndex) : null;
+    if (lockedMessage) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: lockedMessage
+      });
+    }
+
+    // Quiz lessons are completed by passing their quiz, as long as the quiz can still be taken
+    const quizRequired = completed && lesson.quiz &&
+      !enrollment.getPassedQuizzes().has(lesson.quiz.toString()) &&
+      await Quiz.exists({ _id: lesson.quiz, isActive: true });
+    if (quizRequired) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pass the quiz to complete this lesson'
       });
     }
 
+    const existingIndex = enrollment.completedLessons.findIndex(
+      l => l.moduleIndex === moduleIndex && l.lessonIndex === lessonIndex
+    );
+
+    if (completed && existingIndex === -1) {
+      enrollment.completedLessons.push({ moduleIndex, lessonIndex, completedAt: new Date() });
+    } else if (!completed && existingIndex !== -1) {
+      enrollment.completedLessons.splice(existingIndex, 1);
+    }
+
+    await syncEnrollmentProgress(enrollment, course);
+
+    const updatedEnrollment = await Enrollment.findById(enrollment._id)
+      .populate('course', 'title instructor difficulty duration category image');
+
     res.status(200).json({
       success: true,
-      data: { enrollment }
+      message: 'Progress updated successfully',
+      data: { enrollment: updatedEnrollment }
     });
   } catch (error) {
-    console.error('Get enrollment error:', error);
+    console.error('Update progress error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -168,67 +324,139 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Update enrollment progress
-// @route   PUT /api/enrollments/:id/progress
+// @desc    Submit a quiz attempt; graded on the server
+// @route   POST /api/enrollments/:id/quizzes/:quizId/attempts
 // @access  Private
-router.put('/:id/progress', protect, async (req, res) => {
+router.post('/:id/quizzes/:quizId/attempts', protect, authorizeResource('enrollment:update', enrollmentAccess), async (req, res) => {
   try {
-    const { progress, completedModuleIndex } = req.body;
+    let enrollment = req.enrollment;
+    const { answers } = req.body;
 
-    if (progress === undefined || progress < 0 || progress > 100) {
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
       return res.status(400).json({
         success: false,
-        message: 'Progress must be between 0 and 100'
+        message: 'Answers must be an object keyed by question id'
       });
     }
 
-    const enrollment = await Enrollment.findById(req.params.id);
+    if (!enrollment.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enrollment is not active'
+      });
+    }
 
-    if (!enrollment) {
+    const quiz = await Quiz.findOne({ _id: req.params.quizId, course: enrollment.course, isActive: true });
+    if (!quiz) {
       return res.status(404).json({
         success: false,
-        message: 'Enrollment not found'
+        message: 'Quiz not found'
       });
     }
 
-    // Check if user owns this enrollment
-    if (enrollment.student.toString() !== req.user._id.toString()) {
+    const course = await Course.findById(enrollment.course).select('modules');
+
+    const lockedMessage = course ? await moduleLockedMessage(enrollment, course, quiz.moduleIndex) : null;
+    if (lockedMessage) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: lockedMessage
       });
     }
 
-    // Update progress
-    enrollment.progress = progress;
-    enrollment.lastAccessedAt = new Date();
+    const previousAttempts = enrollment.quizAttempts.filter(a => a.quiz.toString() === quiz._id.toString());
+    if (quiz.maxAttempts > 0 && previousAttempts.length >= quiz.maxAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum of ${quiz.maxAttempts} attempts reached for this quiz`
+      });
+    }
 
-    // Add completed module if provided
-    if (completedModuleIndex !== undefined) {
-      const existingModule = enrollment.completedModules.find(
-        m => m.moduleIndex === completedModuleIndex
-      );
+    // Record the attempt only if no other attempt at this quiz was recorded since the enrollment
+    // was read, so parallel submissions can neither exceed maxAttempts nor share an attempt number
+    const grade = gradeQuiz(quiz, answers);
+    const attemptsOfQuiz = {
+      $filter: { input: { $ifNull: ['$quizAttempts', []] }, cond: { $eq: ['$$this.quiz', quiz._id] } }
+    };
+    enrollment = await Enrollment.findOneAndUpdate(
+      { _id: enrollment._id, $expr: { $eq: [{ $size: attemptsOfQuiz }, previousAttempts.length] } },
+      {
+        $push: {
+          quizAttempts: {
+            quiz: quiz._id,
+            attemptNumber: previousAttempts.length + 1,
+            ...grade,
+            submittedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another attempt at this quiz was submitted at the same time; please try again'
+      });
+    }
 
-      if (!existingModule) {
-        enrollment.completedModules.push({
-          moduleIndex: completedModuleIndex,
-          completedAt: new Date()
+    // Passing completes any lesson that embeds this quiz
+    if (grade.passed && course) {
+      course.modules.forEach((module, moduleIndex) => {
+        module.lessons.forEach((lesson, lessonIndex) => {
+          const linked = lesson.quiz && lesson.quiz.toString() === quiz._id.toString();
+          const alreadyDone = enrollment.completedLessons.some(
+            l => l.moduleIndex === moduleIndex && l.lessonIndex === lessonIndex
+          );
+          if (linked && !alreadyDone) {
+            enrollment.completedLessons.push({ moduleIndex, lessonIndex, completedAt: new Date() });
+          }
         });
-      }
+      });
     }
 
-    await enrollment.save();
+    if (course) {
+      await syncEnrollmentProgress(enrollment, course);
+    } else {
+      await enrollment.save();
+    }
 
-    const updatedEnrollment = await Enrollment.findById(enrollment._id)
-      .populate('course', 'title instructor difficulty duration category image');
+    const attempt = enrollment.quizAttempts[enrollment.quizAttempts.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: grade.passed ? 'Quiz passed' : 'Quiz not passed',
+      data: {
+        attempt,
+        attemptsRemaining: quiz.maxAttempts > 0 ? quiz.maxAttempts - attempt.attemptNumber : null,
+        progress: enrollment.progress
+      }
+    });
+  } catch (error) {
+    console.error('Submit quiz attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get quiz attempt history for an enrollment
+// @route   GET /api/enrollments/:id/quizzes/:quizId/attempts
+// @access  Private
+router.get('/:id/quizzes/:quizId/attempts', protect, authorizeResource('enrollment:read', enrollmentAccess), async (req, res) => {
+  try {
+    const attempts = req.enrollment.quizAttempts.filter(a => a.quiz.toString() === req.params.quizId);
 
     res.status(200).json({
       success: true,
-      message: 'Progress updated successfully',
-      data: { enrollment: updatedEnrollment }
+      data: {
+        attempts,
+        bestPercentage: attempts.reduce((best, a) => Math.max(best, a.percentage), 0),
+        passed: attempts.some(a => a.passed)
+      }
     });
   } catch (error) {
-    console.error('Update progress error:', error);
+    console.error('Get quiz attempts error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -236,31 +464,64 @@ router.put('/:id/progress', protect, async (req, res) => {
   }
 });
 
-// @desc    Unenroll from course
-// @route   DELETE /api/enrollments/:id
+// @desc    Get the certificate for a completed enrollment
+// @route   GET /api/enrollments/:id/certificate
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.get('/:id/certificate', protect, authorizeResource('enrollment:read', enrollmentAccess), async (req, res) => {
   try {
-    const enrollment = await Enrollment.findById(req.params.id);
+    const enrollment = req.enrollment;
 
-    if (!enrollment) {
-      return res.status(404).json({
+    // Refunded or left enrollments do not earn a certificate
+    if (!enrollment.isActive) {
+      return res.status(400).json({
         success: false,
-        message: 'Enrollment not found'
+        message: 'Certificates are only issued for active enrollments'
       });
     }
 
-    // Check if user owns this enrollment
-    if (enrollment.student.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    if (enrollment.progress !== 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course must be completed before a certificate is issued'
+      });
+    }
+
+    const certificate = await issueCertificate(enrollment);
+
+    res.status(200).json({
+      success: true,
+      data: { certificate }
+    });
+  } catch (error) {
+    console.error('Get certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Unenroll from course
+// @route   DELETE /api/enrollments/:id
+// @access  Private
+router.delete('/:id', protect, authorizeResource('enrollment:delete', enrollmentAccess), async (req, res) => {
+  try {
+    const enrollment = req.enrollment;
+
+    if (!enrollment.isActive) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: 'Enrollment is not active'
       });
     }
 
     // Soft delete - mark as inactive
     enrollment.isActive = false;
     await enrollment.save();
+    await adjustEnrollmentCount(enrollment.course, -1);
+
+    // The freed seat goes to the first student on the waitlist
+    await promoteFromWaitlistSafely(enrollment.course);
 
     res.status(200).json({
       success: true,
@@ -278,7 +539,7 @@ router.delete('/:id', protect, async (req, res) => {
 // @desc    Get enrollment by course and student
 // @route   GET /api/enrollments/course/:courseId
 // @access  Private
-router.get('/course/:courseId', protect, async (req, res) => {
+router.get('/course/:courseId', protect, requirePermission('enrollment:read'), async (req, res) => {
   try {
     const enrollment = await Enrollment.findOne({
       student: req.user._id,
@@ -0,0 +1,65 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// All routes require a role that can author courses
+router.use(protect);
+router.use(requirePermission('course:create'));
+
+// @desc    Get courses owned by the current instructor
+// @route   GET /api/instructor/courses
+// @access  Private/Instructor
+router.get('/courses', async (req, res) => {
+  try {
+    const query = { owner: req.user._id };
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const courses = await Course.find(query).sort({ createdAt: -1 });
+
+    // Enrollment counts for all owned courses in one aggregation
+    const enrollmentStats = await Enrollment.aggregate([
+      { $match: { course: { $in: courses.map(c => c._id) }, isActive: true } },
+      {
+        $group: {
+          _id: '$course',
+          enrolledStudents: { $sum: 1 },
+          completedStudents: { $sum: { $cond: [{ $eq: ['$progress', 100] }, 1, 0] } }
+        }
+      }
+    ]);
+    const statsByCourse = new Map(enrollmentStats.map(s => [s._id.toString(), s]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courses: courses.map(course => {
+          const stats = statsByCourse.get(course._id.toString());
+          return {
+            ...course.toObject(),
+            enrolledStudents: stats ? stats.enrolledStudents : 0,
+            completedStudents: stats ? stats.completedStudents : 0
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get instructor courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
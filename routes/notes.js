@@ -2,13 +2,18 @@ const express = require('express');
 const Note = require('../models/Note');
 const Course = require('../models/Course');
 const { protect } = require('../middleware/auth');
+const { requirePermission, authorizeResource } = require('../middleware/permissions');
+const { paginate, PaginationError } = require('../utils/pagination');
 
 const router = express.Router();
 
+// Notes belong to the student who wrote them
+const noteAccess = { model: Note, ownerField: 'student', as: 'note', notFoundMessage: 'Note not found' };
+
 // @desc    Create a note
 // @route   POST /api/notes
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, requirePermission('note:create'), async (req, res) => {
   try {
     const { title, content, courseId, moduleIndex, tags } = req.body;
 
@@ -21,6 +26,13 @@ router.post('/', protect, async (req, res) => {
       });
     }
 
+    if (moduleIndex !== undefined && moduleIndex !== null && !course.getModule(Number(moduleIndex))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Module does not exist in this course'
+      });
+    }
+
     const note = await Note.create({
       title,
       content,
@@ -51,10 +63,9 @@ router.post('/', protect, async (req, res) => {
 // @desc    Get user's notes
 // @route   GET /api/notes
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requirePermission('note:read'), async (req, res) => {
   try {
-    const { courseId, page = 1, limit = 20, search } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { courseId, search } = req.query;
 
     const query = { student: req.user._id };
     
@@ -66,27 +77,26 @@ router.get('/', protect, async (req, res) => {
       query.$text = { $search: search };
     }
 
-    const notes = await Note.find(query)
-      .populate('course', 'title')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Note.countDocuments(query);
+    const { items: notes, pagination } = await paginate(Note, query, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      build: q => q.populate('course', 'title')
+    });
 
     res.status(200).json({
       success: true,
       data: {
         notes,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Get notes error:', error);
     res.status(500).json({
       success: false,
@@ -98,26 +108,12 @@ router.get('/', protect, async (req, res) => {
 // @desc    Get single note
 // @route   GET /api/notes/:id
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, authorizeResource('note:read', noteAccess), async (req, res) => {
   try {
-    const note = await Note.findById(req.params.id)
-      .populate('course', 'title')
-      .populate('student', 'name');
-
-    if (!note) {
-      return res.status(404).json({
-        success: false,
-        message: 'Note not found'
-      });
-    }
-
-    // Check if user owns this note
-    if (note.student._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
+    const note = await req.note.populate([
+      { path: 'course', select: 'title' },
+      { path: 'student', select: 'name' }
+    ]);
 
     res.status(200).json({
       success: true,
@@ -135,33 +131,30 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Update note
 // @route   PUT /api/notes/:id
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorizeResource('note:update', noteAccess), async (req, res) => {
   try {
     const { title, content, moduleIndex, tags } = req.body;
 
-    const note = await Note.findById(req.params.id);
-
-    if (!note) {
-      return res.status(404).json({
-        success: false,
-        message: 'Note not found'
-      });
-    }
+    const note = req.note;
 
-    // Check if user owns this note
-    if (note.student.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
+    if (moduleIndex !== undefined && moduleIndex !== null) {
+      const course = await Course.findById(note.course).select('modules');
+      if (!course || !course.getModule(Number(moduleIndex))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Module does not exist in this course'
+        });
+      }
     }
 
     const updatedNote = await Note.findByIdAndUpdate(
-      req.params.id,
+      note._id,
       {
         title,
         content,
         moduleIndex,
+        // A module index sent now is zero-based, also for a legacy note
+        ...(moduleIndex !== undefined && { moduleIndexBase: 0 }),
         tags: tags || []
       },
       { new: true, runValidators: true }
@@ -184,26 +177,11 @@ router.put('/:id', protect, async (req, res) => {
 // @desc    Delete note
 // @route   DELETE /api/notes/:id
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorizeResource('note:delete', noteAccess), async (req, res) => {
   try {
-    const note = await Note.findById(req.params.id);
-
-    if (!note) {
-      return res.status(404).json({
-        success: false,
-        message: 'Note not found'
-      });
-    }
-
-    // Check if user owns this note
-    if (note.student.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
+    const note = req.note;
 
-    await Note.findByIdAndDelete(req.params.id);
+    await Note.findByIdAndDelete(note._id);
 
     res.status(200).json({
       success: true,
@@ -221,24 +199,9 @@ router.delete('/:id', protect, async (req, res) => {
 // @desc    Generate AI summary for note
 // @route   POST /api/notes/:id/summary
 // @access  Private
-router.post('/:id/summary', protect, async (req, res) => {
+router.post('/:id/summary', protect, authorizeResource('note:update', noteAccess), async (req, res) => {
   try {
-    const note = await Note.findById(req.params.id);
-
-    if (!note) {
-      return res.status(404).json({
-        success: false,
-        message: 'Note not found'
-      });
-    }
-
-    // Check if user owns this note
-    if (note.student.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
+    const note = req.note;
 
     // Mock AI summary generation (replace with actual AI API call)
     const summary = generateMockSummary(note.content);
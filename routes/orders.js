@@ -0,0 +1,210 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Course = require('../models/Course');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { requirePermission, authorizeResource } = require('../middleware/permissions');
+const { paginate, PaginationError } = require('../utils/pagination');
+const { EnrollmentError } = require('../utils/enrollments');
+const { PaymentError, getProvider } = require('../utils/payments');
+const { CouponError } = require('../utils/coupons');
+const { createOrder, cancelOrder, confirmOrder, refundOrder, handleWebhookEvent } = require('../utils/checkout');
+
+const router = express.Router();
+
+// Orders belong to the paying student
+const orderAccess = {
+  model: Order,
+  ownerField: 'student',
+  as: 'order',
+  notFoundMessage: 'Order not found'
+};
+
+// Checkout failures carry their own status code (402 payment required, 404, ...)
+const sendCheckoutError = (res, error) =>
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...error.details
+  });
+
+const isCheckoutError = (error) =>
+  error instanceof PaymentError || error instanceof EnrollmentError || error instanceof CouponError;
+
+// @desc    Receive payment provider webhooks (signature-verified, idempotent)
+// @route   POST /api/orders/webhooks/:provider
+// @access  Public (signed by the provider)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = getProvider();
+    if (req.params.provider !== provider.name) {
+      return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+    }
+
+    const event = provider.parseWebhook(req.rawBody, req.headers);
+    const { duplicate, order } = await handleWebhookEvent(provider.name, event);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        received: true,
+        duplicate,
+        orderStatus: order ? order.status : null
+      }
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return sendCheckoutError(res, error);
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Create an order for a priced course, optionally with a coupon code
+// @route   POST /api/orders
+// @access  Private
+router.post('/', protect, requirePermission('enrollment:create'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { courseId, couponCode, cohortId } = req.body;
+    if (!courseId) {
+      return res.status(400).json({ success: false, message: 'Course ID is required' });
+    }
+
+    const course = mongoose.isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const { order, created, clientSecret } = await createOrder(req.user._id, course, couponCode, cohortId);
+
+    let message = created ? 'Order created' : 'Existing open order returned';
+    if (order.status === 'paid') message = 'Coupon covers the full price; enrolled in course';
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message,
+      data: { order, clientSecret }
+    });
+  } catch (error) {
+    if (isCheckoutError(error)) {
+      return sendCheckoutError(res, error);
+    }
+    console.error('Create order error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get current user's orders
+// @route   GET /api/orders
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = { student: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const { items: orders, pagination } = await paginate(Order, query, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      build: q => q.populate('course', 'title image price')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Get orders error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get an order
+// @route   GET /api/orders/:id
+// @access  Private/Owner/Admin
+router.get('/:id', protect, authorizeResource('order:read', orderAccess), async (req, res) => {
+  try {
+    const order = await req.order.populate('course', 'title image price');
+
+    res.status(200).json({ success: true, data: { order } });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Confirm payment for an order; the student is enrolled once it succeeds
+// @route   POST /api/orders/:id/confirm
+// @access  Private/Owner
+router.post('/:id/confirm', protect, authorizeResource('order:update', orderAccess), async (req, res) => {
+  try {
+    const order = await confirmOrder(req.order, req.body.paymentDetails || {});
+
+    if (order.status !== 'paid') {
+      return res.status(402).json({
+        success: false,
+        message: order.failureMessage || 'Payment failed',
+        data: { order }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: order.enrollment ? 'Payment successful; enrolled in course' : 'Payment successful',
+      data: { order }
+    });
+  } catch (error) {
+    if (isCheckoutError(error)) {
+      return sendCheckoutError(res, error);
+    }
+    console.error('Confirm order error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Cancel an unpaid order
+// @route   POST /api/orders/:id/cancel
+// @access  Private/Owner
+router.post('/:id/cancel', protect, authorizeResource('order:update', orderAccess), async (req, res) => {
+  try {
+    const order = await cancelOrder(req.order._id);
+
+    if (!order) {
+      return res.status(400).json({ success: false, message: `Order is already ${req.order.status}` });
+    }
+
+    res.status(200).json({ success: true, message: 'Order cancelled', data: { order } });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Refund a paid order and deactivate its enrollment
+// @route   POST /api/orders/:id/refund
+// @access  Private/Admin
+router.post('/:id/refund', protect, authorizeResource('order:refund', orderAccess), async (req, res) => {
+  try {
+    const order = await refundOrder(req.order, { refundedBy: req.user._id, reason: req.body.reason || '' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order refunded; enrollment deactivated',
+      data: { order }
+    });
+  } catch (error) {
+    if (isCheckoutError(error)) {
+      return sendCheckoutError(res, error);
+    }
+    console.error('Refund order error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const PathCertificate = require('../models/PathCertificate');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { loadPermissions, requirePermission } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
+const { paginate, PaginationError } = require('../utils/pagination');
+const { syncPathEnrollment, validateStepCourses } = require('../utils/learningPaths');
+const { issuePathCertificate } = require('../utils/certificates');
+
+const router = express.Router();
+
+const PATH_FIELDS = ['title', 'description', 'category', 'steps', 'sequential', 'isPublished'];
+
+const pickPathFields = (source = {}) =>
+  PATH_FIELDS.reduce((path, field) => {
+    if (source[field] !== undefined) path[field] = source[field];
+    return path;
+  }, {});
+
+// Unpublished paths are only visible to path managers
+const findVisiblePath = async (req, id) => {
+  const path = await LearningPath.findById(id);
+  if (!path) return null;
+  if (path.isPublished) return path;
+  if (req.user && hasPermission(await loadPermissions(req), 'path:manage')) return path;
+  return null;
+};
+
+// @desc    Get published learning paths
+// @route   GET /api/paths
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const query = { isPublished: true };
+    if (req.query.category) query.category = req.query.category;
+
+    const { items: paths, pagination } = await paginate(LearningPath, query, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      defaultLimit: 12,
+      build: q => q.populate('steps.course', 'title difficulty category image duration')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        paths,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get paths error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get the current user's learning path enrollments
+// @route   GET /api/paths/enrolled
+// @access  Private
+router.get('/enrolled', protect, async (req, res) => {
+  try {
+    const pathEnrollments = await PathEnrollment.find({ student: req.user._id, isActive: true })
+      .populate('path', 'title description category steps')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { pathEnrollments }
+    });
+  } catch (error) {
+    console.error('Get enrolled paths error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a learning path
+// @route   GET /api/paths/:id
+// @access  Public (unpublished paths: path managers)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const path = await findVisiblePath(req, req.params.id);
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Learning path not found' });
+    }
+
+    await path.populate('steps.course', 'title description difficulty category image duration status');
+
+    res.status(200).json({
+      success: true,
+      data: { path }
+    });
+  } catch (error) {
+    console.error('Get path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a learning path
+// @route   POST /api/paths
+// @access  Private/Admin
+router.post('/', protect, requirePermission('path:manage'), async (req, res) => {
+  try {
+    const path = new LearningPath({ ...pickPathFields(req.body), createdBy: req.user._id });
+    await path.validate();
+
+    const stepError = await validateStepCourses(path.steps);
+    if (stepError) {
+      return res.status(400).json({ success: false, message: stepError });
+    }
+
+    await path.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Learning path created successfully',
+      data: { path }
+    });
+  } catch (error) {
+    console.error('Create path error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update a learning path
+// @route   PUT /api/paths/:id
+// @access  Private/Admin
+router.put('/:id', protect, requirePermission('path:manage'), async (req, res) => {
+  try {
+    const path = await LearningPath.findById(req.params.id);
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Learning path not found' });
+    }
+
+    path.set(pickPathFields(req.body));
+    await path.validate();
+
+    if (path.isModified('steps')) {
+      const stepError = await validateStepCourses(path.steps);
+      if (stepError) {
+        return res.status(400).json({ success: false, message: stepError });
+      }
+    }
+
+    await path.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Learning path updated successfully',
+      data: { path }
+    });
+  } catch (error) {
+    console.error('Update path error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a learning path (course enrollments and issued certificates are kept)
+// @route   DELETE /api/paths/:id
+// @access  Private/Admin
+router.delete('/:id', protect, requirePermission('path:manage'), async (req, res) => {
+  try {
+    const path = await LearningPath.findById(req.params.id);
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Learning path not found' });
+    }
+
+    await PathEnrollment.updateMany({ path: path._id }, { isActive: false });
+    await path.deleteOne();
+
+    res.status(200).json({ success: true, message: 'Learning path deleted successfully' });
+  } catch (error) {
+    console.error('Delete path error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Enroll in a learning path; unlocked courses are enrolled automatically
+// @route   POST /api/paths/:id/enroll
+// @access  Private
+router.post('/:id/enroll', protect, requirePermission('enrollment:create'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ _id: req.params.id, isPublished: true });
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Learning path not found' });
+    }
+
+    let pathEnrollment = await PathEnrollment.findOne({ student: req.user._id, path: path._id });
+    if (pathEnrollment && pathEnrollment.isActive) {
+      return res.status(400).json({ success: false, message: 'Already enrolled in this learning path' });
+    }
+
+    const reactivated = Boolean(pathEnrollment);
+    if (pathEnrollment) {
+      pathEnrollment.isActive = true;
+      pathEnrollment.enrolledAt = new Date();
+    } else {
+      pathEnrollment = new PathEnrollment({ student: req.user._id, path: path._id });
+    }
+
+    try {
+      await pathEnrollment.save();
+    } catch (error) {
+      // A concurrent request enrolled the student first
+      if (error.code === 11000) {
+        return res.status(400).json({ success: false, message: 'Already enrolled in this learning path' });
+      }
+      throw error;
+    }
+
+    const { steps } = await syncPathEnrollment(pathEnrollment, path);
+
+    res.status(reactivated ? 200 : 201).json({
+      success: true,
+      message: reactivated ? 'Re-enrolled in learning path successfully' : 'Enrolled in learning path successfully',
+      data: { pathEnrollment, steps }
+    });
+  } catch (error) {
+    console.error('Path enrollment error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Leave a learning path (course enrollments are kept)
+// @route   DELETE /api/paths/:id/enroll
+// @access  Private
+router.delete('/:id/enroll', protect, async (req, res) => {
+  try {
+    const pathEnrollment = await PathEnrollment.findOne({ student: req.user._id, path: req.params.id, isActive: true });
+    if (!pathEnrollment) {
+      return res.status(404).json({ success: false, message: 'Not enrolled in this learning path' });
+    }
+
+    pathEnrollment.isActive = false;
+    await pathEnrollment.save();
+
+    res.status(200).json({ success: true, message: 'Left learning path successfully' });
+  } catch (error) {
+    console.error('Leave path error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get path progress with per-course step status (unlocked courses are not enrolled here)
+// @route   GET /api/paths/:id/progress
+// @access  Private
+router.get('/:id/progress', protect, async (req, res) => {
+  try {
+    const pathEnrollment = await PathEnrollment.findOne({ student: req.user._id, path: req.params.id });
+    const path = pathEnrollment && await LearningPath.findById(pathEnrollment.path);
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Not enrolled in this learning path' });
+    }
+
+    const { steps } = await syncPathEnrollment(pathEnrollment, path, { enroll: false });
+
+    res.status(200).json({
+      success: true,
+      data: { pathEnrollment, steps }
+    });
+  } catch (error) {
+    console.error('Get path progress error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Enroll in the path's unlocked courses that you are not enrolled in yet
+// @route   POST /api/paths/:id/sync
+// @access  Private
+router.post('/:id/sync', protect, requirePermission('enrollment:create'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const pathEnrollment = await PathEnrollment.findOne({ student: req.user._id, path: req.params.id, isActive: true });
+    const path = pathEnrollment && await LearningPath.findById(pathEnrollment.path);
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Not enrolled in this learning path' });
+    }
+
+    const { steps } = await syncPathEnrollment(pathEnrollment, path);
+
+    res.status(200).json({
+      success: true,
+      data: { pathEnrollment, steps }
+    });
+  } catch (error) {
+    console.error('Sync path enrollment error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get the certificate for a completed learning path
+// @route   GET /api/paths/:id/certificate
+// @access  Private
+router.get('/:id/certificate', protect, async (req, res) => {
+  try {
+    const pathEnrollment = await PathEnrollment.findOne({ student: req.user._id, path: req.params.id });
+    if (!pathEnrollment) {
+      return res.status(404).json({ success: false, message: 'Not enrolled in this learning path' });
+    }
+
+    // Certificates outlive the path itself
+    const existing = await PathCertificate.findOne({ pathEnrollment: pathEnrollment._id });
+    if (existing) {
+      return res.status(200).json({ success: true, data: { certificate: existing } });
+    }
+
+    if (!pathEnrollment.completionDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'All courses in the path must be completed before a certificate is issued'
+      });
+    }
+
+    const path = await LearningPath.findById(pathEnrollment.path);
+    if (!path) {
+      return res.status(404).json({ success: false, message: 'Learning path not found' });
+    }
+
+    const certificate = await issuePathCertificate(pathEnrollment, path);
+
+    res.status(200).json({
+      success: true,
+      data: { certificate }
+    });
+  } catch (error) {
+    console.error('Get path certificate error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const Quiz = require('../models/Quiz');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Cohort = require('../models/Cohort');
+const { protect } = require('../middleware/auth');
+const { canManageCourse, authorizeResource } = require('../middleware/permissions');
+const { moduleLockedMessage } = require('../utils/enrollments');
+
+const router = express.Router();
+
+// Quizzes are managed by whoever may update their course
+const quizAccess = {
+  model: Quiz,
+  ownerField: 'course.owner',
+  populate: { path: 'course', select: 'owner modules' },
+  as: 'quiz',
+  notFoundMessage: 'Quiz not found'
+};
+
+const QUIZ_FIELDS = ['moduleIndex', 'title', 'description', 'questions', 'passingScore', 'maxAttempts', 'isActive'];
+
+const pickQuizFields = (source = {}) =>
+  QUIZ_FIELDS.reduce((quiz, field) => {
+    if (source[field] !== undefined) quiz[field] = source[field];
+    return quiz;
+  }, {});
+
+// Lessons linked to a quiz students can no longer take could never be completed; unlink them
+const unlinkQuizFromLessons = (quiz) =>
+  Course.updateOne(
+    { _id: quiz.course._id },
+    { $set: { 'modules.$[].lessons.$[lesson].quiz': null } },
+    { arrayFilters: [{ 'lesson.quiz': quiz._id }] }
+  );
+
+// @desc    Create a quiz for a course module
+// @route   POST /api/quizzes
+// @access  Private/Owner/Admin
+router.post('/', protect, async (req, res) => {
+  try {
+    const course = await Course.findById(req.body.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    if (!(await canManageCourse(req, course))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const data = pickQuizFields(req.body);
+    if (!course.getModule(Number(data.moduleIndex))) {
+      return res.status(400).json({ success: false, message: 'Module does not exist in this course' });
+    }
+
+    const quiz = await Quiz.create({ ...data, course: course._id });
+
+    res.status(201).json({ success: true, message: 'Quiz created successfully', data: { quiz } });
+  } catch (error) {
+    console.error('Create quiz error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get quizzes of a course (answer keys only for the course's managers)
+// @route   GET /api/quizzes/course/:courseId
+// @access  Private
+router.get('/course/:courseId', protect, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select('owner modules');
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const manager = await canManageCourse(req, course);
+    let enrollment = null;
+    if (!manager) {
+      enrollment = await Enrollment.findOne({ student: req.user._id, course: course._id, isActive: true }).select('cohort');
+      if (!enrollment) {
+        return res.status(403).json({ success: false, message: 'You must be enrolled in this course to view its quizzes' });
+      }
+    }
+
+    const query = { course: course._id };
+    if (!manager) query.isActive = true;
+    if (req.query.moduleIndex !== undefined) query.moduleIndex = parseInt(req.query.moduleIndex);
+
+    const quizzes = await Quiz.find(query).sort({ moduleIndex: 1, createdAt: 1 });
+    if (manager) {
+      return res.status(200).json({ success: true, data: { quizzes } });
+    }
+
+    // Quizzes of modules still locked by the student's cohort schedule are listed without questions
+    const cohort = enrollment.cohort ? await Cohort.findById(enrollment.cohort) : null;
+    res.status(200).json({
+      success: true,
+      data: {
+        quizzes: quizzes.map(quiz => {
+          const data = quiz.toStudentObject();
+          if (!cohort || cohort.isModuleUnlocked(course, quiz.moduleIndex)) return data;
+          const { questions, ...locked } = data;
+          return { ...locked, locked: true, unlocksAt: cohort.moduleUnlocksAt(course, quiz.moduleIndex) };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get course quizzes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a quiz (answer keys only for the course's managers)
+// @route   GET /api/quizzes/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id).populate('course', 'owner');
+    if (!quiz || !quiz.course) {
+      return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+
+    if (await canManageCourse(req, quiz.course)) {
+      return res.status(200).json({ success: true, data: { quiz } });
+    }
+
+    const enrollment = await Enrollment.findOne({ student: req.user._id, course: quiz.course._id, isActive: true }).select('cohort');
+    if (!enrollment || !quiz.isActive) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    // Cohort students see a quiz once its module has unlocked
+    const course = enrollment.cohort ? await Course.findById(quiz.course._id).select('modules') : null;
+    const lockedMessage = course ? await moduleLockedMessage(enrollment, course, quiz.moduleIndex) : null;
+    if (lockedMessage) {
+      return res.status(403).json({ success: false, message: lockedMessage });
+    }
+
+    res.status(200).json({ success: true, data: { quiz: quiz.toStudentObject() } });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update a quiz
+// @route   PUT /api/quizzes/:id
+// @access  Private/Owner/Admin
+router.put('/:id', protect, authorizeResource('course:update', quizAccess), async (req, res) => {
+  try {
+    const quiz = req.quiz;
+    const data = pickQuizFields(req.body);
+
+    if (data.moduleIndex !== undefined && !quiz.course.getModule(Number(data.moduleIndex))) {
+      return res.status(400).json({ success: false, message: 'Module does not exist in this course' });
+    }
+
+    quiz.set(data);
+    if (quiz.isActive && !quiz.course.getModule(quiz.moduleIndex)) {
+      return res.status(400).json({ success: false, message: 'Choose a module for this quiz before activating it' });
+    }
+    const deactivated = quiz.isModified('isActive') && !quiz.isActive;
+    await quiz.save();
+    if (deactivated) await unlinkQuizFromLessons(quiz);
+
+    res.status(200).json({ success: true, message: 'Quiz updated successfully', data: { quiz } });
+  } catch (error) {
+    console.error('Update quiz error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a quiz (deactivated instead when students have attempted it)
+// @route   DELETE /api/quizzes/:id
+// @access  Private/Owner/Admin
+router.delete('/:id', protect, authorizeResource('course:update', quizAccess), async (req, res) => {
+  try {
+    const quiz = req.quiz;
+
+    const attempted = await Enrollment.exists({ 'quizAttempts.quiz': quiz._id });
+    if (attempted) {
+      quiz.isActive = false;
+      await quiz.save();
+      await unlinkQuizFromLessons(quiz);
+      return res.status(200).json({ success: true, message: 'Quiz deactivated successfully (has attempts)' });
+    }
+
+    await Quiz.findByIdAndDelete(quiz._id);
+    await unlinkQuizFromLessons(quiz);
+    res.status(200).json({ success: true, message: 'Quiz deleted successfully' });
+  } catch (error) {
+    console.error('Delete quiz error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
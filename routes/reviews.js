@@ -2,15 +2,21 @@ const express = require('express');
 const Review = require('../models/Review');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
-const { protect, authorize } = require('../middleware/auth');
+const { protect } = require('../middleware/auth');
+const { requirePermission, authorizeResource } = require('../middleware/permissions');
 const { validateReviewCreation } = require('../middleware/validation');
+const { syncReviewStats } = require('../utils/courseStats');
+const { paginate, PaginationError } = require('../utils/pagination');
 
 const router = express.Router();
 
+// Reviews belong to the student who wrote them
+const reviewAccess = { model: Review, ownerField: 'student', as: 'review', notFoundMessage: 'Review not found' };
+
 // @desc    Create a review
 // @route   POST /api/reviews
 // @access  Private
-router.post('/', protect, validateReviewCreation, async (req, res) => {
+router.post('/', protect, requirePermission('review:create'), validateReviewCreation, async (req, res) => {
   try {
     const { courseId, rating, comment } = req.body;
 
@@ -57,6 +63,7 @@ router.post('/', protect, validateReviewCreation, async (req, res) => {
       rating,
       comment
     });
+    await syncReviewStats(review.course, null, review);
 
     const populatedReview = await Review.findById(review._id)
       .populate('student', 'name')
@@ -81,10 +88,6 @@ router.post('/', protect, validateReviewCreation, async (req, res) => {
 // @access  Public
 router.get('/course/:courseId', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     const query = { 
       course: req.params.courseId,
       isApproved: true
@@ -119,13 +122,12 @@ router.get('/course/:courseId', async (req, res) => {
       }
     }
 
-    const reviews = await Review.find(query)
-      .populate('student', 'name')
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Review.countDocuments(query);
+    const { items: reviews, pagination } = await paginate(Review, query, {
+      sort: sortOption,
+      params: req.query,
+      defaultLimit: 10,
+      build: q => q.populate('student', 'name')
+    });
 
     // Get review statistics
     const stats = await Review.getCourseReviewStats(req.params.courseId);
@@ -135,15 +137,16 @@ router.get('/course/:courseId', async (req, res) => {
       data: {
         reviews,
         stats,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Get course reviews error:', error);
     res.status(500).json({
       success: false,
@@ -157,31 +160,27 @@ router.get('/course/:courseId', async (req, res) => {
 // @access  Private
 router.get('/my-reviews', protect, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const reviews = await Review.find({ student: req.user._id })
-      .populate('course', 'title instructor image')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Review.countDocuments({ student: req.user._id });
+    const { items: reviews, pagination } = await paginate(Review, { student: req.user._id }, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      defaultLimit: 10,
+      build: q => q.populate('course', 'title instructor image')
+    });
 
     res.status(200).json({
       success: true,
       data: {
         reviews,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Get user reviews error:', error);
     res.status(500).json({
       success: false,
@@ -193,31 +192,18 @@ router.get('/my-reviews', protect, async (req, res) => {
 // @desc    Update a review
 // @route   PUT /api/reviews/:id
 // @access  Private
-router.put('/:id', protect, validateReviewCreation, async (req, res) => {
+router.put('/:id', protect, authorizeResource('review:update', reviewAccess), validateReviewCreation, async (req, res) => {
   try {
     const { rating, comment } = req.body;
 
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
-
-    // Check if user owns this review
-    if (review.student.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
+    const review = req.review;
+    const before = { rating: review.rating, isApproved: review.isApproved };
 
     // Update review
     review.rating = rating;
     review.comment = comment;
     await review.save();
+    await syncReviewStats(review.course, before, review);
 
     const updatedReview = await Review.findById(review._id)
       .populate('student', 'name')
@@ -240,27 +226,14 @@ router.put('/:id', protect, validateReviewCreation, async (req, res) => {
 // @desc    Delete a review
 // @route   DELETE /api/reviews/:id
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorizeResource('review:delete', reviewAccess), async (req, res) => {
   try {
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
+    // Sync from the deleted document: a concurrent delete of the same review finds nothing
+    const review = await Review.findByIdAndDelete(req.review._id);
+    if (review) {
+      await syncReviewStats(review.course, review, null);
     }
 
-    // Check if user owns this review or is admin
-    if (review.student.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
-    await Review.findByIdAndDelete(req.params.id);
-
     res.status(200).json({
       success: true,
       message: 'Review deleted successfully'
@@ -277,7 +250,7 @@ router.delete('/:id', protect, async (req, res) => {
 // @desc    Vote review as helpful
 // @route   POST /api/reviews/:id/helpful
 // @access  Private
-router.post('/:id/helpful', protect, async (req, res) => {
+router.post('/:id/helpful', protect, requirePermission('review:vote'), async (req, res) => {
   try {
     const review = await Review.findById(req.params.id);
 
@@ -309,7 +282,7 @@ router.post('/:id/helpful', protect, async (req, res) => {
 // @desc    Report a review
 // @route   POST /api/reviews/:id/report
 // @access  Private
-router.post('/:id/report', protect, async (req, res) => {
+router.post('/:id/report', protect, requirePermission('review:report'), async (req, res) => {
   try {
     const { reason } = req.body;
 
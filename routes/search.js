@@ -0,0 +1,56 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { search, SEARCH_TYPES } = require('../utils/search');
+
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 20;
+
+// @desc    Search courses, your notes, public notes and reviews
+// @route   GET /api/search?q=
+// @access  Public (own notes only when signed in)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) is required'
+      });
+    }
+
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').filter(type => SEARCH_TYPES.includes(type))
+      : SEARCH_TYPES;
+    const requested = parseInt(req.query.limit);
+    const limit = Math.min(Number.isInteger(requested) && requested > 0 ? requested : 5, MAX_LIMIT);
+
+    const { terms, groups } = await search(q, { user: req.user || null, types, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: q,
+        terms,
+        results: groups
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,39 +1,9 @@
 const express = require('express');
-const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const path = require('path');
 const { protect } = require('../middleware/auth');
+const { upload, describeFile, handleUploadError, MAX_FILES } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/');
-  },
-  filename: function (req, file, cb) {
-    const uniqueName = uuidv4() + path.extname(file.originalname);
-    cb(null, uniqueName);
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  // Allow images and PDFs
-  if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
-    cb(null, true);
-  } else {
-    cb(new Error('Only images and PDF files are allowed'), false);
-  }
-};
-
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  }
-});
-
 // @desc    Upload file
 // @route   POST /api/upload
 // @access  Private
@@ -46,18 +16,10 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
       });
     }
 
-    const fileUrl = `/uploads/${req.file.filename}`;
-
     res.status(200).json({
       success: true,
       message: 'File uploaded successfully',
-      data: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        url: fileUrl
-      }
+      data: describeFile(req.file)
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -71,7 +33,7 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
 // @desc    Upload multiple files
 // @route   POST /api/upload/multiple
 // @access  Private
-router.post('/multiple', protect, upload.array('files', 5), async (req, res) => {
+router.post('/multiple', protect, upload.array('files', MAX_FILES), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -80,13 +42,7 @@ router.post('/multiple', protect, upload.array('files', 5), async (req, res) =>
       });
     }
 
-    const uploadedFiles = req.files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      mimetype: file.mimetype,
-      size: file.size,
-      url: `/uploads/${file.filename}`
-    }));
+    const uploadedFiles = req.files.map(describeFile);
 
     res.status(200).json({
       success: true,
@@ -102,31 +58,6 @@ router.post('/multiple', protect, upload.array('files', 5), async (req, res) =>
   }
 });
 
-// Error handling middleware for multer
-router.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large. Maximum size is 10MB.'
-      });
-    }
-    if (error.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        success: false,
-        message: 'Too many files. Maximum is 5 files.'
-      });
-    }
-  }
-  
-  if (error.message === 'Only images and PDF files are allowed') {
-    return res.status(400).json({
-      success: false,
-      message: error.message
-    });
-  }
-
-  next(error);
-});
+router.use(handleUploadError);
 
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,66 @@
 const express = require('express');
 const User = require('../models/User');
 const Enrollment = require('../models/Enrollment');
+const PrerequisiteOverride = require('../models/PrerequisiteOverride');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const { validateProfileUpdate } = require('../middleware/validation');
 const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { roleExists } = require('../utils/permissions');
+const { revokeUserSessions } = require('../utils/sessions');
+const { adjustEnrollmentCount } = require('../utils/courseStats');
+const { paginate } = require('../utils/pagination');
+const { promoteFromWaitlistSafely } = require('../utils/waitlist');
 
 const router = express.Router();
 
-// @desc    Get user profile (public access)
+// Profile fields a user (or an admin on their behalf) may change.
+// role, isActive, email and the token fields are deliberately absent: they are only
+// changed through dedicated endpoints, never by mass assignment.
+const PROFILE_FIELDS = [
+  'fatherName',
+  'motherName',
+  'education',
+  'university',
+  'degree',
+  'major',
+  'yearOfCompletion',
+  'contactNo',
+  'skills',
+  'areasOfInterest',
+  'avatar',
+  'resumeUrl'
+];
+
+// Build a $set update from the whitelisted fields of a request body
+const buildProfileUpdate = (body = {}) => {
+  const update = {};
+
+  if (typeof body.name === 'string') update.name = body.name;
+
+  if (body.profile && typeof body.profile === 'object') {
+    PROFILE_FIELDS.forEach(field => {
+      if (body.profile[field] !== undefined) {
+        update[`profile.${field}`] = body.profile[field];
+      }
+    });
+  }
+
+  return update;
+};
+
+// @desc    Get current user's profile
 // @route   GET /api/users/profile
-router.get('/profile', async (req, res) => {
+// @access  Private
+router.get('/profile', protect, async (req, res) => {
   try {
-    const user = await User.findOne() // Default: fetch any user
+    const user = await User.findById(req.user._id)
       .populate('enrolledCoursesCount')
       .populate('completedCoursesCount');
 
     res.status(200).json({
       success: true,
-      user: user ? user.toSafeObject() : null
+      user: user.toSafeObject()
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -25,25 +69,23 @@ router.get('/profile', async (req, res) => {
       message: 'Server error'
     });
   }
-});// ✅ Auth middleware must populate req.user.id
-router.put('/profile', protect, validateProfileUpdate, async (req, res) => {
+});
 
+// @desc    Update current user's profile
+// @route   PUT /api/users/profile
+// @access  Private
+router.put('/profile', protect, validateProfileUpdate, async (req, res) => {
   try {
-    const updateData = {};
-
-    if (req.body.name) updateData.name = req.body.name;
-    if (req.body.profile) updateData.profile = { ...req.body.profile };
-
     const user = await User.findByIdAndUpdate(
-      req.user.id, // ✅ Securely update only the logged-in user's profile
-      updateData,
+      req.user._id,
+      { $set: buildProfileUpdate(req.body) },
       { new: true, runValidators: true }
     );
 
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
-      user: user?.toSafeObject()
+      user: user.toSafeObject()
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -54,15 +96,12 @@ router.put('/profile', protect, validateProfileUpdate, async (req, res) => {
   }
 });
 
-
-// @desc    Get dashboard data (public access)
+// @desc    Get current user's dashboard data
 // @route   GET /api/users/dashboard
-router.get('/dashboard', async (req, res) => {
+// @access  Private
+router.get('/dashboard', protect, async (req, res) => {
   try {
-    const user = await User.findOne();
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-
-    const enrollments = await Enrollment.find({ student: user._id, isActive: true })
+    const enrollments = await Enrollment.find({ student: req.user._id, isActive: true })
       .populate('course', 'title instructor difficulty duration category image')
       .sort({ lastAccessedAt: -1 });
 
@@ -72,12 +111,15 @@ router.get('/dashboard', async (req, res) => {
       ? Math.round(enrollments.reduce((sum, e) => sum + e.progress, 0) / enrollments.length)
       : 0;
 
-    const recentActivity = enrollments.slice(0, 5).map(e => ({
-      type: 'course_access',
-      courseTitle: e.course.title,
-      progress: e.progress,
-      lastAccessed: e.lastAccessedAt
-    }));
+    const recentActivity = enrollments
+      .filter(e => e.course)
+      .slice(0, 5)
+      .map(e => ({
+        type: 'course_access',
+        courseTitle: e.course.title,
+        progress: e.progress,
+        lastAccessed: e.lastAccessedAt
+      }));
 
     res.status(200).json({
       success: true,
@@ -101,45 +143,40 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
-// @desc    Get all users (public)
+// @desc    Get all users
 // @route   GET /api/users
-router.get('/', async (req, res) => {
+// @access  Private/Admin
+router.get('/', protect, requirePermission('user:manage'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     const query = {};
     if (req.query.role) query.role = req.query.role;
     if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
 
     if (req.query.search) {
+      // Escape regex metacharacters so the search is treated as plain text
+      const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       query.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { email: { $regex: req.query.search, $options: 'i' } }
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
       ];
     }
 
-    const users = await User.find(query)
-      .select('-password')
-      .populate('enrolledCoursesCount')
-      .populate('completedCoursesCount')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await User.countDocuments(query);
+    const { items: users, pagination } = await paginate(User, query, {
+      sort: { createdAt: -1 },
+      params: req.query,
+      mode: 'page',
+      defaultLimit: 10,
+      build: q => q
+        .select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires')
+        .populate('enrolledCoursesCount')
+        .populate('completedCoursesCount')
+    });
 
     res.status(200).json({
       success: true,
       data: {
         users,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -151,12 +188,12 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @desc    Get user by ID (public)
+// @desc    Get user by ID
 // @route   GET /api/users/:id
-router.get('/:id', async (req, res) => {
+// @access  Private/Admin
+router.get('/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password')
       .populate('enrolledCoursesCount')
       .populate('completedCoursesCount');
 
@@ -184,16 +221,16 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// @desc    Update user status (public)// @route   PUT /api/users/:id
-router.put('/:id', async (req, res) => {
+// @desc    Update another user's name and profile
+// @route   PUT /api/users/:id
+// @access  Private/Admin
+router.put('/:id', protect, requirePermission('user:manage'), validateProfileUpdate, async (req, res) => {
   try {
-    const updatedFields = req.body;
-
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      updatedFields,
+      { $set: buildProfileUpdate(req.body) },
       { new: true, runValidators: true }
-    ).select('-password');
+    );
 
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
@@ -202,17 +239,87 @@ router.put('/:id', async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
-      user
+      user: user.toSafeObject()
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Assign a built-in or custom role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+router.put('/:id/role', protect, requirePermission('role:assign'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (typeof role !== 'string' || !(await roleExists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role does not exist'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true, runValidators: true });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      user: user.toSafeObject()
     });
   } catch (error) {
-    console.error('Full user update error:', error);
+    console.error('Update user role error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// @desc    Delete user (public)
+// @desc    Activate or deactivate a user
+// @route   PUT /api/users/:id/status
+// @access  Private/Admin
+router.put('/:id/status', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isActive must be a boolean' });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own status' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!isActive) {
+      await revokeUserSessions(user._id, 'revoked_by_admin');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      user: user.toSafeObject()
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete user
 // @route   DELETE /api/users/:id
-router.delete('/:id', async (req, res) => {
+// @access  Private/Admin
+router.delete('/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
@@ -221,8 +328,16 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cannot delete admin users' });
     }
 
+    await revokeUserSessions(user._id, 'revoked_by_admin');
+    const activeEnrollments = await Enrollment.find({ student: user._id, isActive: true }).select('course');
     await Enrollment.deleteMany({ student: user._id });
+    await PrerequisiteOverride.deleteMany({ student: user._id });
+    await WaitlistEntry.deleteMany({ student: user._id });
+    await Promise.all(activeEnrollments.map(e => adjustEnrollmentCount(e.course, -1)));
     await User.findByIdAndDelete(req.params.id);
+    for (const e of activeEnrollments) {
+      await promoteFromWaitlistSafely(e.course);
+    }
 
     res.status(200).json({ success: true, message: 'User deleted successfully' });
   } catch (error) {
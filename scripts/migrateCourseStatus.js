@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Course = require('../models/Course');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI);
+
+// Courses created before the publishing workflow only have isActive. Active ones become
+// published and inactive ones archived; courses that already have a status are left alone.
+const migrateCourseStatus = async () => {
+  try {
+    const published = await Course.updateMany(
+      { status: { $exists: false }, isActive: { $ne: false } },
+      [{ $set: { status: 'published', isActive: true, publishedAt: '$createdAt' } }]
+    );
+    const archived = await Course.updateMany(
+      { status: { $exists: false }, isActive: false },
+      { $set: { status: 'archived' } }
+    );
+
+    console.log(`✅ Marked ${published.modifiedCount} courses published and ${archived.modifiedCount} archived`);
+  } catch (error) {
+    console.error('❌ Error migrating course status:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrateCourseStatus();
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Note = require('../models/Note');
+
+// Notes used to store a 1-based moduleIndex; it is now the zero-based position in
+// Course.modules like everywhere else. New notes are saved with moduleIndexBase: 0; this shifts
+// every note without it down by one and marks it. Editing a course's content migrates that
+// course's notes on the spot, so running the script again only touches notes still left over.
+const migrateNoteModuleIndex = async () => {
+  // Connect to MongoDB
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const result = await Note.migrateModuleIndexBase();
+
+    console.log(`✅ Shifted the module index of ${result.modifiedCount} notes to zero-based`);
+  } catch (error) {
+    console.error('❌ Error migrating note module indices:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrateNoteModuleIndex();
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { recomputeCourseStats } = require('../utils/courseStats');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI);
+
+// Recompute Course.averageRating, reviewCount, ratingTotal and enrollmentCount from the
+// reviews and enrollments collections. Safe to run at any time, e.g. from cron.
+const repairCourseStats = async () => {
+  try {
+    const updated = await recomputeCourseStats();
+    console.log(`✅ Recomputed stats for ${updated} courses`);
+  } catch (error) {
+    console.error('❌ Error repairing course stats:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+repairCourseStats();
@@ -6,6 +6,7 @@ const User = require('../models/User');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
 const Review = require('../models/Review');
+const { recomputeCourseStats } = require('../utils/courseStats');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
@@ -13,6 +14,23 @@ mongoose.connect(process.env.MONGODB_URI, {
   useUnifiedTopology: true,
 });
 
+// Turn a list of module titles into modules with a video and a reading lesson each
+const buildModules = (titles) =>
+  titles.map((title) => ({
+    title,
+    lessons: [
+      { title: `${title} - Lecture`, type: 'video', estimatedMinutes: 30 },
+      { title: `${title} - Reading`, type: 'reading', estimatedMinutes: 15 }
+    ]
+  }));
+
+// Mark every lesson of the given modules as completed at the module's completion date
+const completeModules = (entries) =>
+  entries.flatMap(({ moduleIndex, completedAt }) => [
+    { moduleIndex, lessonIndex: 0, completedAt },
+    { moduleIndex, lessonIndex: 1, completedAt }
+  ]);
+
 const seedData = async () => {
   try {
     console.log('🌱 Starting database seeding...');
@@ -101,6 +119,19 @@ const seedData = async () => {
 
     console.log('👥 Created sample students');
 
+    // Create sample instructor
+    const instructorPassword = await bcrypt.hash('instructor123', 12);
+    const instructor = await User.create({
+      name: 'Sarah Johnson',
+      email: 'sarah.johnson@learnifyhub.com',
+      password: instructorPassword,
+      role: 'instructor',
+      isActive: true,
+      emailVerified: true
+    });
+
+    console.log('🧑‍🏫 Created sample instructor');
+
     // Create sample courses
     const courses = await Course.create([
       {
@@ -110,7 +141,7 @@ const seedData = async () => {
         difficulty: 'Intermediate',
         duration: '8 weeks',
         category: 'Web Development',
-        syllabus: [
+        modules: buildModules([
           'React Fundamentals and JSX',
           'Components and Props',
           'State Management with Hooks',
@@ -118,7 +149,7 @@ const seedData = async () => {
           'Performance Optimization',
           'Testing React Applications',
           'Deployment and Production'
-        ],
+        ]),
         tags: ['React', 'JavaScript', 'Frontend', 'Web Development'],
         prerequisites: ['Basic JavaScript', 'HTML/CSS'],
         learningOutcomes: [
@@ -127,6 +158,8 @@ const seedData = async () => {
           'Implement state management solutions',
           'Optimize application performance'
         ],
+        status: 'published',
+        owner: instructor._id,
         createdBy: admin._id
       },
       {
@@ -136,7 +169,7 @@ const seedData = async () => {
         difficulty: 'Beginner',
         duration: '10 weeks',
         category: 'Machine Learning',
-        syllabus: [
+        modules: buildModules([
           'Introduction to Machine Learning',
           'Data Preprocessing and Cleaning',
           'Supervised Learning Algorithms',
@@ -144,7 +177,7 @@ const seedData = async () => {
           'Model Evaluation and Validation',
           'Feature Engineering',
           'Real-world ML Projects'
-        ],
+        ]),
         tags: ['Machine Learning', 'Python', 'Data Science', 'AI'],
         prerequisites: ['Basic Python', 'Statistics'],
         learningOutcomes: [
@@ -153,6 +186,8 @@ const seedData = async () => {
           'Evaluate and improve model performance',
           'Apply ML to real-world problems'
         ],
+        status: 'published',
+        owner: admin._id,
         createdBy: admin._id
       },
       {
@@ -162,14 +197,14 @@ const seedData = async () => {
         difficulty: 'Advanced',
         duration: '6 weeks',
         category: 'Programming',
-        syllabus: [
+        modules: buildModules([
           'Closures and Lexical Scope',
           'Prototypes and Inheritance',
           'Asynchronous Programming',
           'Design Patterns in JavaScript',
           'Memory Management',
           'Performance Optimization'
-        ],
+        ]),
         tags: ['JavaScript', 'Advanced', 'Programming', 'ES6+'],
         prerequisites: ['Intermediate JavaScript', 'DOM Manipulation'],
         learningOutcomes: [
@@ -178,6 +213,8 @@ const seedData = async () => {
           'Understand JavaScript internals',
           'Implement complex programming patterns'
         ],
+        status: 'published',
+        owner: admin._id,
         createdBy: admin._id
       },
       {
@@ -187,7 +224,7 @@ const seedData = async () => {
         difficulty: 'Intermediate',
         duration: '12 weeks',
         category: 'Data Science',
-        syllabus: [
+        modules: buildModules([
           'Python Basics for Data Science',
           'NumPy for Numerical Computing',
           'Pandas for Data Manipulation',
@@ -195,7 +232,7 @@ const seedData = async () => {
           'Statistical Analysis',
           'Introduction to Scikit-learn',
           'Data Science Projects'
-        ],
+        ]),
         tags: ['Python', 'Data Science', 'Pandas', 'NumPy'],
         prerequisites: ['Basic Python'],
         learningOutcomes: [
@@ -204,6 +241,8 @@ const seedData = async () => {
           'Perform statistical analysis',
           'Build data science pipelines'
         ],
+        status: 'published',
+        owner: admin._id,
         createdBy: admin._id
       },
       {
@@ -213,7 +252,7 @@ const seedData = async () => {
         difficulty: 'Intermediate',
         duration: '16 weeks',
         category: 'Web Development',
-        syllabus: [
+        modules: buildModules([
           'Frontend Development with React',
           'Backend Development with Node.js',
           'Database Design with MongoDB',
@@ -221,7 +260,7 @@ const seedData = async () => {
           'Authentication and Authorization',
           'Deployment and DevOps',
           'Full Stack Project'
-        ],
+        ]),
         tags: ['Full Stack', 'React', 'Node.js', 'MongoDB'],
         prerequisites: ['HTML/CSS', 'JavaScript'],
         learningOutcomes: [
@@ -230,6 +269,8 @@ const seedData = async () => {
           'Implement user authentication',
           'Deploy applications to production'
         ],
+        status: 'published',
+        owner: admin._id,
         createdBy: admin._id
       },
       {
@@ -239,14 +280,14 @@ const seedData = async () => {
         difficulty: 'Intermediate',
         duration: '10 weeks',
         category: 'Mobile Development',
-        syllabus: [
+        modules: buildModules([
           'React Native Fundamentals',
           'Navigation and Routing',
           'State Management in Mobile Apps',
           'Native Device Features',
           'Performance Optimization',
           'App Store Deployment'
-        ],
+        ]),
         tags: ['React Native', 'Mobile', 'iOS', 'Android'],
         prerequisites: ['React', 'JavaScript'],
         learningOutcomes: [
@@ -255,6 +296,8 @@ const seedData = async () => {
           'Integrate native device features',
           'Deploy apps to app stores'
         ],
+        status: 'published',
+        owner: admin._id,
         createdBy: admin._id
       }
     ]);
@@ -266,61 +309,65 @@ const seedData = async () => {
       {
         student: students[0]._id,
         course: courses[0]._id,
-        progress: 65,
-        completedModules: [
+        completedLessons: completeModules([
           { moduleIndex: 0, completedAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 1, completedAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 2, completedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) }
-        ],
+        ]),
         startDate: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000)
       },
       {
         student: students[0]._id,
         course: courses[1]._id,
-        progress: 100,
-        completedModules: [
+        completedLessons: completeModules([
           { moduleIndex: 0, completedAt: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 1, completedAt: new Date(Date.now() - 18 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 2, completedAt: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 3, completedAt: new Date(Date.now() - 12 * 24 * 60 * 60 * 1000) },
-          { moduleIndex: 4, completedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) }
-        ],
+          { moduleIndex: 4, completedAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) },
+          { moduleIndex: 5, completedAt: new Date(Date.now() - 9 * 24 * 60 * 60 * 1000) },
+          { moduleIndex: 6, completedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) }
+        ]),
         startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
         completionDate: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000)
       },
       {
         student: students[1]._id,
         course: courses[1]._id,
-        progress: 80,
-        completedModules: [
+        completedLessons: completeModules([
           { moduleIndex: 0, completedAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 1, completedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 2, completedAt: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 3, completedAt: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000) }
-        ],
+        ]),
         startDate: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000)
       },
       {
         student: students[1]._id,
         course: courses[3]._id,
-        progress: 45,
-        completedModules: [
+        completedLessons: completeModules([
           { moduleIndex: 0, completedAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000) },
           { moduleIndex: 1, completedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) }
-        ],
+        ]),
         startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
       },
       {
         student: students[2]._id,
         course: courses[4]._id,
-        progress: 30,
-        completedModules: [
+        completedLessons: completeModules([
           { moduleIndex: 0, completedAt: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000) }
-        ],
+        ]),
         startDate: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000)
       }
     ]);
 
+    // Derive progress and completed modules from the seeded lessons
+    for (const enrollment of enrollments) {
+      const course = courses.find(c => c._id.equals(enrollment.course));
+      enrollment.recalculateProgress(course);
+      await enrollment.save();
+    }
+
     console.log('📝 Created sample enrollments');
 
     // Create sample reviews
@@ -357,6 +404,9 @@ const seedData = async () => {
 
     console.log('⭐ Created sample reviews');
 
+    // Fill in the denormalized rating and enrollment counters
+    await recomputeCourseStats();
+
     console.log('✅ Database seeding completed successfully!');
     console.log('\n📊 Summary:');
     console.log(`- Admin users: 1`);
@@ -366,6 +416,7 @@ const seedData = async () => {
     console.log(`- Reviews: ${reviews.length}`);
     console.log('\n🔐 Login credentials:');
     console.log('Admin: admin@learnifyhub.com / admin123');
+    console.log('Instructor: sarah.johnson@learnifyhub.com / instructor123');
     console.log('Student: john.doe@example.com / student123');
     console.log('Student: alice.smith@example.com / student123');
     console.log('Student: bob.johnson@example.com / student123');
@@ -17,6 +17,20 @@ const reviewRoutes = require('./routes/reviews');
 const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
 const noteRoutes = require('./routes/notes');
+const certificateRoutes = require('./routes/certificates');
+const instructorRoutes = require('./routes/instructor');
+const quizRoutes = require('./routes/quizzes');
+const assignmentRoutes = require('./routes/assignments');
+const searchRoutes = require('./routes/search');
+const pathRoutes = require('./routes/paths');
+const orderRoutes = require('./routes/orders');
+const cohortRoutes = require('./routes/cohorts');
+
+// Import models
+const Course = require('./models/Course');
+
+const { expireStaleOrders } = require('./utils/checkout');
+const { expireSeatOffers } = require('./utils/waitlist');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -61,7 +75,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body: payment webhooks are signed over the exact bytes received
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving
@@ -81,6 +101,21 @@ mongoose.connect(process.env.MONGO_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB Atlas');
+
+  // Publish scheduled courses once their publish date passes
+  setInterval(() => {
+    Course.releaseScheduled().catch(error => console.error('Scheduled course release error:', error));
+  }, 60 * 1000).unref();
+
+  // Cancel abandoned checkouts, giving back their coupon reservations
+  setInterval(() => {
+    expireStaleOrders().catch(error => console.error('Expire stale orders error:', error));
+  }, 15 * 60 * 1000).unref();
+
+  // Pass seats that waitlisted students did not pay for in time to the next in line
+  setInterval(() => {
+    expireSeatOffers().catch(error => console.error('Expire seat offers error:', error));
+  }, 15 * 60 * 1000).unref();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -112,6 +147,14 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/notes', noteRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/instructor', instructorRoutes);
+app.use('/api/quizzes', quizRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/paths', pathRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cohorts', cohortRoutes);
 
 // Serve frontend in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,70 @@
+// utils/certificatePdf.js
+// Renders a single-page landscape certificate as a minimal PDF document.
+// Only the built-in Helvetica fonts are used, so no font embedding is needed.
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+
+// PDF string literals only support a limited charset with the standard fonts
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+// Approximate Helvetica width (0.5em per glyph) to center a line of text
+const centeredLine = (text, size, y, font = 'F1') => {
+  const width = String(text).length * size * 0.5;
+  const x = Math.max(20, (PAGE_WIDTH - width) / 2);
+  return `BT /${font} ${size} Tf ${x.toFixed(2)} ${y} Td (${escapeText(text)}) Tj ET`;
+};
+
+// `subject` names what was completed, e.g. "course" or "learning path"
+const buildContent = ({ studentName, courseTitle, issuedAt, verificationCode, verifyUrl, subject = 'course' }) => {
+  const issuedOn = new Date(issuedAt).toISOString().slice(0, 10);
+
+  return [
+    '4 w 30 30 782 535 re S',
+    '1 w 40 40 762 515 re S',
+    centeredLine('Certificate of Completion', 36, 470, 'F2'),
+    centeredLine('This is to certify that', 16, 410),
+    centeredLine(studentName, 30, 360, 'F2'),
+    centeredLine(`has successfully completed the ${subject}`, 16, 310),
+    centeredLine(courseTitle, 24, 265, 'F2'),
+    centeredLine(`Issued on ${issuedOn}`, 14, 200),
+    centeredLine(`Verification code: ${verificationCode}`, 12, 110),
+    centeredLine(`Verify at ${verifyUrl}`, 10, 90),
+  ].join('\n');
+};
+
+// Build the PDF bytes for a certificate
+const generateCertificatePdf = (details) => {
+  const content = buildContent(details);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = generateCertificatePdf;
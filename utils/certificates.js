@@ -0,0 +1,144 @@
+// utils/certificates.js
+const crypto = require('crypto');
+const Certificate = require('../models/Certificate');
+const PathCertificate = require('../models/PathCertificate');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const generateCertificatePdf = require('./certificatePdf');
+const { saveFile, deleteFile } = require('./storage');
+
+// Unambiguous alphabet (no 0/O, 1/I) for codes people may type in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Generate a code such as "K7QX-M2PA-9FHD"
+const generateVerificationCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+const buildVerifyUrl = (code) =>
+  `${process.env.API_URL || 'http://localhost:5000'}/api/certificates/verify/${code}`;
+
+// Render a certificate PDF and store it, returning its URL
+const renderCertificate = async (details) => {
+  const pdf = generateCertificatePdf({ ...details, verifyUrl: buildVerifyUrl(details.verificationCode) });
+  return saveFile(pdf, `${details.verificationCode}.pdf`, 'certificates');
+};
+
+// Issue (or return the already issued) certificate for a completed enrollment
+const issueCertificate = async (enrollment) => {
+  const existing = await Certificate.findOne({ enrollment: enrollment._id });
+  if (existing) return existing;
+
+  if (enrollment.progress !== 100) {
+    throw new Error('Enrollment is not completed');
+  }
+
+  const [student, course] = await Promise.all([
+    User.findById(enrollment.student).select('name'),
+    Course.findById(enrollment.course).select('title')
+  ]);
+
+  if (!student || !course) {
+    throw new Error('Student or course not found');
+  }
+
+  const verificationCode = generateVerificationCode();
+  const issuedAt = enrollment.completionDate || new Date();
+
+  const pdfUrl = await renderCertificate({
+    studentName: student.name,
+    courseTitle: course.title,
+    issuedAt,
+    verificationCode
+  });
+
+  let certificate;
+  try {
+    certificate = await Certificate.create({
+      enrollment: enrollment._id,
+      student: student._id,
+      course: course._id,
+      verificationCode,
+      studentName: student.name,
+      courseTitle: course.title,
+      issuedAt,
+      pdfUrl
+    });
+  } catch (error) {
+    // A concurrent request issued it first; keep theirs
+    if (error.code !== 11000) throw error;
+    await deleteFile(pdfUrl);
+    return Certificate.findOne({ enrollment: enrollment._id });
+  }
+
+  enrollment.certificateIssued = true;
+  enrollment.certificateUrl = pdfUrl;
+  await enrollment.save();
+
+  return certificate;
+};
+
+// Issue (or return the already issued) certificate for a completed learning path
+const issuePathCertificate = async (pathEnrollment, path) => {
+  const existing = await PathCertificate.findOne({ pathEnrollment: pathEnrollment._id });
+  if (existing) return existing;
+
+  if (!pathEnrollment.completionDate) {
+    throw new Error('Learning path is not completed');
+  }
+
+  const [student, courses] = await Promise.all([
+    User.findById(pathEnrollment.student).select('name'),
+    Course.find({ _id: { $in: path.steps.map(step => step.course) } }).select('title')
+  ]);
+
+  if (!student) {
+    throw new Error('Student not found');
+  }
+
+  const titles = new Map(courses.map(c => [c._id.toString(), c.title]));
+  const verificationCode = generateVerificationCode();
+  const issuedAt = pathEnrollment.completionDate;
+
+  const pdfUrl = await renderCertificate({
+    studentName: student.name,
+    courseTitle: path.title,
+    issuedAt,
+    verificationCode,
+    subject: 'learning path'
+  });
+
+  let certificate;
+  try {
+    certificate = await PathCertificate.create({
+      pathEnrollment: pathEnrollment._id,
+      student: student._id,
+      path: path._id,
+      verificationCode,
+      studentName: student.name,
+      pathTitle: path.title,
+      courseTitles: path.steps.map(step => titles.get(step.course.toString())).filter(Boolean),
+      issuedAt,
+      pdfUrl
+    });
+  } catch (error) {
+    // A concurrent request issued it first; keep theirs
+    if (error.code !== 11000) throw error;
+    await deleteFile(pdfUrl);
+    return PathCertificate.findOne({ pathEnrollment: pathEnrollment._id });
+  }
+
+  pathEnrollment.certificateIssued = true;
+  pathEnrollment.certificateUrl = pdfUrl;
+  await pathEnrollment.save();
+
+  return certificate;
+};
+
+module.exports = {
+  generateVerificationCode,
+  issueCertificate,
+  issuePathCertificate
+};
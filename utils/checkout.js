@@ -0,0 +1,337 @@
+// utils/checkout.js
+const Order = require('../models/Order');
+const Enrollment = require('../models/Enrollment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WebhookEvent = require('../models/WebhookEvent');
+const { PaymentError, paymentCurrency, getProvider } = require('./payments');
+const { EnrollmentError, enrollStudent, isCourseFull, resolveCohort } = require('./enrollments');
+const { promoteFromWaitlistSafely } = require('./waitlist');
+const { checkPrerequisites, describeMissing } = require('./prerequisites');
+const { adjustEnrollmentCount } = require('./courseStats');
+const { normalizeCode, quotePrice, reserveCoupon, updateRedemption } = require('./coupons');
+
+// Cancel an unpaid order and give back its coupon use. Returns null if the order is no longer open.
+const cancelOrder = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (order) await updateRedemption(order._id, 'reserved', 'released');
+  return order;
+};
+
+// Cancel unpaid orders untouched for ORDER_EXPIRY_HOURS (default 24) so that their coupon
+// reservations do not hold uses of the coupon forever. Returns the number cancelled.
+const expireStaleOrders = async (now = new Date()) => {
+  const hours = Number(process.env.ORDER_EXPIRY_HOURS) || 24;
+  const stale = await Order.find({
+    status: { $in: ['pending', 'failed'] },
+    updatedAt: { $lt: new Date(now.getTime() - hours * 60 * 60 * 1000) }
+  }).select('_id');
+
+  let cancelled = 0;
+  for (const order of stale) {
+    if (await cancelOrder(order._id)) cancelled++;
+  }
+  return cancelled;
+};
+
+// Create an order for a priced course, optionally with a coupon code. The student's open order
+// for the course is reused if it has the same price and code, and cancelled otherwise.
+// Enrollment rules are checked up front so students are never charged for a course they cannot join;
+// students offered a seat from the waitlist already passed them and pay for the held seat.
+// Orders the coupon makes free are fulfilled immediately. `cohortId` picks the cohort to join.
+const createOrder = async (studentId, course, couponCode = null, cohortId = null) => {
+  if (!course || course.status !== 'published') {
+    throw new EnrollmentError('Course not found or inactive', 404);
+  }
+  if (!(course.price > 0)) {
+    throw new PaymentError('This course is free; enroll directly');
+  }
+
+  if (await Enrollment.exists({ student: studentId, course: course._id, isActive: true })) {
+    throw new EnrollmentError('Already enrolled in this course');
+  }
+  if (await Order.exists({ student: studentId, course: course._id, status: 'paid' })) {
+    throw new PaymentError('This course has already been paid for; enroll directly');
+  }
+
+  const offer = await WaitlistEntry.findOne({
+    course: course._id,
+    student: studentId,
+    status: 'waiting',
+    offerExpiresAt: { $gt: new Date() }
+  });
+
+  const windowError = offer ? null : course.enrollmentWindowError();
+  if (windowError) {
+    throw new EnrollmentError(windowError);
+  }
+
+  // Waitlisted students keep the cohort they chose when joining
+  const cohort = await resolveCohort(course, offer && offer.cohort ? offer.cohort : cohortId);
+
+  const prerequisites = offer ? { satisfied: true } : await checkPrerequisites(studentId, course);
+  if (!prerequisites.satisfied) {
+    throw new EnrollmentError(
+      `Missing prerequisites: ${describeMissing(prerequisites.missing).join('; ')}`,
+      400,
+      { missingPrerequisites: prerequisites.missing }
+    );
+  }
+
+  if (!offer && await isCourseFull(course)) {
+    throw new EnrollmentError('This course is full; join the waitlist through POST /api/enrollments and pay once a seat is offered', 409, {
+      full: true,
+      capacity: course.capacity,
+      waitlist: true
+    });
+  }
+
+  const code = normalizeCode(couponCode);
+  const open = await Order.findOne({
+    student: studentId,
+    course: course._id,
+    status: { $in: ['pending', 'failed'] }
+  });
+  if (open) {
+    const openListPrice = open.listPrice === null ? open.amount : open.listPrice;
+    const sameCohort = String(open.cohort) === String(cohort ? cohort._id : null);
+    if (openListPrice === course.price && open.couponCode === code && sameCohort) {
+      return { order: open, created: false };
+    }
+    await cancelOrder(open._id);
+  }
+
+  const quote = await quotePrice(course, code, studentId);
+  const currency = paymentCurrency();
+  const order = new Order({
+    student: studentId,
+    course: course._id,
+    cohort: cohort ? cohort._id : null,
+    listPrice: quote.listPrice,
+    discount: quote.discount,
+    coupon: quote.coupon ? quote.coupon._id : null,
+    couponCode: quote.coupon ? quote.coupon.code : null,
+    amount: quote.finalPrice,
+    currency
+  });
+
+  let clientSecret;
+  if (order.amount > 0) {
+    const provider = getProvider();
+    const payment = await provider.createPayment({
+      amount: order.amount,
+      currency,
+      metadata: { studentId: studentId.toString(), courseId: course._id.toString(), orderId: order._id.toString() }
+    });
+    order.provider = provider.name;
+    order.providerPaymentId = payment.paymentId;
+    clientSecret = payment.clientSecret;
+  } else {
+    order.provider = 'none';
+    order.providerPaymentId = `free_${order._id}`;
+  }
+
+  if (quote.coupon) {
+    await reserveCoupon(quote, { student: studentId, course: course._id, order: order._id });
+  }
+
+  try {
+    await order.save();
+  } catch (error) {
+    await updateRedemption(order._id, 'reserved', 'released');
+    throw error;
+  }
+
+  if (order.amount === 0) {
+    return { order: await fulfillOrder(order._id), created: true };
+  }
+  return { order, created: true, clientSecret };
+};
+
+// Refund a payment that succeeded after its order was cancelled (replaced or expired), so the
+// student is not charged for an order that will not enroll them. If the provider refund fails
+// the order stays cancelled with a failureMessage for an admin to follow up.
+const refundCancelledOrder = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'cancelled', provider: { $ne: 'none' } },
+    {
+      $set: {
+        status: 'refunded',
+        failureMessage: 'The order was cancelled before payment completed; the payment has been refunded',
+        'refund.refundedAt': new Date(),
+        'refund.reason': 'Paid after the order was cancelled'
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return Order.findById(order._id);
+
+  try {
+    const { refundId } = await getProvider().refundPayment(claimed.providerPaymentId, claimed.amount);
+    claimed.refund.refundId = refundId;
+  } catch (refundError) {
+    console.error('Refund payment of cancelled order error:', refundError);
+    claimed.status = 'cancelled';
+    claimed.refund.refundedAt = null;
+    claimed.failureMessage = 'Payment received after the order was cancelled; it could not be refunded automatically';
+  }
+  await claimed.save();
+  return claimed;
+};
+
+// Mark an order paid and enroll the student. Safe to call more than once (confirmation and
+// webhook may both report the same payment): only the first call enrolls.
+const fulfillOrder = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'paid', paidAt: new Date(), failureMessage: null } },
+    { new: true }
+  ).populate('course');
+
+  if (!order) {
+    const current = await Order.findById(orderId);
+    return current && current.status === 'cancelled' ? refundCancelledOrder(current) : current;
+  }
+
+  await updateRedemption(order._id, 'reserved', 'completed');
+
+  try {
+    // Prerequisites were checked when the order was created. If the last seat went while the
+    // student was paying, they keep their payment and join the waitlist.
+    const { enrollment } = await enrollStudent(order.student, order.course, {
+      cohort: order.cohort,
+      skipPrerequisites: true,
+      waitlist: true
+    });
+    if (enrollment) {
+      order.enrollment = enrollment._id;
+      await order.save();
+    }
+  } catch (enrollmentError) {
+    // The payment stands; the student can enroll later through POST /api/enrollments
+    // (the paid order is honoured there) or an admin can refund the order
+    console.error('Enroll after payment error:', enrollmentError);
+  }
+
+  return order;
+};
+
+const failOrder = async (orderId, message) =>
+  Order.findOneAndUpdate(
+    { _id: orderId, status: 'pending' },
+    { $set: { status: 'failed', failureMessage: message || 'Payment failed' } },
+    { new: true }
+  );
+
+// Confirm payment for an order with the provider, e.g. with card details from the client
+const confirmOrder = async (order, details) => {
+  if (!['pending', 'failed'].includes(order.status)) {
+    throw new PaymentError(`Order is already ${order.status}`);
+  }
+
+  const result = await getProvider().confirmPayment(order.providerPaymentId, details);
+
+  if (result.status === 'succeeded') {
+    return fulfillOrder(order._id);
+  }
+
+  if (order.status === 'failed') {
+    order.failureMessage = result.message || 'Payment failed';
+    await order.save();
+    return order;
+  }
+  return (await failOrder(order._id, result.message)) || Order.findById(order._id);
+};
+
+// Record a refund locally and deactivate the enrollment it paid for
+const applyRefund = async (orderId, { refundId = null, refundedBy = null, reason = '' } = {}) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: 'paid' },
+    {
+      $set: {
+        status: 'refunded',
+        'refund.refundId': refundId,
+        'refund.refundedAt': new Date(),
+        'refund.refundedBy': refundedBy,
+        'refund.reason': reason
+      }
+    },
+    { new: true }
+  );
+
+  if (!order) return Order.findById(orderId);
+
+  await updateRedemption(order._id, 'completed', 'refunded');
+
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { student: order.student, course: order.course, isActive: true },
+    { $set: { isActive: false } }
+  );
+  if (enrollment) {
+    await adjustEnrollmentCount(order.course, -1);
+    await promoteFromWaitlistSafely(order.course);
+  }
+
+  return order;
+};
+
+// Refund a paid order through the provider
+const refundOrder = async (order, { refundedBy, reason } = {}) => {
+  if (order.status !== 'paid') {
+    throw new PaymentError('Only paid orders can be refunded');
+  }
+
+  // Free (fully discounted) orders have nothing to refund at the provider
+  const { refundId = null } = order.provider === 'none'
+    ? {}
+    : await getProvider().refundPayment(order.providerPaymentId, order.amount);
+  return applyRefund(order._id, { refundId, refundedBy, reason });
+};
+
+// Apply a verified provider event once. Returns { duplicate, order }.
+const handleWebhookEvent = async (providerName, event) => {
+  let record;
+  try {
+    record = await WebhookEvent.create({ provider: providerName, eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === 11000) return { duplicate: true, order: null };
+    throw error;
+  }
+
+  try {
+    const order = await Order.findOne({ provider: providerName, providerPaymentId: event.paymentId });
+    if (!order) return { duplicate: false, order: null };
+
+    record.order = order._id;
+    await record.save();
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        return { duplicate: false, order: await fulfillOrder(order._id) };
+      case 'payment.failed':
+        return { duplicate: false, order: (await failOrder(order._id)) || order };
+      case 'payment.refunded':
+        return { duplicate: false, order: await applyRefund(order._id, { reason: 'Refunded by payment provider' }) };
+      default:
+        return { duplicate: false, order };
+    }
+  } catch (error) {
+    // Forget the event so the provider's redelivery is processed again
+    await WebhookEvent.deleteOne({ _id: record._id });
+    throw error;
+  }
+};
+
+module.exports = {
+  createOrder,
+  cancelOrder,
+  expireStaleOrders,
+  confirmOrder,
+  fulfillOrder,
+  refundOrder,
+  applyRefund,
+  handleWebhookEvent
+};
@@ -0,0 +1,109 @@
+// utils/contentPositions.js
+// Enrollments, quizzes, assignments and notes address course content by position
+// (moduleIndex / lessonIndex). When modules or lessons are added, moved or removed, the stored
+// positions are moved along with the content they point at, matched by subdocument id.
+const Enrollment = require('../models/Enrollment');
+const Quiz = require('../models/Quiz');
+const Assignment = require('../models/Assignment');
+const Note = require('../models/Note');
+
+// Module ids, and the lesson ids of each module, in course order. Take it before editing content.
+const contentLayout = (course) =>
+  course.modules.map(module => ({
+    id: module._id.toString(),
+    lessons: module.lessons.map(lesson => lesson._id.toString())
+  }));
+
+// Old position -> new position for every module and lesson of `before`; null where it was removed
+const positionMap = (before, after) => {
+  const moduleIndexById = new Map(after.map((module, moduleIndex) => [module.id, moduleIndex]));
+  const lessonPositionById = new Map(after.flatMap((module, moduleIndex) =>
+    module.lessons.map((id, lessonIndex) => [id, { moduleIndex, lessonIndex }])
+  ));
+
+  return {
+    modules: before.map(module => (moduleIndexById.has(module.id) ? moduleIndexById.get(module.id) : null)),
+    lessons: before.map(module => module.lessons.map(id => lessonPositionById.get(id) || null))
+  };
+};
+
+const isUnchanged = (map) =>
+  map.modules.every((to, from) => to === from) &&
+  map.lessons.every((lessons, moduleIndex) => lessons.every((to, lessonIndex) =>
+    to && to.moduleIndex === moduleIndex && to.lessonIndex === lessonIndex
+  ));
+
+// Completed lessons and modules follow their content; entries for removed content are dropped
+const remapEnrollments = async (courseId, map) => {
+  const enrollments = await Enrollment.find({
+    course: courseId,
+    $or: [{ 'completedLessons.0': { $exists: true } }, { 'completedModules.0': { $exists: true } }]
+  }).select('completedLessons completedModules').lean();
+
+  const operations = enrollments.map(enrollment => ({
+    updateOne: {
+      filter: { _id: enrollment._id },
+      update: {
+        $set: {
+          completedLessons: enrollment.completedLessons.flatMap(lesson => {
+            const to = (map.lessons[lesson.moduleIndex] || [])[lesson.lessonIndex];
+            return to ? [{ ...lesson, ...to }] : [];
+          }),
+          completedModules: enrollment.completedModules.flatMap(module => {
+            const to = map.modules[module.moduleIndex];
+            return Number.isInteger(to) ? [{ ...module, moduleIndex: to }] : [];
+          })
+        }
+      }
+    }
+  }));
+
+  if (operations.length > 0) await Enrollment.bulkWrite(operations);
+};
+
+// Move `moduleIndex` of a model's documents in one pipeline update, so that swapped modules
+// cannot collide. Documents of removed modules get null, plus `removedFields` if given.
+const remapModuleIndex = async (Model, courseId, map, removedFields = {}) => {
+  const moved = map.modules
+    .map((to, from) => ({ from, to }))
+    .filter(({ from, to }) => from !== to);
+  if (moved.length === 0) return;
+
+  const removed = moved.filter(({ to }) => to === null).map(({ from }) => from);
+  const stage = {
+    moduleIndex: {
+      $switch: {
+        branches: moved.map(({ from, to }) => ({ case: { $eq: ['$moduleIndex', from] }, then: to })),
+        default: '$moduleIndex'
+      }
+    }
+  };
+  Object.entries(removedFields).forEach(([field, value]) => {
+    stage[field] = { $cond: [{ $in: ['$moduleIndex', removed] }, value, `$${field}`] };
+  });
+
+  await Model.updateMany(
+    { course: courseId, moduleIndex: { $in: moved.map(({ from }) => from) } },
+    [{ $set: stage }]
+  );
+};
+
+// Update everything that stores positions in `course` after its content was saved.
+// `before` is the contentLayout taken before the edit.
+// Quizzes of a removed module are deactivated; its assignments become course-wide.
+const remapContentPositions = async (course, before) => {
+  const map = positionMap(before, contentLayout(course));
+  if (isUnchanged(map)) return;
+
+  await remapEnrollments(course._id, map);
+  await remapModuleIndex(Quiz, course._id, map, { isActive: false });
+  await remapModuleIndex(Assignment, course._id, map);
+  // Legacy 1-based notes are migrated first, so the remap moves them from the right position
+  await Note.migrateModuleIndexBase({ course: course._id });
+  await remapModuleIndex(Note, course._id, map);
+};
+
+module.exports = {
+  contentLayout,
+  remapContentPositions
+};
@@ -0,0 +1,142 @@
+// utils/coupons.js
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+class CouponError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.statusCode = statusCode;
+  }
+}
+
+const normalizeCode = (code) => (typeof code === 'string' && code.trim() ? code.trim().toUpperCase() : null);
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+// Price of `course` for a student after applying an optional coupon code.
+// Returns { listPrice, discount, finalPrice, coupon } or throws CouponError explaining why the
+// code cannot be used.
+const quotePrice = async (course, code, studentId) => {
+  const listPrice = roundPrice(course.price || 0);
+  const normalized = normalizeCode(code);
+
+  if (!normalized) {
+    return { listPrice, discount: 0, finalPrice: listPrice, coupon: null };
+  }
+
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon) {
+    throw new CouponError('Coupon not found', 404);
+  }
+
+  const reason = coupon.unavailableReason();
+  if (reason) throw new CouponError(reason);
+
+  if (!coupon.appliesTo(course._id)) {
+    throw new CouponError('This coupon does not apply to this course');
+  }
+  if (!(listPrice > 0)) {
+    throw new CouponError('Coupons only apply to paid courses');
+  }
+
+  // A reservation held by an open order for this same course does not count: checking out
+  // again replaces that order. reserveCoupon enforces the limit again atomically.
+  const used = await CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    student: studentId,
+    $or: [
+      { status: 'completed' },
+      { status: 'reserved', course: { $ne: course._id } }
+    ]
+  });
+  if (used >= coupon.perUserLimit) {
+    throw new CouponError('You have already used this coupon');
+  }
+
+  const discount = coupon.discountFor(listPrice);
+  return { listPrice, discount, finalPrice: roundPrice(listPrice - discount), coupon };
+};
+
+// Record a redemption in the first free per-user slot. Returns null when the student has no
+// slot left.
+const createRedemption = async (coupon, data) => {
+  for (let useSlot = 1; useSlot <= coupon.perUserLimit; useSlot++) {
+    try {
+      return await CouponRedemption.create({ ...data, coupon: coupon._id, code: coupon.code, useSlot });
+    } catch (error) {
+      if (error.code !== 11000 || !(error.keyPattern && error.keyPattern.useSlot)) throw error;
+    }
+  }
+  return null;
+};
+
+// Reserve one use of the quoted coupon for an order. Both limits are enforced atomically so
+// concurrent checkouts cannot exceed maxRedemptions or the student's perUserLimit.
+const reserveCoupon = async (quote, { student, course, order }) => {
+  const { coupon } = quote;
+
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new CouponError('This coupon has reached its usage limit');
+  }
+
+  let redemption;
+  try {
+    redemption = await createRedemption(reserved, {
+      student,
+      course,
+      order,
+      listPrice: quote.listPrice,
+      discount: quote.discount,
+      finalPrice: quote.finalPrice
+    });
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+    throw error;
+  }
+
+  if (!redemption) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+    throw new CouponError('You have already used this coupon');
+  }
+  return redemption;
+};
+
+// Move an order's redemption from one status to another. Released and refunded redemptions
+// give their use back to the coupon.
+const updateRedemption = async (orderId, from, to) => {
+  const update = { status: to };
+  if (to === 'completed') update.completedAt = new Date();
+  if (['released', 'refunded'].includes(to)) update.useSlot = null;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: { $in: [].concat(from) } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (redemption && ['released', 'refunded'].includes(to)) {
+    await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { redemptionCount: -1 } });
+  }
+  return redemption;
+};
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  quotePrice,
+  reserveCoupon,
+  updateRedemption
+};
@@ -0,0 +1,121 @@
+// utils/courseCatalog.js
+// Builds the filters, sort and facet pipeline behind GET /api/courses from its query string.
+const mongoose = require('mongoose');
+
+// Buckets of Course.totalMinutes (lower bound inclusive, upper bound exclusive)
+const DURATION_BUCKETS = {
+  short: { min: 0, max: 120 },
+  medium: { min: 120, max: 360 },
+  long: { min: 360, max: 1200 },
+  extended: { min: 1200, max: null }
+};
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  title: { title: 1 },
+  rating: { averageRating: -1, reviewCount: -1, createdAt: -1 },
+  popular: { enrollmentCount: -1, createdAt: -1 },
+  'price-low': { price: 1, createdAt: -1 },
+  'price-high': { price: -1, createdAt: -1 },
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const isSet = (value) => value !== undefined && value !== '' && value !== 'all';
+
+// Filters from the query string, split so that facet counts can leave out their own filter
+const buildCatalogFilters = (params = {}) => {
+  const base = { status: 'published' };
+
+  if (params.search) {
+    base.$text = { $search: params.search };
+  }
+
+  if (params.free === 'true') {
+    base.price = 0;
+  } else {
+    const minPrice = parseNumber(params.minPrice);
+    const maxPrice = parseNumber(params.maxPrice);
+    if (minPrice !== null || maxPrice !== null) {
+      base.price = {};
+      if (minPrice !== null) base.price.$gte = minPrice;
+      if (maxPrice !== null) base.price.$lte = maxPrice;
+    }
+  }
+
+  const minRating = parseNumber(params.minRating);
+  if (minRating !== null) {
+    base.averageRating = { $gte: minRating };
+  }
+
+  // Instructor by owner id, or by display name
+  if (params.instructor) {
+    if (mongoose.isValidObjectId(params.instructor)) {
+      base.owner = new mongoose.Types.ObjectId(params.instructor);
+    } else {
+      base.instructor = { $regex: `^${escapeRegex(params.instructor)}$`, $options: 'i' };
+    }
+  }
+
+  if (isSet(params.duration)) {
+    const buckets = String(params.duration).split(',').map(name => DURATION_BUCKETS[name]).filter(Boolean);
+    if (buckets.length > 0) {
+      base.$or = buckets.map(({ min, max }) => ({
+        totalMinutes: max === null ? { $gte: min } : { $gte: min, $lt: max }
+      }));
+    }
+  }
+
+  const category = isSet(params.category) ? { category: params.category } : {};
+  const difficulty = isSet(params.difficulty) ? { difficulty: params.difficulty } : {};
+
+  return { base, category, difficulty, query: { ...base, ...category, ...difficulty } };
+};
+
+// Sort for the request; searches default to relevance, which needs a text search
+const buildCatalogSort = (params = {}) => {
+  const name = params.sort || (params.search ? 'relevance' : 'newest');
+  if (name === 'relevance' && !params.search) return SORT_OPTIONS.newest;
+  return SORT_OPTIONS[name] || SORT_OPTIONS.newest;
+};
+
+// Counts per category and difficulty, each honouring every filter but its own
+const facetPipeline = ({ base, category, difficulty }) => [
+  { $match: base },
+  {
+    $facet: {
+      category: [
+        { $match: difficulty },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      difficulty: [
+        { $match: category },
+        { $group: { _id: '$difficulty', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]
+    }
+  }
+];
+
+const formatFacets = ([facets = {}] = []) => ({
+  category: (facets.category || []).map(f => ({ value: f._id, count: f.count })),
+  difficulty: (facets.difficulty || []).map(f => ({ value: f._id, count: f.count }))
+});
+
+module.exports = {
+  DURATION_BUCKETS,
+  SORT_OPTIONS,
+  buildCatalogFilters,
+  buildCatalogSort,
+  facetPipeline,
+  formatFacets
+};
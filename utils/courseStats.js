@@ -0,0 +1,120 @@
+// utils/courseStats.js
+// Course.averageRating, reviewCount, ratingTotal, enrollmentCount and totalMinutes are
+// denormalized so that course lists can be sorted and filtered without per-course
+// aggregations. Routes adjust them incrementally; recomputeCourseStats rebuilds them.
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Review = require('../models/Review');
+const Enrollment = require('../models/Enrollment');
+
+const roundedAverage = {
+  $cond: [
+    { $gt: ['$reviewCount', 0] },
+    { $round: [{ $divide: ['$ratingTotal', '$reviewCount'] }, 1] },
+    0
+  ]
+};
+
+// What a review contributes to its course's rating: only approved reviews count
+const contribution = (review) =>
+  review && review.isApproved ? { rating: review.rating, count: 1 } : { rating: 0, count: 0 };
+
+// Apply the rating change between two states of a review ({ rating, isApproved }; null
+// when the review does not exist before/after). A single pipeline update keeps the
+// counters and the average consistent under concurrent writes.
+const syncReviewStats = async (courseId, before, after) => {
+  const from = contribution(before);
+  const to = contribution(after);
+  const ratingDelta = to.rating - from.rating;
+  const countDelta = to.count - from.count;
+
+  if (ratingDelta === 0 && countDelta === 0) return;
+
+  await Course.updateOne({ _id: courseId }, [
+    {
+      $set: {
+        ratingTotal: { $max: [0, { $add: [{ $ifNull: ['$ratingTotal', 0] }, ratingDelta] }] },
+        reviewCount: { $max: [0, { $add: [{ $ifNull: ['$reviewCount', 0] }, countDelta] }] }
+      }
+    },
+    { $set: { averageRating: roundedAverage } }
+  ]);
+};
+
+// Add `delta` active enrollments to a course
+const adjustEnrollmentCount = async (courseId, delta) => {
+  await Course.updateOne({ _id: courseId }, [
+    { $set: { enrollmentCount: { $max: [0, { $add: [{ $ifNull: ['$enrollmentCount', 0] }, delta] }] } } }
+  ]);
+};
+
+// Rebuild the counters from reviews and enrollments, for the given courses (valid ObjectIds,
+// checked by the caller) or all of them. Returns the number of courses whose stats were written.
+const recomputeCourseStats = async (courseIds = null) => {
+  const ids = courseIds ? courseIds.map(id => new mongoose.Types.ObjectId(id)) : null;
+  const match = ids ? { course: { $in: ids } } : {};
+
+  const [reviewStats, enrollmentStats, courses] = await Promise.all([
+    Review.aggregate([
+      { $match: { ...match, isApproved: true } },
+      { $group: { _id: '$course', ratingTotal: { $sum: '$rating' }, reviewCount: { $sum: 1 } } }
+    ]),
+    Enrollment.aggregate([
+      { $match: { ...match, isActive: true } },
+      { $group: { _id: '$course', enrollmentCount: { $sum: 1 } } }
+    ]),
+    Course.find(ids ? { _id: { $in: ids } } : {}).select('_id')
+  ]);
+
+  const reviewsByCourse = new Map(reviewStats.map(s => [s._id.toString(), s]));
+  const enrollmentsByCourse = new Map(enrollmentStats.map(s => [s._id.toString(), s]));
+
+  const operations = courses.map(course => {
+    const reviews = reviewsByCourse.get(course._id.toString()) || { ratingTotal: 0, reviewCount: 0 };
+    const enrollments = enrollmentsByCourse.get(course._id.toString()) || { enrollmentCount: 0 };
+    return {
+      updateOne: {
+        filter: { _id: course._id },
+        update: {
+          $set: {
+            ratingTotal: reviews.ratingTotal,
+            reviewCount: reviews.reviewCount,
+            averageRating: reviews.reviewCount > 0
+              ? Math.round((reviews.ratingTotal / reviews.reviewCount) * 10) / 10
+              : 0,
+            enrollmentCount: enrollments.enrollmentCount
+          }
+        }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await Course.bulkWrite(operations);
+  }
+
+  // totalMinutes is kept by Course's pre-save hook; rebuild it for documents saved before it existed
+  await Course.updateMany(ids ? { _id: { $in: ids } } : {}, [
+    {
+      $set: {
+        totalMinutes: {
+          $sum: {
+            $map: {
+              input: { $ifNull: ['$modules', []] },
+              as: 'module',
+              in: { $sum: '$$module.lessons.estimatedMinutes' }
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  return operations.length;
+};
+
+module.exports = {
+  syncReviewStats,
+  adjustEnrollmentCount,
+  recomputeCourseStats
+};
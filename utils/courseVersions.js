@@ -0,0 +1,99 @@
+// utils/courseVersions.js
+const CourseVersion = require('../models/CourseVersion');
+
+// Course fields captured in a version. Lifecycle, ownership, stats and enrollment rules
+// (prerequisites, capacity, enrollment window, cohorts) are not content and are left alone by restores.
+const VERSIONED_FIELDS = [
+  'title',
+  'description',
+  'instructor',
+  'difficulty',
+  'duration',
+  'category',
+  'youtubeUrl',
+  'price',
+  'tags',
+  'modules'
+];
+
+const MAX_RECORD_ATTEMPTS = 3;
+
+// Plain JSON copy of the versioned content of a course
+const snapshotCourse = (course) => {
+  const data = course.toObject({ virtuals: false, depopulate: true });
+  return JSON.parse(JSON.stringify(
+    VERSIONED_FIELDS.reduce((snapshot, field) => {
+      snapshot[field] = data[field];
+      return snapshot;
+    }, {})
+  ));
+};
+
+// Store the course's current content as its next version. Concurrent edits can race for
+// the same version number; the unique index rejects the loser, which then retries.
+const recordVersion = async (course, { author, action, summary = '', restoredFrom = null }) => {
+  const snapshot = snapshotCourse(course);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await CourseVersion.findOne({ course: course._id }).sort({ version: -1 }).select('version');
+    try {
+      return await CourseVersion.create({
+        course: course._id,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        summary,
+        snapshot,
+        author: author ? author._id : null,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Courses created before versioning have no history; record their current content as
+// version 1 before the first edit so that it can still be restored
+const ensureBaselineVersion = async (course) => {
+  const exists = await CourseVersion.exists({ course: course._id });
+  if (!exists) {
+    await recordVersion(course, { author: null, action: 'create', summary: 'Content before version history was enabled' });
+  }
+};
+
+// Overwrite the course's content with a snapshot (not saved)
+const applySnapshot = (course, snapshot) => {
+  VERSIONED_FIELDS.forEach(field => {
+    if (snapshot[field] !== undefined) course.set(field, snapshot[field]);
+  });
+  return course;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+// List the differences between two snapshots as { path, type, from, to } entries, where
+// path is dotted (e.g. "modules.1.lessons.0.title") and type is added, removed or changed.
+// Subdocument ids are ignored.
+const diffSnapshots = (from, to, path = '') => {
+  if (!isObject(from) || !isObject(to) || Array.isArray(from) !== Array.isArray(to)) {
+    if (JSON.stringify(from) === JSON.stringify(to)) return [];
+    if (from === undefined) return [{ path, type: 'added', from: null, to }];
+    if (to === undefined) return [{ path, type: 'removed', from, to: null }];
+    return [{ path, type: 'changed', from, to }];
+  }
+
+  const keys = Array.isArray(from)
+    ? [...Array(Math.max(from.length, to.length)).keys()]
+    : [...new Set([...Object.keys(from), ...Object.keys(to)])].filter(key => key !== '_id');
+
+  return keys.flatMap(key => diffSnapshots(from[key], to[key], path ? `${path}.${key}` : String(key)));
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  snapshotCourse,
+  recordVersion,
+  ensureBaselineVersion,
+  applySnapshot,
+  diffSnapshots
+};
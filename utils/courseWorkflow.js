@@ -0,0 +1,85 @@
+// utils/courseWorkflow.js
+// Allowed course status transitions and the permission each one needs. Owners move
+// their drafts into review and archive or reschedule their own courses; publishing
+// (directly or on a schedule) needs 'course:approve', which only admins hold by default.
+const TRANSITIONS = {
+  draft: {
+    in_review: 'course:update',
+    published: 'course:approve',
+    scheduled: 'course:approve'
+  },
+  in_review: {
+    draft: 'course:update',
+    published: 'course:approve',
+    scheduled: 'course:approve'
+  },
+  scheduled: {
+    draft: 'course:publish',
+    published: 'course:approve',
+    archived: 'course:publish'
+  },
+  published: {
+    archived: 'course:publish'
+  },
+  archived: {
+    draft: 'course:update'
+  }
+};
+
+class CourseWorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CourseWorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Permission needed to move a course from one status to another, or null if not allowed
+const transitionPermission = (from, to) => (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+
+// Apply a status change to `course` (not saved). `publishAt` is required for 'scheduled'.
+const applyTransition = (course, to, { user, publishAt, notes } = {}) => {
+  const from = course.status;
+
+  if (!transitionPermission(from, to)) {
+    throw new CourseWorkflowError(`Cannot change course status from '${from}' to '${to}'`);
+  }
+
+  if (to === 'in_review' && course.lessonCount === 0) {
+    throw new CourseWorkflowError('A course needs at least one lesson before it can be submitted for review');
+  }
+
+  const now = new Date();
+
+  if (to === 'scheduled') {
+    const date = publishAt ? new Date(publishAt) : null;
+    if (!date || Number.isNaN(date.getTime()) || date <= now) {
+      throw new CourseWorkflowError('Scheduling requires a publishAt date in the future');
+    }
+    course.publishAt = date;
+  } else if (to !== 'published') {
+    course.publishAt = null;
+  }
+
+  if (to === 'in_review') {
+    course.review = { submittedAt: now, reviewedBy: null, reviewedAt: null, notes: '' };
+  } else if (from === 'in_review') {
+    course.review.reviewedBy = user ? user._id : null;
+    course.review.reviewedAt = now;
+    course.review.notes = notes || '';
+  }
+
+  if (to === 'published') {
+    course.publishedAt = now;
+  }
+
+  course.status = to;
+  return course;
+};
+
+module.exports = {
+  TRANSITIONS,
+  CourseWorkflowError,
+  transitionPermission,
+  applyTransition
+};
@@ -0,0 +1,101 @@
+// utils/email.js
+// Pluggable mail transport. MAIL_TRANSPORT selects one of:
+//   smtp    - deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - write each message as JSON into MAIL_DIR (default: logs/mail)
+//   console - print messages to stdout (default outside production; bodies only in development)
+// Messages carry verification and password reset links, so production needs an explicit
+// transport and never logs them. Tests can swap in their own transport with setTransport().
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const fileTransport = () => {
+  const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'logs', 'mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+      await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+      return { filename };
+    }
+  };
+};
+
+const isDevelopment = () => (process.env.NODE_ENV || 'development') === 'development';
+
+const consoleTransport = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error("The 'console' mail transport cannot be used in production; set MAIL_TRANSPORT");
+  }
+
+  return {
+    name: 'console',
+    send: async (message) => {
+      // The body holds account links; print it only for local development
+      const body = isDevelopment() ? `\n${message.text}` : ' (body not logged)';
+      console.log(`📧 Email to ${message.to}: ${message.subject}${body}`);
+      return {};
+    }
+  };
+};
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT '${name}'`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with an in-memory one in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'LearnifyHub <no-reply@learnifyhub.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,65 @@
+// utils/emailTemplates.js
+const apiUrl = () => process.env.API_URL || 'http://localhost:5000';
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const verificationEmail = (user, token) => {
+  const link = `${apiUrl()}/api/auth/verify-email/${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Verify your LearnifyHub email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  };
+};
+
+const passwordResetEmail = (user, token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  const link = `${frontendUrl}/reset-password/${token}`;
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+  return {
+    to: user.email,
+    subject: 'Reset your LearnifyHub password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in ${ttlMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>This link expires in ${ttlMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  };
+};
+
+const waitlistPromotionEmail = (user, course) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  const link = `${frontendUrl}/courses/${course._id}`;
+
+  return {
+    to: user.email,
+    subject: `You're enrolled in ${course.title}`,
+    text: `Hi ${user.name},\n\nA seat opened up in ${course.title} and you have been enrolled from the waitlist. Open the course here:\n\n${link}\n\nIf you no longer want the seat, you can unenroll so the next student can take it.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>A seat opened up in <strong>${escapeHtml(course.title)}</strong> and you have been enrolled from the waitlist.</p><p><a href="${link}">Open the course</a></p><p>If you no longer want the seat, you can unenroll so the next student can take it.</p>`
+  };
+};
+
+const waitlistOfferEmail = (user, course, expiresAt) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  const link = `${frontendUrl}/courses/${course._id}`;
+  const deadline = expiresAt.toUTCString();
+
+  return {
+    to: user.email,
+    subject: `A seat in ${course.title} is waiting for you`,
+    text: `Hi ${user.name},\n\nA seat opened up in ${course.title} and it is held for you until ${deadline}. Pay for the course to take it:\n\n${link}\n\nIf you do not pay in time, the seat goes to the next student on the waitlist.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>A seat opened up in <strong>${escapeHtml(course.title)}</strong> and it is held for you until ${escapeHtml(deadline)}.</p><p><a href="${link}">Pay for the course</a> to take it.</p><p>If you do not pay in time, the seat goes to the next student on the waitlist.</p>`
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  waitlistPromotionEmail,
+  waitlistOfferEmail,
+  passwordResetEmail
+};
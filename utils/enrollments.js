@@ -0,0 +1,238 @@
+// utils/enrollments.js
+const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const Order = require('../models/Order');
+const Course = require('../models/Course');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Cohort = require('../models/Cohort');
+const { adjustEnrollmentCount } = require('./courseStats');
+const { checkPrerequisites, describeMissing } = require('./prerequisites');
+
+// `details` is extra data for the response body, e.g. { missingPrerequisites }
+class EnrollmentError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'EnrollmentError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Check the cohort a student asked to join. Cohort-based courses require one; self-paced courses
+// may still be joined through a cohort. Returns the cohort or null.
+const resolveCohort = async (course, cohortId) => {
+  if (!cohortId) {
+    if (!course.cohortBased) return null;
+
+    const cohorts = await Cohort.find({ course: course._id, isActive: true, endDate: { $gt: new Date() } })
+      .select('name startDate endDate')
+      .sort({ startDate: 1 });
+    throw new EnrollmentError('This course runs in cohorts; choose a cohort to join', 400, { cohorts });
+  }
+
+  const cohort = mongoose.isValidObjectId(cohortId)
+    ? await Cohort.findOne({ _id: cohortId, course: course._id })
+    : null;
+  if (!cohort) {
+    throw new EnrollmentError('Cohort not found for this course', 404);
+  }
+  if (!cohort.isOpen()) {
+    throw new EnrollmentError('This cohort is no longer open for enrollment');
+  }
+  return cohort;
+};
+
+// Why a module is still locked by the enrollment's cohort drip schedule, or null.
+// Self-paced enrollments have every module unlocked.
+const moduleLockedMessage = async (enrollment, course, moduleIndex) => {
+  if (!enrollment.cohort) return null;
+  const cohort = await Cohort.findById(enrollment.cohort);
+  if (!cohort || cohort.isModuleUnlocked(course, moduleIndex)) return null;
+  return `This module unlocks on ${cohort.moduleUnlocksAt(course, moduleIndex).toISOString()}`;
+};
+
+// Take one seat in a course for a student. Courses without a capacity always have room.
+// Outside of waitlist promotion a seat is not free while other students are waiting for it.
+const claimSeat = async (studentId, course, fromWaitlist) => {
+  if (!course.capacity) {
+    await adjustEnrollmentCount(course._id, 1);
+    return true;
+  }
+
+  if (!fromWaitlist && await WaitlistEntry.exists({ course: course._id, status: 'waiting', student: { $ne: studentId } })) {
+    return false;
+  }
+
+  const result = await Course.updateOne(
+    { _id: course._id, $expr: { $lt: [{ $ifNull: ['$enrollmentCount', 0] }, '$capacity'] } },
+    { $inc: { enrollmentCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Put a student on a course's waitlist, keeping their place if they are already on it
+const joinWaitlist = async (studentId, course, cohort) => {
+  let entry = await WaitlistEntry.findOne({ course: course._id, student: studentId, status: 'waiting' });
+  if (!entry) {
+    try {
+      entry = await WaitlistEntry.create({ course: course._id, student: studentId, cohort: cohort ? cohort._id : null });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      entry = await WaitlistEntry.findOne({ course: course._id, student: studentId, status: 'waiting' });
+    }
+  }
+  return entry;
+};
+
+// Hold a free seat for a waitlisted student of a priced course for WAITLIST_OFFER_HOURS
+// (default 48), so they can pay for it. Returns the entry, or null when no seat is free.
+const offerSeat = async (entry, course) => {
+  if (!(await claimSeat(entry.student, course, true))) return null;
+
+  const hours = Number(process.env.WAITLIST_OFFER_HOURS) || 48;
+  const offered = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting', offerExpiresAt: null },
+    { $set: { offerExpiresAt: new Date(Date.now() + hours * 60 * 60 * 1000) } },
+    { new: true }
+  );
+  if (!offered) {
+    // The student left the waitlist meanwhile
+    await adjustEnrollmentCount(course._id, -1);
+  }
+  return offered;
+};
+
+// Enroll a student in a published course, reactivating a previous enrollment if there is one.
+// Enrollment must be within the course's enrollment window, priced courses need a paid order, and
+// prerequisites must be met unless an admin granted an override (or `skipPrerequisites` is set
+// because they were already checked). When the course is full the student joins the waitlist if
+// `waitlist` is set (for priced courses before paying: they pay once a seat is offered); otherwise
+// an EnrollmentError is thrown. `fromWaitlist` is used when promoting a waitlisted student, who was
+// already checked when joining; a student with a seat offer is treated the same and takes the held
+// seat. `cohort` is the id of the cohort to join (required for cohort-based courses).
+// Returns { enrollment, status } where status is 'created', 'reactivated', 'existing' or
+// 'waitlisted' (with `waitlistEntry` and `position` instead of an enrollment).
+const enrollStudent = async (studentId, course, { cohort: cohortId = null, skipPrerequisites = false, waitlist = false, fromWaitlist = false } = {}) => {
+  if (!course || course.status !== 'published') {
+    throw new EnrollmentError('Course not found or inactive', 404);
+  }
+
+  const existing = await Enrollment.findOne({ student: studentId, course: course._id });
+  if (existing && existing.isActive) {
+    return { enrollment: existing, status: 'existing' };
+  }
+
+  const offer = fromWaitlist
+    ? null
+    : await WaitlistEntry.findOne({ course: course._id, student: studentId, status: 'waiting', offerExpiresAt: { $ne: null } });
+  const waitlisted = fromWaitlist || Boolean(offer);
+
+  const windowError = waitlisted ? null : course.enrollmentWindowError();
+  if (windowError) {
+    throw new EnrollmentError(windowError, 400, {
+      enrollmentOpensAt: course.enrollmentOpensAt,
+      enrollmentClosesAt: course.enrollmentClosesAt
+    });
+  }
+
+  const cohort = await resolveCohort(course, cohortId);
+
+  // A full priced course can be joined without paying: the student waits and pays once a seat is offered
+  let payOnPromotion = false;
+  if (course.price > 0 && !(await Order.exists({ student: studentId, course: course._id, status: 'paid' }))) {
+    if (offer) {
+      throw new EnrollmentError(`A seat is held for you until ${offer.offerExpiresAt.toISOString()}; create an order to pay for it`, 402, {
+        paymentRequired: true,
+        price: course.price,
+        offerExpiresAt: offer.offerExpiresAt
+      });
+    }
+    if (!waitlist || !(await isCourseFull(course))) {
+      throw new EnrollmentError('This course requires payment; create an order first', 402, {
+        paymentRequired: true,
+        price: course.price
+      });
+    }
+    payOnPromotion = true;
+  }
+
+  const prerequisites = skipPrerequisites || waitlisted
+    ? { satisfied: true }
+    : await checkPrerequisites(studentId, course);
+  if (!prerequisites.satisfied) {
+    throw new EnrollmentError(
+      `Missing prerequisites: ${describeMissing(prerequisites.missing).join('; ')}`,
+      400,
+      { missingPrerequisites: prerequisites.missing }
+    );
+  }
+
+  if (payOnPromotion) {
+    const waitlistEntry = await joinWaitlist(studentId, course, cohort);
+    return { enrollment: null, status: 'waitlisted', waitlistEntry, position: await waitlistEntry.position() };
+  }
+
+  // The seat of an offer is already counted; taking the offer marks the entry promoted
+  const takenOffer = offer && await WaitlistEntry.findOneAndUpdate(
+    { _id: offer._id, status: 'waiting', offerExpiresAt: { $ne: null } },
+    { $set: { status: 'promoted', promotedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!takenOffer && !(await claimSeat(studentId, course, fromWaitlist))) {
+    if (!waitlist) {
+      throw new EnrollmentError('This course is full', 409, { full: true, capacity: course.capacity });
+    }
+    const waitlistEntry = await joinWaitlist(studentId, course, cohort);
+    return { enrollment: null, status: 'waitlisted', waitlistEntry, position: await waitlistEntry.position() };
+  }
+
+  let enrollment = existing;
+  try {
+    if (existing) {
+      existing.isActive = true;
+      existing.startDate = new Date();
+      existing.cohort = cohort ? cohort._id : null;
+      await existing.save();
+    } else {
+      enrollment = await Enrollment.create({ student: studentId, course: course._id, cohort: cohort ? cohort._id : null });
+    }
+  } catch (error) {
+    // Give the seat back, or the offer that holds it
+    if (takenOffer) {
+      await WaitlistEntry.updateOne({ _id: takenOffer._id }, { $set: { status: 'waiting', promotedAt: null } });
+    } else {
+      await adjustEnrollmentCount(course._id, -1);
+    }
+    // A concurrent request enrolled the student first
+    if (error.code === 11000) {
+      const current = await Enrollment.findOne({ student: studentId, course: course._id });
+      if (current && current.isActive) return { enrollment: current, status: 'existing' };
+    }
+    throw error;
+  }
+
+  // A student who got a seat no longer needs their place in the queue
+  await WaitlistEntry.updateOne(
+    takenOffer ? { _id: takenOffer._id } : { course: course._id, student: studentId, status: 'waiting' },
+    { $set: { status: 'promoted', promotedAt: new Date(), enrollment: enrollment._id } }
+  );
+
+  return { enrollment, status: existing ? 'reactivated' : 'created' };
+};
+
+// Whether a new student would have to wait for a seat
+const isCourseFull = async (course) =>
+  Boolean(course.capacity) && (
+    (course.enrollmentCount || 0) >= course.capacity ||
+    Boolean(await WaitlistEntry.exists({ course: course._id, status: 'waiting' }))
+  );
+
+module.exports = {
+  EnrollmentError,
+  enrollStudent,
+  isCourseFull,
+  moduleLockedMessage,
+  offerSeat,
+  resolveCohort
+};
@@ -1,7 +1,9 @@
 // utils/generateToken.js
 const jwt = require('jsonwebtoken');
 
-const generateToken = (user) => {
+// Issue a short-lived access token. `sid` ties it to a refresh token family so that
+// revoking the family (logout, reuse detection) also invalidates the access token.
+const generateToken = (user, sid) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET not set in environment variables');
   }
@@ -11,11 +13,12 @@ const generateToken = (user) => {
       id: user._id,
       name: user.name,
       email: user.email,
-      role: user.role || 'user'
+      role: user.role || 'user',
+      sid
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: process.env.JWT_EXPIRE || '15m'
     }
   );
 };
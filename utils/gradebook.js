@@ -0,0 +1,82 @@
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Enrollment = require('../models/Enrollment');
+const Quiz = require('../models/Quiz');
+
+const percentageOf = (earned, possible) =>
+  possible > 0 ? Math.round((earned / possible) * 10000) / 100 : null;
+
+// Per-student assignment and quiz scores for a course. Assignments count their graded
+// final score; quizzes count the best attempt. Ungraded or missing work is reported but
+// left out of the overall percentage.
+const buildGradebook = async (course) => {
+  const [assignments, quizzes, enrollments, submissions] = await Promise.all([
+    Assignment.find({ course: course._id, isActive: true }).sort({ dueDate: 1 }),
+    Quiz.find({ course: course._id, isActive: true }).sort({ moduleIndex: 1, createdAt: 1 }),
+    Enrollment.find({ course: course._id, isActive: true }).populate('student', 'name email'),
+    Submission.find({ course: course._id })
+  ]);
+
+  const submissionsByKey = new Map(
+    submissions.map(s => [`${s.student}:${s.assignment}`, s])
+  );
+
+  const students = enrollments
+    .filter(enrollment => enrollment.student)
+    .map(enrollment => {
+      const studentId = enrollment.student._id.toString();
+      let earned = 0;
+      let possible = 0;
+
+      const assignmentGrades = assignments.map(assignment => {
+        const submission = submissionsByKey.get(`${studentId}:${assignment._id}`);
+        const graded = submission && submission.status === 'graded';
+        if (graded) {
+          earned += submission.finalScore;
+          possible += assignment.maxScore;
+        }
+        return {
+          assignment: assignment._id,
+          status: submission ? submission.status : 'missing',
+          isLate: submission ? submission.isLate : false,
+          score: graded ? submission.finalScore : null,
+          maxScore: assignment.maxScore
+        };
+      });
+
+      const quizGrades = quizzes.map(quiz => {
+        const attempts = enrollment.quizAttempts.filter(a => a.quiz.toString() === quiz._id.toString());
+        const best = attempts.reduce((top, a) => (!top || a.percentage > top.percentage ? a : top), null);
+        if (best) {
+          earned += best.score;
+          possible += best.maxScore;
+        }
+        return {
+          quiz: quiz._id,
+          attempts: attempts.length,
+          score: best ? best.score : null,
+          maxScore: best ? best.maxScore : quiz.totalPoints,
+          passed: attempts.some(a => a.passed)
+        };
+      });
+
+      return {
+        student: enrollment.student,
+        enrollment: enrollment._id,
+        progress: enrollment.progress,
+        assignments: assignmentGrades,
+        quizzes: quizGrades,
+        total: { earned, possible, percentage: percentageOf(earned, possible) }
+      };
+    });
+
+  return {
+    assignments: assignments.map(a => ({ _id: a._id, title: a.title, dueDate: a.dueDate, maxScore: a.maxScore })),
+    quizzes: quizzes.map(q => ({ _id: q._id, title: q.title, moduleIndex: q.moduleIndex, totalPoints: q.totalPoints })),
+    students
+  };
+};
+
+module.exports = {
+  buildGradebook
+};
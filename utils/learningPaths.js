@@ -0,0 +1,129 @@
+// utils/learningPaths.js
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const mongoose = require('mongoose');
+const { EnrollmentError, enrollStudent } = require('./enrollments');
+const { issuePathCertificate } = require('./certificates');
+
+// Check that every step of a path refers to an existing, published course.
+// Returns an error message or null.
+const validateStepCourses = async (steps) => {
+  const ids = steps.map(step => String(step.course && step.course._id ? step.course._id : step.course));
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    return 'Every step needs a valid course ID';
+  }
+
+  const published = await Course.countDocuments({ _id: { $in: ids }, status: 'published' });
+  return published === new Set(ids).size ? null : 'Every step must be a published course';
+};
+
+// Work out each step's state for a path enrollment from the student's course enrollments and
+// save path progress. With `enroll` the student is also enrolled in steps that have just unlocked.
+// Step statuses: 'completed', 'in_progress', 'available' (unlocked but not enrolled; when the
+// student could not be enrolled, e.g. the course needs payment or its own prerequisites are
+// missing, see `blockedBy`) and 'locked'.
+const syncPathEnrollment = async (pathEnrollment, path, { enroll = true } = {}) => {
+  const courseIds = path.steps.map(step => step.course._id || step.course);
+
+  // Full course documents: enrolling checks price, capacity, enrollment window, cohorts and prerequisites
+  const [courses, enrollments] = await Promise.all([
+    Course.find({ _id: { $in: courseIds } }),
+    Enrollment.find({ student: pathEnrollment.student, course: { $in: courseIds } })
+  ]);
+
+  const courseById = new Map(courses.map(c => [c._id.toString(), c]));
+  const enrollmentByCourse = new Map(enrollments.map(e => [e.course.toString(), e]));
+
+  const steps = [];
+  for (let index = 0; index < path.steps.length; index++) {
+    const courseId = courseIds[index].toString();
+    const course = courseById.get(courseId) || null;
+    let enrollment = enrollmentByCourse.get(courseId) || null;
+
+    const unlocked = path.requiredSteps(index).every(required => steps[required].status === 'completed');
+    let status;
+    let blockedBy;
+
+    // Refunded or left courses do not count, even if they were finished
+    if (enrollment && enrollment.isActive && enrollment.progress === 100) {
+      status = 'completed';
+    } else if (!unlocked) {
+      status = 'locked';
+    } else if (enrollment && enrollment.isActive) {
+      status = 'in_progress';
+    } else if (enroll && pathEnrollment.isActive && course && course.status === 'published') {
+      try {
+        ({ enrollment } = await enrollStudent(pathEnrollment.student, course));
+        status = 'in_progress';
+      } catch (error) {
+        if (!(error instanceof EnrollmentError)) throw error;
+        status = 'available';
+        blockedBy = { reason: error.message, ...error.details };
+      }
+    } else {
+      status = 'available';
+    }
+
+    steps.push({
+      index,
+      course: course ? { _id: course._id, title: course.title, difficulty: course.difficulty } : courseIds[index],
+      prerequisites: path.requiredSteps(index),
+      status,
+      progress: enrollment && enrollment.isActive ? enrollment.progress : 0,
+      enrollment: enrollment ? enrollment._id : null,
+      ...(blockedBy && { blockedBy })
+    });
+  }
+
+  const completedSteps = steps.filter(step => step.status === 'completed').length;
+  pathEnrollment.completedSteps = completedSteps;
+  pathEnrollment.progress = steps.length
+    ? Math.floor(steps.reduce((sum, step) => sum + step.progress, 0) / steps.length)
+    : 0;
+
+  const completed = steps.length > 0 && completedSteps === steps.length;
+  if (completed && !pathEnrollment.completionDate) {
+    pathEnrollment.completionDate = new Date();
+  } else if (!completed) {
+    pathEnrollment.completionDate = null;
+  }
+  await pathEnrollment.save();
+
+  if (pathEnrollment.completionDate && !pathEnrollment.certificateIssued) {
+    try {
+      await issuePathCertificate(pathEnrollment, path);
+    } catch (certificateError) {
+      // The certificate can still be issued later from GET /api/paths/:id/certificate
+      console.error('Issue path certificate error:', certificateError);
+    }
+  }
+
+  return { pathEnrollment, steps };
+};
+
+// Re-sync every active path enrollment of the student that includes the enrollment's course,
+// so completing a course advances the paths it belongs to
+const advanceLearningPaths = async (enrollment) => {
+  const paths = await LearningPath.find({ 'steps.course': enrollment.course }).select('_id');
+  if (!paths.length) return;
+
+  const pathEnrollments = await PathEnrollment.find({
+    student: enrollment.student,
+    path: { $in: paths.map(p => p._id) },
+    isActive: true
+  }).populate('path');
+
+  for (const pathEnrollment of pathEnrollments) {
+    if (pathEnrollment.path) {
+      await syncPathEnrollment(pathEnrollment, pathEnrollment.path);
+    }
+  }
+};
+
+module.exports = {
+  validateStepCourses,
+  syncPathEnrollment,
+  advanceLearningPaths
+};
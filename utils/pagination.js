@@ -0,0 +1,177 @@
+// utils/pagination.js
+// Shared pagination for list endpoints.
+//
+// Cursor mode (the default) pages by the sort key values of the last item returned, so
+// documents inserted while a client is paging do not shift or duplicate results. The
+// cursor is opaque base64url text. Sorts on computed values (text score) cannot be keyed,
+// so their cursors carry an offset instead.
+//
+// Page mode (`?page=N`, or forced with mode: 'page' for admin tables) uses skip/limit and
+// also reports the total count.
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+    this.statusCode = 400;
+  }
+}
+
+// Values are tagged so that dates and ids survive the JSON round trip
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return { v: value === undefined ? null : value };
+};
+
+// Cursors come from the client and their values go into the query, so only plain values are
+// accepted: an object such as { $ne: null } would otherwise act as a query operator
+const isPlainValue = (value) =>
+  value === null || typeof value === 'string' || typeof value === 'boolean' ||
+  (typeof value === 'number' && Number.isFinite(value));
+
+const decodeValue = (tagged) => {
+  if (!tagged || typeof tagged !== 'object' || Array.isArray(tagged)) throw new PaginationError('Invalid cursor');
+  if ('d' in tagged) {
+    const date = typeof tagged.d === 'string' ? new Date(tagged.d) : null;
+    if (!date || Number.isNaN(date.getTime())) throw new PaginationError('Invalid cursor');
+    return date;
+  }
+  if ('o' in tagged) {
+    if (typeof tagged.o !== 'string' || !mongoose.isValidObjectId(tagged.o)) throw new PaginationError('Invalid cursor');
+    return new mongoose.Types.ObjectId(tagged.o);
+  }
+  if (!isPlainValue(tagged.v)) throw new PaginationError('Invalid cursor');
+  return tagged.v;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+  if (!decoded || typeof decoded !== 'object') throw new PaginationError('Invalid cursor');
+  return decoded;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Sort with a trailing _id so every position is unique
+const stableSort = (sort) => (sort._id !== undefined ? sort : { ...sort, _id: 1 });
+
+const isKeyable = (sort) => Object.values(sort).every(direction => direction === 1 || direction === -1);
+
+// Condition for a field's value to come strictly after `value`. MongoDB sorts null and
+// missing values before all others, which a plain $gt/$lt would skip; null means nothing
+// can come after (descending past the nulls).
+const afterValue = (direction, value) => {
+  if (direction === 1) return value === null ? { $ne: null } : { $gt: value };
+  return value === null ? null : { $not: { $gte: value } };
+};
+
+// Filter selecting documents strictly after `values` in `sort` order
+const keysetFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.flatMap((field, i) => {
+      const after = afterValue(sort[field], values[i]);
+      if (!after) return [];
+
+      const condition = {};
+      fields.slice(0, i).forEach((previous, j) => { condition[previous] = values[j]; });
+      condition[field] = after;
+      return [condition];
+    })
+  };
+};
+
+// Read limit/page/cursor from a query string, clamping the page size
+const parsePagination = (params = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT, mode } = {}) => {
+  const requested = parseInt(params.limit);
+  const limit = Math.min(Number.isInteger(requested) && requested > 0 ? requested : defaultLimit, maxLimit);
+  const usePages = mode === 'page' || (mode !== 'cursor' && params.page !== undefined && !params.cursor);
+  const page = Math.max(parseInt(params.page) || 1, 1);
+
+  return usePages
+    ? { mode: 'page', limit, page, skip: (page - 1) * limit }
+    : { mode: 'cursor', limit, cursor: params.cursor || null };
+};
+
+// Run a paginated find. `build` can add populate/select/projection to the query.
+// Returns { items, pagination }.
+const paginate = async (model, filter, { sort = { createdAt: -1 }, params = {}, build = q => q, ...options } = {}) => {
+  const settings = parsePagination(params, options);
+  const order = stableSort(sort);
+
+  if (settings.mode === 'page') {
+    const [items, total] = await Promise.all([
+      build(model.find(filter)).sort(order).skip(settings.skip).limit(settings.limit),
+      model.countDocuments(filter)
+    ]);
+
+    return {
+      items,
+      pagination: {
+        mode: 'page',
+        page: settings.page,
+        limit: settings.limit,
+        total,
+        pages: Math.ceil(total / settings.limit),
+        hasMore: settings.skip + items.length < total
+      }
+    };
+  }
+
+  const keyable = isKeyable(order);
+  const fields = Object.keys(order);
+  const decoded = settings.cursor ? decodeCursor(settings.cursor) : null;
+  let query = filter;
+  let offset = 0;
+
+  if (decoded && keyable) {
+    if (!Array.isArray(decoded.k) || decoded.k.length !== fields.length) {
+      throw new PaginationError('Invalid cursor');
+    }
+    query = { $and: [filter, keysetFilter(order, decoded.k.map(decodeValue))] };
+  } else if (decoded) {
+    offset = Number.isInteger(decoded.o) && decoded.o >= 0 ? decoded.o : 0;
+  }
+
+  const rows = await build(model.find(query)).sort(order).skip(offset).limit(settings.limit + 1);
+  const hasMore = rows.length > settings.limit;
+  const items = hasMore ? rows.slice(0, settings.limit) : rows;
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = items[items.length - 1];
+    nextCursor = keyable
+      ? encodeCursor({ k: fields.map(field => encodeValue(getPath(last, field))) })
+      : encodeCursor({ o: offset + items.length });
+  }
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit: settings.limit,
+      nextCursor,
+      hasMore
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  parsePagination,
+  paginate
+};
@@ -0,0 +1,125 @@
+// utils/payments.js
+// Pluggable payment provider. PAYMENT_PROVIDER selects one of:
+//   fake - in-process provider for development and tests (default; refused in production)
+// A provider implements:
+//   createPayment({ amount, currency, metadata }) -> { paymentId, clientSecret }
+//   confirmPayment(paymentId, details)             -> { status: 'succeeded' | 'failed', message }
+//   refundPayment(paymentId, amount)               -> { refundId }
+//   parseWebhook(rawBody, headers)                 -> { id, type, paymentId } (throws PaymentError if invalid)
+// Webhook event types are normalized to 'payment.succeeded', 'payment.failed' and 'payment.refunded'.
+// The provider is resolved on first use, so a missing or misconfigured provider only disables
+// checkout (PaymentError 503) rather than the whole API. Tests can swap in their own with setProvider().
+const crypto = require('crypto');
+
+class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Payments are kept in memory; confirming with { token: 'tok_fail' } simulates a declined card.
+// Webhooks are signed with an HMAC-SHA256 of the raw body in the `x-fake-signature` header.
+// It approves almost any payment, so it never runs in production.
+const fakeProvider = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new PaymentError("Payments are unavailable: the 'fake' payment provider cannot be used in production; set PAYMENT_PROVIDER", 503);
+  }
+  const webhookSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    throw new PaymentError('Payments are unavailable: FAKE_PAYMENT_WEBHOOK_SECRET is required for the fake payment provider', 503);
+  }
+
+  const payments = new Map();
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+  const getPayment = (paymentId) => {
+    const payment = payments.get(paymentId);
+    if (!payment) throw new PaymentError('Unknown payment', 404);
+    return payment;
+  };
+
+  return {
+    name: 'fake',
+    createPayment: async ({ amount, currency }) => {
+      const paymentId = newId('fake_pi');
+      payments.set(paymentId, { amount, currency, status: 'pending' });
+      return { paymentId, clientSecret: `${paymentId}_secret` };
+    },
+    confirmPayment: async (paymentId, details = {}) => {
+      const payment = getPayment(paymentId);
+      if (payment.status === 'succeeded') return { status: 'succeeded' };
+
+      payment.status = details.token === 'tok_fail' ? 'failed' : 'succeeded';
+      return {
+        status: payment.status,
+        message: payment.status === 'failed' ? 'Card declined' : undefined
+      };
+    },
+    refundPayment: async (paymentId, amount) => {
+      const payment = getPayment(paymentId);
+      if (payment.status !== 'succeeded') {
+        throw new PaymentError('Only successful payments can be refunded');
+      }
+      if (amount > payment.amount) {
+        throw new PaymentError('Refund exceeds the amount paid');
+      }
+      payment.status = 'refunded';
+      return { refundId: newId('fake_re') };
+    },
+    parseWebhook: (rawBody, headers = {}) => {
+      const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody || '').digest('hex');
+      const signature = String(headers['x-fake-signature'] || '');
+      if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new PaymentError('Invalid webhook signature', 401);
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString());
+      } catch (error) {
+        throw new PaymentError('Invalid webhook payload');
+      }
+      if (!event || !event.id || !event.type) {
+        throw new PaymentError('Invalid webhook payload');
+      }
+      return { id: event.id, type: event.type, paymentId: event.data && event.data.paymentId };
+    },
+    // Sign a payload the way parseWebhook expects, for local testing
+    signWebhook: (rawBody) => crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex')
+  };
+};
+
+const providers = {
+  fake: fakeProvider
+};
+
+// Currency for new orders and price quotes
+const paymentCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = (process.env.PAYMENT_PROVIDER || 'fake').toLowerCase();
+    if (!providers[name]) {
+      throw new PaymentError(`Payments are unavailable: unknown PAYMENT_PROVIDER '${name}'`, 503);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Replace the active provider, e.g. with a stub in tests
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  PaymentError,
+  paymentCurrency,
+  getProvider,
+  setProvider
+};
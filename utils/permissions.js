@@ -0,0 +1,110 @@
+// utils/permissions.js
+// Central policy definitions. A permission is "resource:action" optionally followed by a
+// scope: ":own" (only documents the user owns) or ":any". "resource:*" grants every action
+// on a resource and "*" grants everything.
+const Role = require('../models/Role');
+
+const STUDENT_PERMISSIONS = [
+  'course:read',
+  'enrollment:create',
+  'enrollment:read:own',
+  'enrollment:update:own',
+  'enrollment:delete:own',
+  'order:read:own',
+  'order:update:own',
+  'note:create',
+  'note:read:own',
+  'note:update:own',
+  'note:delete:own',
+  'review:create',
+  'review:update:own',
+  'review:delete:own',
+  'review:vote',
+  'review:report',
+  'submission:create'
+];
+
+const BUILT_IN_ROLES = {
+  student: STUDENT_PERMISSIONS,
+  instructor: [
+    ...STUDENT_PERMISSIONS,
+    'course:create',
+    'course:update:own',
+    'course:publish:own',
+    'course:delete:own',
+    'submission:grade:own'
+  ],
+  admin: ['*']
+};
+
+const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+// Custom roles are cached briefly so that permission checks do not hit the database on every request
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const invalidateRoleCache = (name) => {
+  if (name) roleCache.delete(name);
+  else roleCache.clear();
+};
+
+// Resolve the permission list granted to a role name (empty for unknown roles)
+const getRolePermissions = async (name) => {
+  if (isBuiltInRole(name)) return BUILT_IN_ROLES[name];
+
+  const cached = roleCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await Role.findOne({ name }).select('permissions').lean();
+  const permissions = role ? role.permissions : [];
+  roleCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return permissions;
+};
+
+const roleExists = async (name) => isBuiltInRole(name) || Boolean(await Role.exists({ name }));
+
+// Which scope of `permission` ("resource:action") is granted: 'any', 'own' or null
+const grantedScope = (granted, permission) => {
+  const [resource, action] = permission.split(':');
+  const has = (p) => granted.includes(p);
+
+  if (has('*') || has(`${resource}:*`) || has(`${resource}:${action}`) || has(`${resource}:${action}:any`)) {
+    return 'any';
+  }
+  if (has(`${resource}:${action}:own`)) return 'own';
+  return null;
+};
+
+// Whether any scope of `permission` is granted
+const hasPermission = (granted, permission) => grantedScope(granted, permission) !== null;
+
+// Whether `user` owns `doc`, where ownerField holds a user id or a populated user.
+// Dotted paths follow populated references, e.g. 'course.owner' for a quiz.
+const isOwner = (user, doc, ownerField) => {
+  if (!user || !doc) return false;
+  const owner = ownerField.split('.').reduce((value, key) => (value ? value[key] : null), doc);
+  if (!owner) return false;
+
+  const ownerId = owner._id ? owner._id : owner;
+  return ownerId.toString() === user._id.toString();
+};
+
+// Full check for an action on a specific document
+const can = (granted, permission, user, doc, ownerField) => {
+  const scope = grantedScope(granted, permission);
+  if (scope === 'any') return true;
+  return scope === 'own' && isOwner(user, doc, ownerField);
+};
+
+module.exports = {
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  getRolePermissions,
+  roleExists,
+  invalidateRoleCache,
+  grantedScope,
+  hasPermission,
+  isOwner,
+  can
+};
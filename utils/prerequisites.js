@@ -0,0 +1,93 @@
+// utils/prerequisites.js
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const PrerequisiteOverride = require('../models/PrerequisiteOverride');
+
+// Check which of a course's prerequisites a student is still missing. Completed enrollments
+// count even if the student has since unenrolled. Returns
+// { satisfied, overridden, missing: [{ type: 'course', course } | { type: 'difficulty', difficulty, category }] }
+const checkPrerequisites = async (studentId, course) => {
+  // Prerequisites may be populated
+  const prerequisiteIds = (course.prerequisites || []).map(p => p._id || p);
+  const level = Course.DIFFICULTIES.indexOf(course.difficulty);
+  const needsProgression = course.requiresDifficultyProgression && level > 0;
+
+  if (!prerequisiteIds.length && !needsProgression) {
+    return { satisfied: true, overridden: false, missing: [] };
+  }
+
+  const completed = await Enrollment.find({ student: studentId, progress: 100 })
+    .populate('course', 'difficulty category');
+  const completedIds = new Set(completed.filter(e => e.course).map(e => e.course._id.toString()));
+
+  const missingIds = prerequisiteIds.filter(id => !completedIds.has(id.toString()));
+  const missingCourses = missingIds.length
+    ? await Course.find({ _id: { $in: missingIds } }).select('title difficulty category status')
+    : [];
+  const missing = missingCourses.map(c => ({ type: 'course', course: c }));
+
+  if (needsProgression) {
+    const previous = Course.DIFFICULTIES[level - 1];
+    const progressed = completed.some(
+      e => e.course && e.course.category === course.category && e.course.difficulty === previous
+    );
+    if (!progressed) {
+      missing.push({ type: 'difficulty', difficulty: previous, category: course.category });
+    }
+  }
+
+  if (!missing.length) {
+    return { satisfied: true, overridden: false, missing };
+  }
+
+  const overridden = Boolean(await PrerequisiteOverride.exists({ student: studentId, course: course._id }));
+  return { satisfied: overridden, overridden, missing };
+};
+
+// Human-readable list of missing prerequisites for error messages
+const describeMissing = (missing) =>
+  missing.map(item => item.type === 'course'
+    ? item.course.title
+    : `a completed ${item.difficulty} course in ${item.category}`);
+
+// Find the prerequisite ids that do not exist, are not published (students could never complete
+// them) or would make the course (transitively) require itself. Returns an error message or null.
+const validatePrerequisites = async (course, prerequisiteIds) => {
+  const ids = prerequisiteIds.map(id => id.toString());
+  if (!ids.length) return null;
+
+  const found = await Course.find({ _id: { $in: ids } }).select('title status prerequisites');
+  if (found.length !== new Set(ids).size) {
+    return 'One or more prerequisite courses do not exist';
+  }
+  const unpublished = found.filter(c => c.status !== 'published');
+  if (unpublished.length) {
+    return `Prerequisite courses must be published: ${unpublished.map(c => c.title).join(', ')}`;
+  }
+
+  // Walk the prerequisite graph from the new prerequisites looking for this course
+  const target = course._id.toString();
+  const seen = new Set();
+  let frontier = found;
+  while (frontier.length) {
+    const next = [];
+    for (const c of frontier) {
+      const id = c._id.toString();
+      if (id === target) return 'Prerequisites cannot form a cycle';
+      if (seen.has(id)) continue;
+      seen.add(id);
+      next.push(...c.prerequisites.map(p => p.toString()));
+    }
+    const unseen = next.filter(id => !seen.has(id));
+    if (unseen.includes(target)) return 'Prerequisites cannot form a cycle';
+    frontier = unseen.length ? await Course.find({ _id: { $in: unseen } }).select('prerequisites') : [];
+  }
+
+  return null;
+};
+
+module.exports = {
+  checkPrerequisites,
+  describeMissing,
+  validatePrerequisites
+};
@@ -0,0 +1,36 @@
+// utils/progress.js
+const Quiz = require('../models/Quiz');
+const { issueCertificate } = require('./certificates');
+const { advanceLearningPaths } = require('./learningPaths');
+
+// Recompute an enrollment's progress against its course, save it, issue the
+// certificate once the course is completed and advance any learning paths it belongs to
+const syncEnrollmentProgress = async (enrollment, course) => {
+  const quizzes = await Quiz.find({ course: course._id, isActive: true }).select('_id moduleIndex');
+
+  enrollment.recalculateProgress(course, quizzes);
+  enrollment.lastAccessedAt = new Date();
+  await enrollment.save();
+
+  if (enrollment.isActive && enrollment.progress === 100 && !enrollment.certificateIssued) {
+    try {
+      await issueCertificate(enrollment);
+    } catch (certificateError) {
+      // The certificate can still be issued later from GET /api/enrollments/:id/certificate
+      console.error('Issue certificate error:', certificateError);
+    }
+  }
+
+  try {
+    await advanceLearningPaths(enrollment);
+  } catch (pathError) {
+    // Paths are re-synced whenever their progress is requested, so a failure here is recoverable
+    console.error('Advance learning paths error:', pathError);
+  }
+
+  return enrollment;
+};
+
+module.exports = {
+  syncEnrollmentProgress
+};
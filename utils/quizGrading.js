@@ -0,0 +1,64 @@
+// utils/quizGrading.js
+
+// Exact-match comparison for short answers: surrounding and repeated whitespace is ignored
+const normalizeAnswer = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const isCorrect = (question, answer) => {
+  if (answer === undefined || answer === null) return false;
+
+  switch (question.type) {
+    // Option indices must be integers: blank values like '' or [] would otherwise coerce to 0
+    case 'multiple_choice':
+      return Number.isInteger(answer) && answer === question.correctOptions[0];
+    case 'multi_select': {
+      if (!Array.isArray(answer) || !answer.every(Number.isInteger)) return false;
+      const given = [...new Set(answer)].sort((a, b) => a - b);
+      const expected = [...question.correctOptions].sort((a, b) => a - b);
+      return given.length === expected.length && given.every((value, i) => value === expected[i]);
+    }
+    case 'true_false':
+      return answer === question.correctBoolean;
+    case 'short_answer': {
+      const given = normalizeAnswer(answer, question.caseSensitive);
+      return question.acceptedAnswers.some(accepted => normalizeAnswer(accepted, question.caseSensitive) === given);
+    }
+    default:
+      return false;
+  }
+};
+
+// Grade a submission. `answers` maps question ids to the student's answer:
+// an option index (multiple_choice), an array of indices (multi_select),
+// a boolean (true_false) or a string (short_answer).
+const gradeQuiz = (quiz, answers = {}) => {
+  const results = quiz.questions.map(question => {
+    const answer = answers[question._id.toString()];
+    const correct = isCorrect(question, answer);
+
+    return {
+      question: question._id,
+      answer: answer === undefined ? null : answer,
+      correct,
+      pointsAwarded: correct ? question.points : 0
+    };
+  });
+
+  const score = results.reduce((sum, r) => sum + r.pointsAwarded, 0);
+  const maxScore = quiz.questions.reduce((sum, q) => sum + q.points, 0);
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 1000) / 10 : 0;
+
+  return {
+    results,
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= quiz.passingScore
+  };
+};
+
+module.exports = {
+  gradeQuiz
+};
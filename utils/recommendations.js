@@ -0,0 +1,174 @@
+// utils/recommendations.js
+// Course recommendations for a user, scored from three signals:
+//   - interests: profile areasOfInterest/skills matching a course's category or tags
+//   - co-enrollment: courses taken by students who share courses with the user
+//   - progression: the next difficulty level in categories the user has completed courses in
+// Each signal that contributes to a course's score adds a human-readable reason.
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+
+const DIFFICULTY_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+const MAX_CANDIDATES = 500;
+const MAX_PEERS = 500;
+
+const WEIGHTS = {
+  interestCategory: 3,
+  interestTag: 2,
+  skillTag: 1,
+  coEnrollment: 2,
+  nextLevel: 3,
+  sameLevel: 1,
+  belowLevel: -2,
+  rating: 0.3
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Courses taken by students who share at least one course with the user, with the
+// user's course that links them most often
+const coEnrollmentStats = async (userId, courseIds) => {
+  if (courseIds.length === 0) return new Map();
+
+  const shared = await Enrollment.find({ course: { $in: courseIds }, student: { $ne: userId } })
+    .select('student course')
+    .limit(MAX_PEERS * 5)
+    .lean();
+
+  const sharedByPeer = new Map();
+  shared.forEach(({ student, course }) => {
+    const key = student.toString();
+    if (!sharedByPeer.has(key)) {
+      if (sharedByPeer.size >= MAX_PEERS) return;
+      sharedByPeer.set(key, new Set());
+    }
+    sharedByPeer.get(key).add(course.toString());
+  });
+  if (sharedByPeer.size === 0) return new Map();
+
+  const peerEnrollments = await Enrollment.find({
+    student: { $in: [...sharedByPeer.keys()] },
+    course: { $nin: courseIds }
+  }).select('student course').lean();
+
+  const stats = new Map();
+  peerEnrollments.forEach(({ student, course }) => {
+    const key = course.toString();
+    if (!stats.has(key)) stats.set(key, { students: 0, via: new Map() });
+    const entry = stats.get(key);
+    entry.students++;
+    sharedByPeer.get(student.toString()).forEach(source => {
+      entry.via.set(source, (entry.via.get(source) || 0) + 1);
+    });
+  });
+  return stats;
+};
+
+// Highest completed difficulty per category, with the course that reached it
+const completedLevels = (enrollments) => {
+  const levels = new Map();
+  enrollments
+    .filter(e => e.progress === 100 && e.course)
+    .forEach(({ course }) => {
+      const category = normalize(course.category);
+      const level = DIFFICULTY_LEVELS.indexOf(course.difficulty);
+      const current = levels.get(category);
+      if (!current || level > current.level) {
+        levels.set(category, { level, title: course.title });
+      }
+    });
+  return levels;
+};
+
+// Recommend up to `limit` published courses the user is not enrolled in.
+// Returns [{ course, score, reasons }].
+const recommendCourses = async (user, { limit = 10 } = {}) => {
+  const enrollments = await Enrollment.find({ student: user._id })
+    .populate('course', 'title category difficulty')
+    .lean();
+  const enrolledIds = enrollments.map(e => (e.course ? e.course._id : null)).filter(Boolean);
+  const titles = new Map(enrollments.filter(e => e.course).map(e => [e.course._id.toString(), e.course.title]));
+
+  const profile = user.profile || {};
+  const interests = new Map((profile.areasOfInterest || []).map(i => [normalize(i), i]));
+  const skills = new Map((profile.skills || []).map(s => [normalize(s), s]));
+
+  const [candidates, coEnrollment] = await Promise.all([
+    Course.find({ status: 'published', _id: { $nin: enrolledIds } })
+      .select('title description instructor category difficulty tags price image averageRating reviewCount enrollmentCount totalMinutes')
+      .sort({ enrollmentCount: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    coEnrollmentStats(user._id, enrolledIds)
+  ]);
+  const levels = completedLevels(enrollments);
+
+  const scored = candidates.map(course => {
+    let score = 0;
+    const reasons = [];
+    const category = normalize(course.category);
+    const tags = (course.tags || []).map(normalize);
+
+    if (interests.has(category)) {
+      score += WEIGHTS.interestCategory;
+      reasons.push(`Matches your interest in ${interests.get(category)}`);
+    }
+
+    const interestTags = tags.filter(tag => interests.has(tag) && tag !== category);
+    if (interestTags.length > 0) {
+      score += WEIGHTS.interestTag * interestTags.length;
+      reasons.push(`Covers ${interestTags.map(tag => interests.get(tag)).join(', ')} from your interests`);
+    }
+
+    const skillTags = tags.filter(tag => skills.has(tag));
+    if (skillTags.length > 0) {
+      score += WEIGHTS.skillTag * skillTags.length;
+      reasons.push(`Builds on your ${skillTags.map(tag => skills.get(tag)).join(', ')} skills`);
+    }
+
+    const peers = coEnrollment.get(course._id.toString());
+    if (peers) {
+      score += WEIGHTS.coEnrollment * Math.log2(1 + peers.students);
+      const [source] = [...peers.via.entries()].sort((a, b) => b[1] - a[1])[0];
+      reasons.push(`Students who took ${titles.get(source)} also took this course`);
+    }
+
+    const completed = levels.get(category);
+    const level = DIFFICULTY_LEVELS.indexOf(course.difficulty);
+    if (completed) {
+      if (level === completed.level + 1) {
+        score += WEIGHTS.nextLevel;
+        reasons.push(`Next step after completing ${completed.title} (${DIFFICULTY_LEVELS[completed.level]} → ${course.difficulty})`);
+      } else if (level === completed.level) {
+        score += WEIGHTS.sameLevel;
+      } else if (level < completed.level) {
+        score += WEIGHTS.belowLevel;
+      }
+    }
+
+    // Ratings only break ties between courses some signal already recommends
+    if (reasons.length > 0) {
+      score += WEIGHTS.rating * (course.averageRating || 0);
+    }
+
+    return { course, score: Math.round(score * 100) / 100, reasons };
+  });
+
+  const recommended = scored
+    .filter(r => r.reasons.length > 0 && r.score > 0)
+    .sort((a, b) => b.score - a.score || b.course.enrollmentCount - a.course.enrollmentCount);
+
+  // Without enough personal signals, fill up with popular courses
+  if (recommended.length < limit) {
+    const chosen = new Set(recommended.map(r => r.course._id.toString()));
+    scored
+      .filter(r => !chosen.has(r.course._id.toString()) && r.score >= 0)
+      .slice(0, limit - recommended.length)
+      .forEach(r => recommended.push({ ...r, reasons: ['Popular with students'] }));
+  }
+
+  return recommended.slice(0, limit);
+};
+
+module.exports = {
+  recommendCourses
+};
@@ -0,0 +1,108 @@
+// utils/refreshTokens.js
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const generateToken = require('./generateToken');
+const { createToken, hashToken } = require('./tokens');
+const { createSession, revokeSession } = require('./sessions');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Error raised for refresh tokens that cannot be exchanged
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.statusCode = 401;
+  }
+}
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Persist a new refresh token for the given session and return the raw token
+const issueRefreshToken = async (user, session, expiresAt, req) => {
+  const { token, hashedToken } = createToken(48);
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashedToken,
+    family: session._id.toString(),
+    expiresAt,
+    createdByIp: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') || null : null
+  });
+
+  return { token, record };
+};
+
+// Start a new session (a login) and return an access/refresh token pair
+const createAuthTokens = async (user, req) => {
+  const expiresAt = refreshExpiry();
+  const session = await createSession(user, expiresAt, req);
+  const { token: refreshToken } = await issueRefreshToken(user, session, expiresAt, req);
+
+  return {
+    token: generateToken(user, session._id.toString()),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was already rotated
+// means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  ).populate('user');
+
+  if (!current) {
+    const stale = await RefreshToken.findOne({ tokenHash });
+
+    if (stale && stale.revokedReason === 'rotated') {
+      await revokeSession(stale.family, 'reuse_detected');
+      throw new RefreshTokenError('Refresh token reuse detected. Please login again.');
+    }
+    if (stale && !stale.revokedAt) {
+      throw new RefreshTokenError('Refresh token expired. Please login again.');
+    }
+    throw new RefreshTokenError('Refresh token is not valid');
+  }
+
+  const session = await Session.findOne({ _id: current.family, revokedAt: null });
+  if (!session) {
+    throw new RefreshTokenError('Session has been revoked. Please login again.');
+  }
+
+  const user = current.user;
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'logout');
+    throw new RefreshTokenError('Account is not available');
+  }
+
+  const expiresAt = refreshExpiry();
+  const { token: refreshToken, record } = await issueRefreshToken(user, session, expiresAt, req);
+
+  current.replacedBy = record._id;
+  await current.save();
+
+  session.expiresAt = expiresAt;
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return {
+    user,
+    token: generateToken(user, current.family),
+    refreshToken,
+    session
+  };
+};
+
+module.exports = {
+  RefreshTokenError,
+  createAuthTokens,
+  rotateRefreshToken
+};
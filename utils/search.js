@@ -0,0 +1,292 @@
+// utils/search.js
+// Search across courses, notes and reviews. MongoDB's $text index finds whole-word
+// (stemmed) matches; to also catch prefixes and typos, candidates are fetched by a regex
+// on each term's first characters (allowing one typo among them) and then scored here,
+// term by term, against the words of each field: exact match > prefix > small edit distance.
+const Course = require('../models/Course');
+const Note = require('../models/Note');
+const Review = require('../models/Review');
+
+const MAX_TERMS = 8;
+const MAX_CANDIDATES = 200;
+const PREFIX_LENGTH = 3;
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+const parseTerms = (q) => [...new Set(tokenize(q).filter(term => term.length >= 2))].slice(0, MAX_TERMS);
+
+// Edit distance counting insertions, deletions, substitutions and adjacent transpositions
+// ("raect" -> "react" is one edit). Gives up (returning max + 1) once it exceeds max.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a term of this length
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// How well `word` matches `term`, from 0 (no match) to 1 (exact)
+const matchQuality = (term, word) => {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  const typos = allowedTypos(term);
+  if (typos === 0) return 0;
+  // Compare against the word and against its prefix, so "reac" ~ "react" and "javscript" ~ "javascript"
+  const distance = Math.min(
+    editDistance(term, word, typos),
+    editDistance(term, word.slice(0, term.length), typos)
+  );
+  return distance <= typos ? 0.6 - 0.1 * distance : 0;
+};
+
+// Score a document's fields ({ text, weight }) against the terms
+const scoreFields = (terms, fields) => {
+  const words = fields.map(field => ({ weight: field.weight, words: [...new Set(tokenize(field.text))] }));
+  let matched = 0;
+
+  const score = terms.reduce((total, term) => {
+    const best = words.reduce((top, field) => {
+      const quality = field.words.reduce((q, word) => Math.max(q, matchQuality(term, word)), 0);
+      return Math.max(top, quality * field.weight);
+    }, 0);
+    if (best > 0) matched++;
+    return total + best;
+  }, 0);
+
+  // Documents matching every term rank above ones matching only some
+  return { score: matched === terms.length ? score * 1.5 : score, matched };
+};
+
+// A window of `text` around the first matching word, with matches wrapped in <mark>
+const highlight = (terms, text, length = SNIPPET_LENGTH) => {
+  const source = String(text || '');
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  const matches = [];
+  let match;
+  while ((match = wordPattern.exec(source)) !== null) {
+    const word = match[0].toLowerCase();
+    if (terms.some(term => matchQuality(term, word) > 0)) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  let start = 0;
+  if (matches.length > 0 && source.length > length) {
+    start = Math.max(0, Math.min(matches[0].start - Math.floor(length / 4), source.length - length));
+  }
+  const end = Math.min(source.length, start + length);
+
+  let snippet = '';
+  let cursor = start;
+  matches
+    .filter(m => m.start >= start && m.end <= end)
+    .forEach(m => {
+      snippet += escapeHtml(source.slice(cursor, m.start)) + '<mark>' + escapeHtml(source.slice(m.start, m.end)) + '</mark>';
+      cursor = m.end;
+    });
+  snippet += escapeHtml(source.slice(cursor, end));
+
+  return (start > 0 ? '…' : '') + snippet + (end < source.length ? '…' : '');
+};
+
+// Regex alternatives for the first PREFIX_LENGTH characters of the words `term` may stand for.
+// Terms that allow typos also get every variant one substitution, insertion, deletion or
+// transposition away ('.' for an unknown character), so "raect" still fetches "react".
+const prefixPatterns = (term) => {
+  const patterns = new Set([escapeRegex(term.slice(0, PREFIX_LENGTH))]);
+  if (allowedTypos(term) === 0) return [...patterns];
+
+  // One character more than the prefix, so that a deletion still leaves a full prefix
+  const chars = [...term.slice(0, PREFIX_LENGTH + 1)];
+  const add = (variant) => patterns.add(
+    variant.slice(0, PREFIX_LENGTH).map(c => (c === null ? '.' : escapeRegex(c))).join('')
+  );
+  for (let i = 0; i < PREFIX_LENGTH; i++) {
+    add([...chars.slice(0, i), null, ...chars.slice(i + 1)]);
+    add([...chars.slice(0, i), null, ...chars.slice(i)]);
+    add([...chars.slice(0, i), ...chars.slice(i + 1)]);
+    if (i + 1 < chars.length) add([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)]);
+  }
+  return [...patterns];
+};
+
+// Candidate documents for `terms`: $text matches plus regex prefix matches
+const findCandidates = async (model, filter, fields, terms, select) => {
+  const prefixes = [...new Set(terms.flatMap(prefixPatterns))];
+  const pattern = `(^|\\W)(${prefixes.join('|')})`;
+  const regexFilter = {
+    ...filter,
+    $or: fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+  };
+
+  const [textMatches, prefixMatches] = await Promise.all([
+    model.find({ ...filter, $text: { $search: terms.join(' ') } }, { score: { $meta: 'textScore' } })
+      .select(select)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    model.find(regexFilter).select(select).limit(MAX_CANDIDATES).lean()
+  ]);
+
+  const byId = new Map();
+  [...textMatches, ...prefixMatches].forEach(doc => {
+    const id = doc._id.toString();
+    if (!byId.has(id)) byId.set(id, doc);
+  });
+  return [...byId.values()];
+};
+
+// Score, rank and trim candidates into result items
+const rank = (terms, docs, describe, limit) => {
+  const scored = docs
+    .map(doc => {
+      const { fields, item } = describe(doc);
+      const { score, matched } = scoreFields(terms, fields);
+      // $text relevance (stemming, phrase weight) nudges otherwise equal matches
+      return { ...item, score: Math.round((score + Math.min(doc.score || 0, 5) * 0.1) * 1000) / 1000, matched };
+    })
+    .filter(item => item.matched > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    total: scored.length,
+    items: scored.slice(0, limit).map(({ matched, ...item }) => item)
+  };
+};
+
+const searchCourses = async (terms, limit) => {
+  const docs = await findCandidates(
+    Course,
+    { status: 'published' },
+    ['title', 'description', 'instructor', 'category'],
+    terms,
+    'title description instructor category difficulty averageRating'
+  );
+
+  return rank(terms, docs, course => ({
+    fields: [
+      { text: course.title, weight: 3 },
+      { text: `${course.instructor} ${course.category}`, weight: 1.5 },
+      { text: course.description, weight: 1 }
+    ],
+    item: {
+      type: 'course',
+      id: course._id,
+      title: course.title,
+      titleHighlighted: highlight(terms, course.title),
+      snippet: highlight(terms, course.description),
+      instructor: course.instructor,
+      category: course.category,
+      difficulty: course.difficulty,
+      averageRating: course.averageRating
+    }
+  }), limit);
+};
+
+const searchNotes = async (terms, filter, limit) => {
+  const docs = await findCandidates(Note, filter, ['title', 'content'], terms, 'title content course student tags isPublic createdAt');
+
+  return rank(terms, docs, note => ({
+    fields: [
+      { text: note.title, weight: 3 },
+      { text: (note.tags || []).join(' '), weight: 2 },
+      { text: note.content, weight: 1 }
+    ],
+    item: {
+      type: 'note',
+      id: note._id,
+      title: note.title,
+      titleHighlighted: highlight(terms, note.title),
+      snippet: highlight(terms, note.content),
+      course: note.course,
+      isPublic: note.isPublic,
+      createdAt: note.createdAt
+    }
+  }), limit);
+};
+
+const searchReviews = async (terms, limit) => {
+  const docs = await findCandidates(Review, { isApproved: true }, ['comment'], terms, 'comment rating course student createdAt');
+
+  return rank(terms, docs, review => ({
+    fields: [{ text: review.comment, weight: 1 }],
+    item: {
+      type: 'review',
+      id: review._id,
+      snippet: highlight(terms, review.comment),
+      rating: review.rating,
+      course: review.course,
+      createdAt: review.createdAt
+    }
+  }), limit);
+};
+
+const SEARCH_TYPES = ['courses', 'notes', 'publicNotes', 'reviews'];
+
+// Run a search for `q` and return results grouped by type. Own notes are only searched
+// for a signed-in user; public notes exclude the user's own.
+const search = async (q, { user = null, types = SEARCH_TYPES, limit: requestedLimit = 5 } = {}) => {
+  const terms = parseTerms(q);
+  // A non-positive limit would turn the slice in rank() into "all but the last few"
+  const limit = Math.min(Math.max(Math.floor(requestedLimit) || 1, 1), MAX_CANDIDATES);
+  if (terms.length === 0) {
+    return { terms, groups: {} };
+  }
+
+  const jobs = {
+    courses: () => searchCourses(terms, limit),
+    notes: () => (user ? searchNotes(terms, { student: user._id }, limit) : null),
+    publicNotes: () => searchNotes(terms, user ? { isPublic: true, student: { $ne: user._id } } : { isPublic: true }, limit),
+    reviews: () => searchReviews(terms, limit)
+  };
+
+  const selected = SEARCH_TYPES.filter(type => types.includes(type));
+  const results = await Promise.all(selected.map(type => jobs[type]()));
+
+  const groups = {};
+  selected.forEach((type, i) => {
+    if (results[i]) groups[type] = results[i];
+  });
+
+  return { terms, groups };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  parseTerms,
+  editDistance,
+  matchQuality,
+  highlight,
+  search
+};
@@ -0,0 +1,100 @@
+// utils/sessions.js
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Only write lastUsedAt when it is older than this, to avoid a write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Best-effort user agent parsing; good enough to label sessions in a list
+const parseUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+
+  const browser =
+    (/Edg\//.test(ua) && 'Edge') ||
+    (/OPR\/|Opera/.test(ua) && 'Opera') ||
+    (/Chrome\//.test(ua) && 'Chrome') ||
+    (/Firefox\//.test(ua) && 'Firefox') ||
+    (/Safari\//.test(ua) && 'Safari') ||
+    (/PostmanRuntime/.test(ua) && 'Postman') ||
+    (/curl\//.test(ua) && 'curl') ||
+    'Unknown';
+
+  const os =
+    (/Windows/.test(ua) && 'Windows') ||
+    (/Android/.test(ua) && 'Android') ||
+    (/iPhone|iPad|iPod/.test(ua) && 'iOS') ||
+    (/Mac OS X|Macintosh/.test(ua) && 'macOS') ||
+    (/Linux/.test(ua) && 'Linux') ||
+    'Unknown';
+
+  let type = 'unknown';
+  if (/iPad|Tablet/.test(ua)) type = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(ua)) type = 'mobile';
+  else if (os !== 'Unknown') type = 'desktop';
+
+  return { browser, os, type };
+};
+
+const createSession = (user, expiresAt, req) => {
+  const userAgent = req ? req.get('user-agent') || null : null;
+
+  return Session.create({
+    user: user._id,
+    userAgent,
+    device: parseUserAgent(userAgent),
+    ip: req ? req.ip : null,
+    expiresAt
+  });
+};
+
+// Revoke sessions matching `filter` together with their refresh tokens
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  const ids = sessions.map(s => s._id);
+
+  if (ids.length === 0) return 0;
+
+  const now = new Date();
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: now, revokedReason: reason });
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(String) }, revokedAt: null },
+    { revokedAt: now, revokedReason: reason }
+  );
+
+  return ids.length;
+};
+
+const revokeSession = (sessionId, reason) => revokeSessions({ _id: sessionId }, reason);
+
+// Revoke every session of a user, optionally keeping one (usually the current session)
+const revokeUserSessions = (userId, reason, exceptSessionId) => {
+  const filter = { user: userId };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return revokeSessions(filter, reason);
+};
+
+// Returns the session if it is still active, recording the access time
+const touchSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (session && Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+
+  return session;
+};
+
+module.exports = {
+  parseUserAgent,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  touchSession
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root directory for locally stored files, served statically at /uploads
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Write a buffer into the upload storage and return its public URL
+const saveFile = async (buffer, filename, subdir = '') => {
+  const dir = path.join(UPLOAD_DIR, subdir);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, filename), buffer);
+
+  return ['/uploads', subdir, filename].filter(Boolean).join('/');
+};
+
+// Delete a stored file by its public URL; files that are already gone are ignored
+const deleteFile = async (url) => {
+  const relative = String(url || '').replace(/^\/uploads\//, '');
+  const filePath = path.join(UPLOAD_DIR, relative);
+  if (!relative || !filePath.startsWith(UPLOAD_DIR + path.sep)) return;
+
+  await fs.promises.unlink(filePath).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  saveFile,
+  deleteFile,
+};
@@ -0,0 +1,16 @@
+// utils/tokens.js
+const crypto = require('crypto');
+
+// Only the SHA-256 hash of a token is stored, so a database leak does not expose usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a random URL-safe token together with its hash
+const createToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hashedToken: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  createToken
+};
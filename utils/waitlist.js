@@ -0,0 +1,113 @@
+// utils/waitlist.js
+const Course = require('../models/Course');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { EnrollmentError, enrollStudent, offerSeat } = require('./enrollments');
+const { adjustEnrollmentCount } = require('./courseStats');
+const { sendEmail } = require('./email');
+const { waitlistPromotionEmail, waitlistOfferEmail } = require('./emailTemplates');
+
+// `entry` is passed for seat offers, whose email names the deadline
+const notifyPromotion = async (studentId, course, entry = null) => {
+  try {
+    const student = await User.findById(studentId).select('name email');
+    if (student) {
+      await sendEmail(entry ? waitlistOfferEmail(student, course, entry.offerExpiresAt) : waitlistPromotionEmail(student, course));
+    }
+  } catch (emailError) {
+    // The enrollment stands even if the email cannot be sent
+    console.error('Waitlist promotion email error:', emailError);
+  }
+};
+
+// Fill free seats of a course from its waitlist, oldest entry first, and email each promoted
+// student. Students of a priced course who have not paid yet are offered the seat instead: it is
+// held for them until the offer expires. Entries that can no longer be enrolled are cancelled
+// with a reason. Returns the promoted and offered entries.
+const promoteFromWaitlist = async (courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course || course.status !== 'published') return [];
+
+  const promoted = [];
+  for (;;) {
+    const entry = await WaitlistEntry.findOne({ course: course._id, status: 'waiting', offerExpiresAt: null })
+      .sort({ joinedAt: 1, _id: 1 });
+    if (!entry) break;
+
+    if (course.price > 0 && !(await Order.exists({ student: entry.student, course: course._id, status: 'paid' }))) {
+      const offered = await offerSeat(entry, course);
+      if (!offered) {
+        // No seat left, or the student just left the waitlist
+        if (await WaitlistEntry.exists({ _id: entry._id, status: 'waiting' })) break;
+        continue;
+      }
+      promoted.push(offered);
+      await notifyPromotion(entry.student, course, offered);
+      continue;
+    }
+
+    let result;
+    try {
+      result = await enrollStudent(entry.student, course, { cohort: entry.cohort, fromWaitlist: true });
+    } catch (error) {
+      if (!(error instanceof EnrollmentError)) throw error;
+      if (error.statusCode === 409) break; // No seat left
+
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'cancelled', cancelReason: error.message });
+      continue;
+    }
+
+    if (result.status === 'existing') {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'cancelled', cancelReason: 'Already enrolled' });
+      continue;
+    }
+
+    promoted.push(await WaitlistEntry.findById(entry._id));
+    await notifyPromotion(entry.student, course);
+  }
+
+  return promoted;
+};
+
+// Cancel an entry's seat offer and pass the held seat on to the next student.
+// Returns false if the entry no longer holds an offer.
+const releaseSeatOffer = async (entry, reason) => {
+  const released = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting', offerExpiresAt: { $ne: null } },
+    { $set: { status: 'cancelled', cancelReason: reason } }
+  );
+  if (!released) return false;
+
+  await adjustEnrollmentCount(released.course, -1);
+  await promoteFromWaitlistSafely(released.course);
+  return true;
+};
+
+// Cancel seat offers that were not paid for in time, freeing their seats. Returns the number expired.
+const expireSeatOffers = async (now = new Date()) => {
+  const expired = await WaitlistEntry.find({ status: 'waiting', offerExpiresAt: { $lt: now } }).select('_id');
+
+  let released = 0;
+  for (const entry of expired) {
+    if (await releaseSeatOffer(entry, 'The seat offer expired without payment')) released++;
+  }
+  return released;
+};
+
+// Promote from the waitlist without failing the caller's request
+const promoteFromWaitlistSafely = async (courseId) => {
+  try {
+    return await promoteFromWaitlist(courseId);
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  expireSeatOffers,
+  releaseSeatOffer,
+  promoteFromWaitlist,
+  promoteFromWaitlistSafely
+};